@@ -1,5 +1,8 @@
 // Inicializar a aplicação quando o DOM estiver carregado
 document.addEventListener('DOMContentLoaded', () => {
+    // Aplicar as configurações salvas (tema, idioma, etc.)
+    configManager.applyConfig();
+    
     // Criar e iniciar o controlador da interface
     const uiController = new UIController();
     
@@ -8,5 +11,5 @@ document.addEventListener('DOMContentLoaded', () => {
     uiController.renderNotifications();
     
     console.log('Aplicação de Gerenciamento de Tarefas inicializada com sucesso!');
-    console.log('Padrões de Design implementados: Factory, Observer, Decorator, Composite, Singleton e Strategy.');
+    console.log('Padrões de Design implementados: Factory, Observer, Decorator, Composite, Singleton, Strategy e Memento.');
 });
\ No newline at end of file
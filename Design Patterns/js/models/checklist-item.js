@@ -0,0 +1,26 @@
+/**
+ * Classe para representar um item da checklist de uma tarefa
+ */
+class ChecklistItem {
+    constructor(id, text, done = false) {
+        this.id = id;
+        this.text = text;
+        this.done = done;
+    }
+    
+    getId() {
+        return this.id;
+    }
+    
+    getText() {
+        return this.text;
+    }
+    
+    isDone() {
+        return this.done;
+    }
+    
+    setDone(done) {
+        this.done = done;
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * Classe para representar um cliente (tabela "Cliente" do modelo SQL)
+ * O CNPJ identifica o cliente e é guardado apenas com os dígitos
+ */
+class Client {
+    constructor(cnpj, name, address = '', phone = '', contactName = '', email = '') {
+        this.cnpj = cnpj;
+        this.name = name;
+        this.address = address;
+        this.phone = phone;
+        this.contactName = contactName; // pessoa de contato no cliente
+        this.email = email;
+    }
+    
+    getId() {
+        return this.cnpj;
+    }
+    
+    getCnpj() {
+        return this.cnpj;
+    }
+    
+    getName() {
+        return this.name;
+    }
+    
+    getAddress() {
+        return this.address;
+    }
+    
+    getPhone() {
+        return this.phone;
+    }
+    
+    getContactName() {
+        return this.contactName;
+    }
+    
+    getEmail() {
+        return this.email;
+    }
+    
+    // CNPJ formatado para exibição (ex: 12.345.678/0001-90)
+    getFormattedCnpj() {
+        return this.cnpj.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+    }
+}
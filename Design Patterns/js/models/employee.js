@@ -0,0 +1,44 @@
+/**
+ * Classe para representar um funcionário (tabela "Funcionario" do modelo SQL)
+ * A matrícula identifica o funcionário
+ */
+class Employee {
+    constructor(registration, name, role = '', phone = '', email = '') {
+        this.registration = registration; // matrícula
+        this.name = name;
+        this.role = role; // cargo
+        this.phone = phone;
+        this.email = email;
+    }
+    
+    getId() {
+        return this.registration;
+    }
+    
+    getRegistration() {
+        return this.registration;
+    }
+    
+    getName() {
+        return this.name;
+    }
+    
+    getRole() {
+        return this.role;
+    }
+    
+    getPhone() {
+        return this.phone;
+    }
+    
+    getEmail() {
+        return this.email;
+    }
+    
+    // Iniciais do nome para o avatar (ex: "Ana Maria Souza" -> "AS")
+    getInitials() {
+        const words = this.name.trim().split(/\s+/);
+        const initials = words.length > 1 ? words[0][0] + words[words.length - 1][0] : words[0].slice(0, 2);
+        return initials.toUpperCase();
+    }
+}
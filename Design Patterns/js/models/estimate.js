@@ -0,0 +1,160 @@
+/**
+ * Classe para representar a estimativa de esforço de uma tarefa
+ *
+ * A estimativa pode ser feita em pontos (story points), em horas ou pelo PERT de
+ * três pontos, com as horas otimista (O), mais provável (M) e pessimista (P). No
+ * PERT o valor esperado é (O + 4M + P) / 6 e o desvio padrão é (P - O) / 6.
+ */
+class Estimate {
+    static POINTS = 'points';
+    static HOURS = 'hours';
+    static PERT = 'pert';
+
+    // Métodos de estimativa e seus nomes para exibição
+    static METHODS = {
+        'points': 'Pontos (story points)',
+        'hours': 'Horas',
+        'pert': 'PERT (três pontos)'
+    };
+
+    // values: { points } em pontos, { hours } em horas ou { optimistic, likely, pessimistic } em horas
+    constructor(method, values) {
+        this.method = method;
+        this.values = { ...values };
+    }
+
+    // Criar uma estimativa validando os valores informados pelo usuário
+    static create(method, values) {
+        if (!(method in Estimate.METHODS)) {
+            throw new Error(`Método de estimativa desconhecido: ${method}`);
+        }
+
+        const numbers = Object.values(values);
+        if (numbers.some(value => !Number.isFinite(value) || value < 0)) {
+            throw new Error('Os valores da estimativa devem ser números maiores ou iguais a zero.');
+        }
+        if (method === Estimate.PERT && !(values.optimistic <= values.likely && values.likely <= values.pessimistic)) {
+            throw new Error('No PERT, as horas devem seguir a ordem: otimista ≤ mais provável ≤ pessimista.');
+        }
+
+        return new Estimate(method, values);
+    }
+
+    getMethod() {
+        return this.method;
+    }
+
+    getValues() {
+        return { ...this.values };
+    }
+
+    isInPoints() {
+        return this.method === Estimate.POINTS;
+    }
+
+    // Valor esperado (em pontos ou em horas, conforme o método)
+    getExpected() {
+        switch(this.method) {
+            case Estimate.POINTS: return this.values.points;
+            case Estimate.HOURS: return this.values.hours;
+            case Estimate.PERT: return (this.values.optimistic + 4 * this.values.likely + this.values.pessimistic) / 6;
+            default: return 0;
+        }
+    }
+
+    // Desvio padrão (só o PERT tem incerteza)
+    getDeviation() {
+        return this.method === Estimate.PERT ? (this.values.pessimistic - this.values.optimistic) / 6 : 0;
+    }
+
+    // Resumo que pode ser somado ao de outras tarefas (ex: nos grupos)
+    getSummary() {
+        return this.isInPoints()
+            ? new EstimateSummary({ points: this.getExpected(), pointsCount: 1 })
+            : new EstimateSummary({ hours: this.getExpected(), hoursVariance: this.getDeviation() ** 2, hoursCount: 1 });
+    }
+
+    getLabel() {
+        return this.getSummary().getLabel();
+    }
+
+    // Número com no máximo uma casa decimal e vírgula (ex: 8,3)
+    static formatNumber(value) {
+        return String(Math.round(value * 10) / 10).replace('.', ',');
+    }
+}
+
+/**
+ * Soma das estimativas de um conjunto de tarefas
+ *
+ * Pontos e horas são somados separadamente. Os desvios das estimativas em horas
+ * são combinados como no PERT: a variância do total é a soma das variâncias.
+ */
+class EstimateSummary {
+    // pointsCount / hoursCount: quantas tarefas foram estimadas em pontos / em horas
+    constructor({ points = 0, pointsCount = 0, hours = 0, hoursVariance = 0, hoursCount = 0 } = {}) {
+        this.points = points;
+        this.pointsCount = pointsCount;
+        this.hours = hours;
+        this.hoursVariance = hoursVariance;
+        this.hoursCount = hoursCount;
+    }
+
+    add(other) {
+        return new EstimateSummary({
+            points: this.points + other.points,
+            pointsCount: this.pointsCount + other.pointsCount,
+            hours: this.hours + other.hours,
+            hoursVariance: this.hoursVariance + other.hoursVariance,
+            hoursCount: this.hoursCount + other.hoursCount
+        });
+    }
+
+    // Parte de cada um quando o esforço é dividido igualmente (a contagem de tarefas estimadas não muda)
+    divide(parts) {
+        return new EstimateSummary({
+            points: this.points / parts,
+            pointsCount: this.pointsCount,
+            hours: this.hours / parts,
+            hoursVariance: this.hoursVariance / (parts * parts),
+            hoursCount: this.hoursCount
+        });
+    }
+
+    getPoints() {
+        return this.points;
+    }
+
+    getHours() {
+        return this.hours;
+    }
+
+    getHoursDeviation() {
+        return Math.sqrt(this.hoursVariance);
+    }
+
+    getPointsCount() {
+        return this.pointsCount;
+    }
+
+    getHoursCount() {
+        return this.hoursCount;
+    }
+
+    isEmpty() {
+        return this.pointsCount + this.hoursCount === 0;
+    }
+
+    // Texto do resumo (ex: "8,3h ± 1,2h · 5 pts")
+    getLabel() {
+        const parts = [];
+        if (this.hoursCount > 0) {
+            const deviation = this.getHoursDeviation();
+            parts.push(`${Estimate.formatNumber(this.hours)}h${deviation > 0 ? ` ± ${Estimate.formatNumber(deviation)}h` : ''}`);
+        }
+        if (this.pointsCount > 0) {
+            parts.push(`${Estimate.formatNumber(this.points)} pts`);
+        }
+        return parts.join(' · ');
+    }
+}
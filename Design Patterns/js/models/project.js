@@ -0,0 +1,44 @@
+/**
+ * Classe para representar um projeto (tabela "Projeto" do modelo SQL)
+ * O responsável é a matrícula de um funcionário e o cliente é o CNPJ de um cliente;
+ * as datas ficam no formato 'AAAA-MM-DD'
+ */
+class Project {
+    constructor(id, name, responsibleId, clientId, startDate, endDate, description = '') {
+        this.id = id;
+        this.name = name;
+        this.responsibleId = responsibleId;
+        this.clientId = clientId;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.description = description;
+    }
+    
+    getId() {
+        return this.id;
+    }
+    
+    getName() {
+        return this.name;
+    }
+    
+    getResponsibleId() {
+        return this.responsibleId;
+    }
+    
+    getClientId() {
+        return this.clientId;
+    }
+    
+    getStartDate() {
+        return this.startDate;
+    }
+    
+    getEndDate() {
+        return this.endDate;
+    }
+    
+    getDescription() {
+        return this.description;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Classe para representar uma visualização salva da lista de tarefas
+ *
+ * Guarda os filtros da barra de ferramentas (status, tipo, projeto, cliente,
+ * responsável, etiqueta e a consulta da pesquisa), a ordenação com o seu sentido, os
+ * critérios de desempate e o agrupamento da lista. Visualizações fixadas aparecem na barra lateral. O
+ * código de compartilhamento é o estado da visualização em JSON codificado em
+ * Base64, que pode ser copiado e importado em outro navegador.
+ */
+class SavedView {
+    // Contador para gerar IDs únicos
+    static lastId = 0;
+
+    // Filtros da barra de ferramentas e os seus valores padrão (também o estado inicial do UIController)
+    static DEFAULT_FILTERS = {
+        status: 'all',
+        type: '',
+        project: '',
+        client: '',
+        assignee: '', // matrícula, 'me' (usuário atual) ou 'none' (sem responsável)
+        tag: '',      // ID da etiqueta ou 'none' (sem etiqueta)
+        search: ''    // consulta da pesquisa (ex: type:Trabalho OR priority:high), interpretada pelo QueryParser
+    };
+
+    // state: { filters, sort, direction, thenBy, grouping }
+    constructor(id, name, state, pinned = false) {
+        this.id = id;
+        this.name = name;
+        this.state = SavedView.normalizeState(state);
+        this.pinned = pinned;
+    }
+
+    // Estado com todas as chaves, sempre na mesma ordem (permite comparar estados pelo JSON)
+    // (visualizações salvas antes dos critérios de desempate não têm thenBy)
+    static normalizeState({ filters = {}, sort, direction = 'asc', thenBy = [], grouping = 'group' }) {
+        const normalizedFilters = {};
+        Object.keys(SavedView.DEFAULT_FILTERS).forEach(key => {
+            normalizedFilters[key] = String(filters[key] ?? SavedView.DEFAULT_FILTERS[key]);
+        });
+        const normalizedThenBy = (Array.isArray(thenBy) ? thenBy : [])
+            .filter(item => item && typeof item === 'object')
+            .map(({ key, direction = 'asc' }) => ({ key: String(key), direction }));
+        return { filters: normalizedFilters, sort, direction, thenBy: normalizedThenBy, grouping };
+    }
+
+    static isSameState(a, b) {
+        return JSON.stringify(SavedView.normalizeState(a)) === JSON.stringify(SavedView.normalizeState(b));
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    setName(name) {
+        this.name = name;
+    }
+
+    getState() {
+        return SavedView.normalizeState(this.state);
+    }
+
+    setState(state) {
+        this.state = SavedView.normalizeState(state);
+    }
+
+    isPinned() {
+        return this.pinned;
+    }
+
+    setPinned(pinned) {
+        this.pinned = pinned;
+    }
+
+    // Código para compartilhar a visualização (nome e estado; o ID e a fixação são locais)
+    getShareCode() {
+        const json = JSON.stringify({ name: this.name, ...this.getState() });
+        return btoa(String.fromCharCode(...new TextEncoder().encode(json)));
+    }
+
+    // Ler um código de compartilhamento: { name, state } (lança um erro se o código for inválido)
+    static parseShareCode(code) {
+        let data;
+        try {
+            const bytes = Uint8Array.from(atob(code.trim()), char => char.charCodeAt(0));
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('Código de visualização inválido. Copie o código completo e tente novamente.');
+        }
+
+        if (!data || typeof data.name !== 'string' || typeof data.sort !== 'string' || typeof data.filters !== 'object') {
+            throw new Error('O código não descreve uma visualização de tarefas.');
+        }
+        return { name: data.name, state: SavedView.normalizeState(data) };
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Fluxo de trabalho dos status das tarefas
+ *
+ * Definição central dos status: cada um tem um ID (o valor salvo na tarefa), o
+ * nome exibido, a cor (classe do Bootstrap) e as transições permitidas a partir
+ * dele. A ordem da definição é a ordem do fluxo, usada pelas colunas do quadro
+ * e pelas estratégias de ordenação por status.
+ */
+class StatusWorkflow {
+    static PENDING = 'pending';
+    static IN_PROGRESS = 'in-progress';
+    static BLOCKED = 'blocked';
+    static CANCELLED = 'cancelled';
+    static COMPLETED = 'completed';
+
+    // Status de uma tarefa recém-criada
+    static INITIAL = StatusWorkflow.PENDING;
+
+    // needsPrerequisites: a tarefa só entra no status com todos os pré-requisitos concluídos
+    // closed: a tarefa não exige mais trabalho (sem lembretes de vencimento)
+    static STATUSES = [
+        {
+            id: 'pending', label: 'Pendente', pluralLabel: 'Pendentes', color: 'secondary',
+            transitions: ['in-progress', 'blocked', 'completed', 'cancelled']
+        },
+        {
+            id: 'in-progress', label: 'Em Andamento', pluralLabel: 'Em andamento', color: 'primary',
+            transitions: ['pending', 'blocked', 'completed', 'cancelled'], needsPrerequisites: true
+        },
+        {
+            id: 'blocked', label: 'Bloqueada', pluralLabel: 'Bloqueadas', color: 'warning',
+            transitions: ['pending', 'in-progress', 'cancelled']
+        },
+        {
+            id: 'cancelled', label: 'Cancelada', pluralLabel: 'Canceladas', color: 'dark',
+            transitions: ['pending'], closed: true
+        },
+        {
+            id: 'completed', label: 'Concluída', pluralLabel: 'Concluídas', color: 'success',
+            transitions: ['pending', 'in-progress'], needsPrerequisites: true, closed: true
+        }
+    ];
+
+    // Nomes exibidos que eram salvos no lugar do ID antes do fluxo de trabalho central
+    static LEGACY_LABELS = { 'Pendente': 'pending', 'Em Andamento': 'in-progress', 'Concluída': 'completed' };
+
+    // ID de um status salvo pelo nome antigo (outros valores ficam como estão)
+    static fromLegacyLabel(value) {
+        return StatusWorkflow.LEGACY_LABELS[value] || value;
+    }
+
+    // Definição de um status (null se o ID não fizer parte do fluxo)
+    static get(id) {
+        return StatusWorkflow.STATUSES.find(status => status.id === id) || null;
+    }
+
+    static getIds() {
+        return StatusWorkflow.STATUSES.map(status => status.id);
+    }
+
+    // Nome para exibição (um status desconhecido é exibido como está salvo)
+    static getLabel(id) {
+        const status = StatusWorkflow.get(id);
+        return status ? status.label : id;
+    }
+
+    static getColor(id) {
+        const status = StatusWorkflow.get(id);
+        return status ? status.color : 'secondary';
+    }
+
+    // Posição no fluxo (status desconhecidos ficam no final)
+    static getOrder(id) {
+        const index = StatusWorkflow.getIds().indexOf(id);
+        return index === -1 ? StatusWorkflow.STATUSES.length : index;
+    }
+
+    // Status para os quais uma tarefa pode ir a partir do status atual
+    // (de um status desconhecido, apenas de volta ao inicial)
+    static getTransitions(id) {
+        const status = StatusWorkflow.get(id);
+        return status ? [...status.transitions] : [StatusWorkflow.INITIAL];
+    }
+
+    static canTransition(from, to) {
+        return StatusWorkflow.getTransitions(from).includes(to);
+    }
+
+    static needsPrerequisites(id) {
+        return Boolean(StatusWorkflow.get(id)?.needsPrerequisites);
+    }
+
+    static isClosed(id) {
+        return Boolean(StatusWorkflow.get(id)?.closed);
+    }
+}
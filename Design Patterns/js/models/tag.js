@@ -0,0 +1,36 @@
+/**
+ * Classe para representar uma etiqueta definida pelo usuário
+ * As tarefas guardam apenas os IDs das suas etiquetas; a cor fica no formato '#rrggbb'
+ */
+class Tag {
+    static DEFAULT_COLOR = '#6c757d';
+
+    constructor(id, name, color = Tag.DEFAULT_COLOR) {
+        this.id = id;
+        this.name = name;
+        this.color = color;
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    getColor() {
+        return this.color;
+    }
+
+    // Cor do texto que contrasta com a cor da etiqueta (preto em cores claras, branco em escuras)
+    getTextColor() {
+        const [red, green, blue] = [1, 3, 5].map(index => parseInt(this.color.slice(index, index + 2), 16));
+        return (red * 299 + green * 587 + blue * 114) / 1000 > 150 ? '#212529' : '#fff';
+    }
+
+    // Badge da etiqueta com a sua cor
+    getBadgeHtml() {
+        return `<span class="badge tag-badge" style="background-color: ${this.color}; color: ${this.getTextColor()}">${this.name}</span>`;
+    }
+}
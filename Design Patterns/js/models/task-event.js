@@ -0,0 +1,86 @@
+/**
+ * Classe para representar um evento ocorrido com uma tarefa
+ * (enviado pelo TaskSubject aos observadores)
+ */
+class TaskEvent {
+    static CREATED = 'created';
+    static UPDATED = 'updated';
+    static STATUS_CHANGED = 'status-changed';
+    static DECORATED = 'decorated';
+    static DELETED = 'deleted';
+    static MOVED_TO_GROUP = 'moved-to-group';
+    static UNBLOCKED = 'unblocked';
+    static DUE_SOON = 'due-soon';
+    static OVERDUE = 'overdue';
+    static REASSIGNED = 'reassigned';
+
+    // Tipos de evento disponíveis e seus nomes para exibição
+    static TYPES = {
+        'created': 'Criada',
+        'updated': 'Editada',
+        'status-changed': 'Mudança de status',
+        'decorated': 'Recursos alterados',
+        'deleted': 'Excluída',
+        'moved-to-group': 'Movida de grupo',
+        'unblocked': 'Desbloqueada',
+        'due-soon': 'Vencimento próximo',
+        'overdue': 'Atrasada',
+        'reassigned': 'Responsáveis alterados'
+    };
+
+    constructor(type, task, payload = {}) {
+        if (!(type in TaskEvent.TYPES)) {
+            throw new Error(`Tipo de evento desconhecido: ${type}`);
+        }
+
+        this.type = type;
+        this.task = task;
+        this.oldValue = payload.oldValue ?? null;
+        this.newValue = payload.newValue ?? null;
+        this.changes = payload.changes ?? []; // campos alterados em 'updated': { label, oldValue, newValue }
+        this.origin = payload.origin ?? null; // 'undo' ou 'redo' quando o evento vem do histórico
+        this.timestamp = payload.timestamp ?? new Date(); // pode vir do relógio do agendador de vencimentos
+        this.recipients = payload.recipients ?? []; // pessoas a quem o evento se dirige: { employee, assigned }
+    }
+
+    getType() {
+        return this.type;
+    }
+
+    getTask() {
+        return this.task;
+    }
+
+    getOldValue() {
+        return this.oldValue;
+    }
+
+    getNewValue() {
+        return this.newValue;
+    }
+
+    getChanges() {
+        return this.changes;
+    }
+
+    // Transição de status de um evento 'status-changed': { from, to } (IDs do StatusWorkflow)
+    getTransition() {
+        return { from: this.oldValue, to: this.newValue };
+    }
+    
+    getOrigin() {
+        return this.origin;
+    }
+
+    getTimestamp() {
+        return this.timestamp;
+    }
+
+    getRecipients() {
+        return this.recipients;
+    }
+
+    getLabel() {
+        return TaskEvent.TYPES[this.type];
+    }
+}
@@ -6,8 +6,16 @@ class Task {
         this.id = id;
         this.title = title;
         this.description = description;
-        this.status = 'Pendente'; // Pendente, Em Andamento, concluída
+        this.status = StatusWorkflow.INITIAL; // ID de um status do StatusWorkflow
         this.createdAt = new Date();
+        this.completedAt = null; // quando a tarefa foi concluída (null enquanto não estiver concluída)
+        this.checklist = []; // itens (ChecklistItem) para dividir a tarefa em passos
+        this.dependencies = []; // IDs das tarefas que precisam ser concluídas antes desta
+        this.timeEntries = []; // períodos de trabalho (TimeEntry) registrados na tarefa
+        this.projectId = null; // ID do projeto (Project) ao qual a tarefa pertence
+        this.assignees = []; // matrículas dos funcionários (Employee) responsáveis pela tarefa
+        this.estimate = null; // estimativa de esforço (Estimate)
+        this.tagIds = []; // IDs das etiquetas (Tag) da tarefa
     }
     
     getId() {
@@ -18,15 +26,29 @@ class Task {
         return this.title;
     }
     
+    setTitle(title) {
+        this.title = title;
+    }
+    
     getDescription() {
         return this.description;
     }
     
+    setDescription(description) {
+        this.description = description;
+    }
+    
     getStatus() {
         return this.status;
     }
     
-    setStatus(status) {
+    // now: momento da mudança, registrado como a data de conclusão (relógio do UIController)
+    setStatus(status, now = new Date()) {
+        if (status !== StatusWorkflow.COMPLETED) {
+            this.completedAt = null;
+        } else if (this.status !== StatusWorkflow.COMPLETED) {
+            this.completedAt = new Date(now);
+        }
         this.status = status;
     }
     
@@ -38,25 +60,278 @@ class Task {
         return this.createdAt;
     }
     
+    getCompletedAt() {
+        return this.completedAt;
+    }
+    
+    // Itens da checklist, na ordem de exibição
+    getChecklist() {
+        return [...this.checklist];
+    }
+    
+    setChecklist(items) {
+        this.checklist = [...items];
+    }
+    
+    addChecklistItem(text) {
+        const id = this.checklist.reduce((max, item) => Math.max(max, item.getId()), 0) + 1;
+        const item = new ChecklistItem(id, text);
+        this.checklist.push(item);
+        return item;
+    }
+    
+    setChecklistItemDone(itemId, done) {
+        const item = this.checklist.find(item => item.getId() === itemId);
+        if (item) {
+            item.setDone(done);
+        }
+    }
+    
+    // Mover um item para outra posição da checklist
+    moveChecklistItem(itemId, index) {
+        const currentIndex = this.checklist.findIndex(item => item.getId() === itemId);
+        if (currentIndex === -1 || index < 0 || index >= this.checklist.length) {
+            return false;
+        }
+        
+        const [item] = this.checklist.splice(currentIndex, 1);
+        this.checklist.splice(index, 0, item);
+        return true;
+    }
+    
+    removeChecklistItem(itemId) {
+        this.checklist = this.checklist.filter(item => item.getId() !== itemId);
+    }
+    
+    // Progresso da checklist: { done, total }
+    getChecklistProgress() {
+        return {
+            done: this.checklist.filter(item => item.isDone()).length,
+            total: this.checklist.length
+        };
+    }
+    
+    // IDs dos pré-requisitos da tarefa
+    getDependencies() {
+        return [...this.dependencies];
+    }
+    
+    setDependencies(ids) {
+        this.dependencies = [...ids];
+    }
+    
+    removeDependency(id) {
+        this.dependencies = this.dependencies.filter(dependency => dependency !== id);
+    }
+    
+    getProjectId() {
+        return this.projectId;
+    }
+    
+    setProjectId(projectId) {
+        this.projectId = projectId;
+    }
+    
+    getAssignees() {
+        return [...this.assignees];
+    }
+    
+    setAssignees(assignees) {
+        this.assignees = [...new Set(assignees)];
+    }
+    
+    isAssignedTo(registration) {
+        return this.assignees.includes(registration);
+    }
+    
+    getTagIds() {
+        return [...this.tagIds];
+    }
+    
+    setTagIds(tagIds) {
+        this.tagIds = [...new Set(tagIds)];
+    }
+    
+    hasTag(tagId) {
+        return this.tagIds.includes(tagId);
+    }
+    
+    getEstimate() {
+        return this.estimate;
+    }
+    
+    setEstimate(estimate) {
+        this.estimate = estimate;
+    }
+    
+    // Resumo da estimativa (vazio se a tarefa não foi estimada)
+    getEstimateSummary() {
+        return this.estimate ? this.estimate.getSummary() : new EstimateSummary();
+    }
+    
+    // Períodos de trabalho registrados, na ordem em que foram criados
+    getTimeEntries() {
+        return [...this.timeEntries];
+    }
+    
+    setTimeEntries(entries) {
+        this.timeEntries = [...entries];
+    }
+    
+    // Registrar um período de trabalho (end null deixa o cronômetro ligado)
+    addTimeEntry(start, end, manual = false) {
+        const id = this.timeEntries.reduce((max, entry) => Math.max(max, entry.getId()), 0) + 1;
+        const entry = new TimeEntry(id, start, end, manual);
+        this.timeEntries.push(entry);
+        return entry;
+    }
+    
+    // Período do cronômetro ligado (null se estiver parado)
+    getRunningTimeEntry() {
+        return this.timeEntries.find(entry => entry.isRunning()) || null;
+    }
+    
+    // Ligar o cronômetro (retorna null se ele já estiver ligado)
+    startTimer(now) {
+        return this.getRunningTimeEntry() ? null : this.addTimeEntry(now, null);
+    }
+    
+    // Parar o cronômetro (retorna o período encerrado, ou null se ele estava parado)
+    stopTimer(now) {
+        const entry = this.getRunningTimeEntry();
+        if (entry) {
+            entry.stop(now);
+        }
+        return entry;
+    }
+    
+    // Tempo total registrado em milissegundos (o cronômetro ligado conta até `now`)
+    getTimeSpent(now = new Date()) {
+        return this.timeEntries.reduce((total, entry) => total + entry.getDuration(now), 0);
+    }
+    
+    // Copiar o estado de outra tarefa (usado ao trocar o tipo mantendo a mesma tarefa)
+    copyStateFrom(task) {
+        this.status = task.getStatus();
+        this.createdAt = task.getCreatedAt();
+        this.completedAt = task.getCompletedAt();
+        this.checklist = task.getChecklist();
+        this.dependencies = task.getDependencies();
+        this.timeEntries = task.getTimeEntries();
+        this.projectId = task.getProjectId();
+        this.assignees = task.getAssignees();
+        this.estimate = task.getEstimate();
+        this.tagIds = task.getTagIds();
+    }
+    
+    // Uma tarefa sem decoradores é a sua própria tarefa base
+    getBaseTask() {
+        return this;
+    }
+    
+    // Uma tarefa sem decoradores não possui cadeia de decoradores
+    getDecorators() {
+        return [];
+    }
+    
+    // Valores dos decoradores (lidos pelas estratégias de ordenação e filtragem);
+    // sem decoradores, a tarefa não tem vencimento, prioridade nem dificuldade
+    getDueDate() {
+        return null;
+    }
+    
+    isHighPriority() {
+        return false;
+    }
+    
+    // Cor da dificuldade (DifficultyDecorator): 'green', 'yellow', 'red' ou null
+    getDifficultyLevel() {
+        return null;
+    }
+    
     // Método para obter representação visual da tarefa (usado na UI)
     getHtmlRepresentation() {
     return `
-        <div class="list-group-item task-item">
+        <div class="list-group-item task-item" draggable="true" data-task-id="${this.id}">
             <div class="task-content">
                 <h5>${this.getTitle()}</h5>
                 <p>${this.getDescription()}</p>
                 <span class="badge bg-info me-2">${this.getType()}</span>
-                <span class="badge bg-secondary">${this.status}</span>
+                <span class="badge bg-${StatusWorkflow.getColor(this.status)}">${StatusWorkflow.getLabel(this.status)}</span>
                 <br><small>Criada em: ${this.createdAt.toLocaleString()}</small>
+                ${this.getChecklistHtml()}
+                ${this.getTimeTrackingHtml()}
             </div>
             <div class="task-actions">
-                <button class="btn btn-sm btn-outline-primary status-btn" data-task-id="${this.id}" data-status="Em Andamento">Em Andamento</button>
-                <button class="btn btn-sm btn-outline-success status-btn" data-task-id="${this.id}" data-status="Concluída">Concluída</button>
+                ${this.getStatusButtonsHtml()}
+                <button class="btn btn-sm btn-outline-secondary edit-btn" data-task-id="${this.id}">Editar</button>
+                <button class="btn btn-sm btn-outline-secondary checklist-add-btn" data-task-id="${this.id}">+ Item</button>
+                <button class="btn btn-sm btn-outline-secondary timer-btn" data-task-id="${this.id}">${this.getRunningTimeEntry() ? '⏸ Pausar' : '▶ Iniciar'}</button>
+                <button class="btn btn-sm btn-outline-secondary time-entry-btn" data-task-id="${this.id}">+ Tempo</button>
                 <button class="btn btn-sm btn-outline-danger delete-btn" data-task-id="${this.id}">Excluir</button>
             </div>
         </div>
     `;
 }
+    
+    // Um botão para cada status permitido a partir do status atual
+    getStatusButtonsHtml() {
+        return StatusWorkflow.getTransitions(this.status).map(status => `
+            <button class="btn btn-sm btn-outline-${StatusWorkflow.getColor(status)} status-btn" data-task-id="${this.id}"
+                data-status="${status}">${StatusWorkflow.getLabel(status)}</button>
+        `).join('');
+    }
+    
+    // Tempo total registrado, estimativa e indicação do cronômetro ligado
+    getTimeTrackingHtml() {
+        const running = this.getRunningTimeEntry();
+        if (this.timeEntries.length === 0 && !this.estimate) {
+            return '';
+        }
+        
+        return `
+            <div class="time-tracking mt-1">
+                ${this.timeEntries.length > 0 ? `<small>⏱ <span class="time-spent">${TimeEntry.formatDuration(this.getTimeSpent())}</span></small>` : ''}
+                ${running ? `<span class="badge bg-danger timer-running ms-1">● desde ${running.getStart().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>` : ''}
+                ${this.estimate ? `<small class="task-estimate ms-2" title="Estimativa: ${Estimate.METHODS[this.estimate.getMethod()]}">📐 ${this.estimate.getLabel()}</small>` : ''}
+            </div>
+        `;
+    }
+    
+    // Checklist com o progresso ("3/5" e barra) e os controles de cada item
+    getChecklistHtml() {
+        if (this.checklist.length === 0) {
+            return '';
+        }
+        
+        const { done, total } = this.getChecklistProgress();
+        const items = this.checklist.map((item, index) => `
+            <li class="checklist-item ${item.isDone() ? 'checklist-item-done' : ''}">
+                <input class="form-check-input checklist-toggle" type="checkbox" data-task-id="${this.id}"
+                    data-item-id="${item.getId()}" ${item.isDone() ? 'checked' : ''}>
+                <span class="checklist-text">${item.getText()}</span>
+                <button class="btn btn-sm btn-link checklist-move-btn" data-task-id="${this.id}" data-item-id="${item.getId()}"
+                    data-direction="-1" ${index === 0 ? 'disabled' : ''} title="Mover para cima">↑</button>
+                <button class="btn btn-sm btn-link checklist-move-btn" data-task-id="${this.id}" data-item-id="${item.getId()}"
+                    data-direction="1" ${index === total - 1 ? 'disabled' : ''} title="Mover para baixo">↓</button>
+                <button class="btn btn-sm btn-link text-danger checklist-remove-btn" data-task-id="${this.id}"
+                    data-item-id="${item.getId()}" title="Excluir item">×</button>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="task-checklist mt-2">
+                <div class="d-flex align-items-center gap-2">
+                    <small class="checklist-progress-text">${done}/${total}</small>
+                    <div class="progress flex-grow-1">
+                        <div class="progress-bar bg-success" role="progressbar" style="width: ${Math.round(done / total * 100)}%"
+                            aria-valuenow="${done}" aria-valuemin="0" aria-valuemax="${total}"></div>
+                    </div>
+                </div>
+                <ul class="list-unstyled checklist-items mb-0">${items}</ul>
+            </div>
+        `;
+    }
 }
 
 /**
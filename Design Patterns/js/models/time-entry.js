@@ -0,0 +1,48 @@
+/**
+ * Classe para representar um período de trabalho registrado em uma tarefa
+ * (pelo cronômetro ou lançado manualmente)
+ */
+class TimeEntry {
+    constructor(id, start, end = null, manual = false) {
+        this.id = id;
+        this.start = start;
+        this.end = end; // null enquanto o cronômetro estiver ligado
+        this.manual = manual;
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getStart() {
+        return this.start;
+    }
+
+    getEnd() {
+        return this.end;
+    }
+
+    isManual() {
+        return this.manual;
+    }
+
+    isRunning() {
+        return this.end === null;
+    }
+
+    stop(end) {
+        this.end = end;
+    }
+
+    // Duração em milissegundos (um período em andamento conta até `now`)
+    getDuration(now = new Date()) {
+        return Math.max(0, (this.end || now).getTime() - this.start.getTime());
+    }
+
+    // Texto de uma duração em milissegundos (ex: "1h 05min")
+    static formatDuration(duration) {
+        const minutes = Math.round(duration / 60000);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}min` : `${minutes}min`;
+    }
+}
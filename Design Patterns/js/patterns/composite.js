@@ -52,9 +52,25 @@ class TaskComponent {
     }
     
     // Método para calcular o número total de tarefas
-    getTaskCount() {
+    // Com includeChecklist, cada item de checklist conta como uma unidade de trabalho
+    getTaskCount(includeChecklist = false) {
         throw new Error("Método getTaskCount() deve ser implementado pelas subclasses");
     }
+    
+    // Método para calcular quantas tarefas (ou itens de checklist) já foram concluídas
+    getCompletedCount(includeChecklist = false) {
+        throw new Error("Método getCompletedCount() deve ser implementado pelas subclasses");
+    }
+    
+    // Método para calcular o tempo registrado (em milissegundos)
+    getTimeSpent(now = new Date()) {
+        throw new Error("Método getTimeSpent() deve ser implementado pelas subclasses");
+    }
+    
+    // Método para somar as estimativas de esforço (EstimateSummary)
+    getEstimateSummary() {
+        throw new Error("Método getEstimateSummary() deve ser implementado pelas subclasses");
+    }
 }
 
 /**
@@ -85,6 +101,10 @@ class TaskLeaf extends TaskComponent {
     }
     
     // Delegar outros métodos para a tarefa real
+    getTitle() {
+        return this.task.getTitle();
+    }
+    
     getDescription() {
         return this.task.getDescription();
     }
@@ -93,8 +113,8 @@ class TaskLeaf extends TaskComponent {
         return this.task.getStatus();
     }
     
-    setStatus(status) {
-        this.task.setStatus(status);
+    setStatus(status, now) {
+        this.task.setStatus(status, now);
     }
     
     getType() {
@@ -110,15 +130,39 @@ class TaskLeaf extends TaskComponent {
         return this.task.getHtmlRepresentation();
     }
     
-    // Uma folha conta como 1 tarefa
-    getTaskCount() {
-        return 1;
+    // Uma folha conta como 1 tarefa (ou como o número de itens da sua checklist)
+    getTaskCount(includeChecklist = false) {
+        const { total } = this.task.getChecklistProgress();
+        return includeChecklist && total > 0 ? total : 1;
+    }
+    
+    // Uma tarefa concluída conta por inteiro; senão, contam apenas os itens marcados
+    getCompletedCount(includeChecklist = false) {
+        if (this.task.getStatus() === StatusWorkflow.COMPLETED) {
+            return this.getTaskCount(includeChecklist);
+        }
+        return includeChecklist ? this.task.getChecklistProgress().done : 0;
+    }
+    
+    // O tempo de uma folha é o tempo registrado na tarefa
+    getTimeSpent(now = new Date()) {
+        return this.task.getTimeSpent(now);
+    }
+    
+    // A estimativa de uma folha é a estimativa da tarefa
+    getEstimateSummary() {
+        return this.task.getEstimateSummary();
     }
     
     // Método para obter a tarefa real
     getTask() {
         return this.task;
     }
+    
+    // Substituir a tarefa real (ex: quando ela recebe novos decoradores)
+    setTask(task) {
+        this.task = task;
+    }
 }
 
 /**
@@ -133,9 +177,9 @@ class TaskGroup extends TaskComponent {
         this.createdAt = new Date();
     }
     
-    // Adicionar um componente ao grupo
-    add(component) {
-        this.children.push(component);
+    // Adicionar um componente ao grupo (por padrão no final, ou na posição informada)
+    add(component, index = this.children.length) {
+        this.children.splice(index, 0, component);
         return true;
     }
     
@@ -177,6 +221,38 @@ class TaskGroup extends TaskComponent {
         return null;
     }
     
+    // Obter o grupo (este ou um subgrupo) que contém diretamente o componente com o ID informado
+    getParentOf(id) {
+        for (const child of this.children) {
+            if (child.getId() === id) {
+                return this;
+            }
+            
+            if (child.isComposite()) {
+                const parent = child.getParentOf(id);
+                if (parent) {
+                    return parent;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    // Obter todos os subgrupos deste grupo (recursivo)
+    getAllGroups() {
+        let groups = [];
+        
+        this.children.forEach(child => {
+            if (child.isComposite()) {
+                groups.push(child);
+                groups = groups.concat(child.getAllGroups());
+            }
+        });
+        
+        return groups;
+    }
+    
     // Este é um grupo, então é um composite
     isComposite() {
         return true;
@@ -188,12 +264,13 @@ class TaskGroup extends TaskComponent {
     }
     
     // Obter a representação HTML do grupo e seus filhos
-    getHtmlRepresentation() {
+    // processLeaves permite filtrar e ordenar as tarefas do grupo antes de exibi-las
+    getHtmlRepresentation(processLeaves = leaves => leaves) {
         const expandIcon = this.expanded ? '▼' : '►';
         const displayStyle = this.expanded ? 'block' : 'none';
         
         let html = `
-            <div class="list-group-item task-group bg-light" id="group-${this.id}">
+            <div class="list-group-item task-group bg-light" id="group-${this.id}" draggable="true" data-group-id="${this.id}">
                 <div class="d-flex justify-content-between align-items-center">
                     <h5 class="mb-1">
                         <span class="toggle-group-btn" data-group-id="${this.id}">${expandIcon}</span>
@@ -201,6 +278,12 @@ class TaskGroup extends TaskComponent {
                         ${this.title}
                     </h5>
                     <div class="btn-group">
+                        ${StatusWorkflow.STATUSES.map(status => `
+                            <button class="btn btn-sm btn-outline-${status.color} group-status-btn" data-group-id="${this.id}"
+                                data-status="${status.id}" title="Mudar as tarefas do grupo para &quot;${status.label}&quot;">
+                                ${status.label}
+                            </button>
+                        `).join('')}
                         <button class="btn btn-sm btn-outline-primary add-task-to-group-btn" data-group-id="${this.id}">
                             Adicionar Tarefa
                         </button>
@@ -213,15 +296,23 @@ class TaskGroup extends TaskComponent {
                     </div>
                 </div>
                 <small>Criado em: ${this.createdAt.toLocaleString()}</small>
+                ${this.getTimeSpent() > 0 ? `<small class="group-time-spent ms-2">⏱ ${TimeEntry.formatDuration(this.getTimeSpent())}</small>` : ''}
+                ${this.getEstimateSummary().isEmpty() ? '' : `<small class="group-estimate ms-2">📐 ${this.getEstimateSummary().getLabel()}</small>`}
+                <div class="progress group-progress mt-1" title="${this.getProgress()}% concluído">
+                    <div class="progress-bar bg-success" role="progressbar" style="width: ${this.getProgress()}%"></div>
+                </div>
                 <div class="group-children mt-3" style="display: ${displayStyle}; padding-left: 20px;">
         `;
         
-        // Adicionar representação de todos os filhos
+        // Adicionar representação de todos os filhos (subgrupos primeiro, depois as tarefas)
         if (this.children.length === 0) {
             html += `<div class="text-muted">Este grupo está vazio</div>`;
         } else {
-            this.children.forEach(child => {
-                html += child.getHtmlRepresentation();
+            this.children.filter(child => child.isComposite()).forEach(group => {
+                html += group.getHtmlRepresentation(processLeaves);
+            });
+            processLeaves(this.children.filter(child => !child.isComposite())).forEach(leaf => {
+                html += leaf.getHtmlRepresentation();
             });
         }
         
@@ -234,12 +325,39 @@ class TaskGroup extends TaskComponent {
     }
     
     // Calcular o número total de tarefas no grupo e subgrupos
-    getTaskCount() {
+    getTaskCount(includeChecklist = false) {
+        return this.children.reduce((total, child) => {
+            return total + child.getTaskCount(includeChecklist);
+        }, 0);
+    }
+    
+    // Calcular quantas tarefas (ou itens de checklist) do grupo e subgrupos já foram concluídas
+    getCompletedCount(includeChecklist = false) {
+        return this.children.reduce((total, child) => {
+            return total + child.getCompletedCount(includeChecklist);
+        }, 0);
+    }
+    
+    // Calcular o tempo registrado nas tarefas do grupo e subgrupos
+    getTimeSpent(now = new Date()) {
         return this.children.reduce((total, child) => {
-            return total + child.getTaskCount();
+            return total + child.getTimeSpent(now);
         }, 0);
     }
     
+    // Somar as estimativas das tarefas do grupo e subgrupos
+    getEstimateSummary() {
+        return this.children.reduce((total, child) => {
+            return total.add(child.getEstimateSummary());
+        }, new EstimateSummary());
+    }
+    
+    // Percentual concluído do grupo, considerando o progresso das checklists
+    getProgress() {
+        const total = this.getTaskCount(true);
+        return total === 0 ? 0 : Math.round(this.getCompletedCount(true) / total * 100);
+    }
+    
     // Obter todos os itens folha (tarefas) neste grupo e subgrupos
     getAllLeaves() {
         let leaves = [];
@@ -256,9 +374,10 @@ class TaskGroup extends TaskComponent {
     }
     
     // Marcar todas as tarefas deste grupo com um status específico
-    setGroupStatus(status) {
-        this.getAllLeaves().forEach(leaf => {
-            leaf.setStatus(status);
+    // canChange permite manter algumas tarefas de fora (ex: tarefas bloqueadas)
+    setGroupStatus(status, canChange = leaf => true, now = new Date()) {
+        this.getAllLeaves().filter(canChange).forEach(leaf => {
+            leaf.setStatus(status, now);
         });
     }
 }
@@ -270,8 +389,9 @@ class TaskGroupFactory {
     static lastGroupId = 0;
     
     // Criar um novo grupo de tarefas
+    // O ID recebe o prefixo "g" para não colidir com os IDs das tarefas em getChild()/remove()
     static createGroup(title, color = 'primary') {
-        return new TaskGroup(++TaskGroupFactory.lastGroupId, title, color);
+        return new TaskGroup(`g${++TaskGroupFactory.lastGroupId}`, title, color);
     }
     
     // Criar um grupo a partir de um filtro aplicado às tarefas existentes
@@ -21,16 +21,24 @@ class TaskDecorator {
         return this.task.getTitle();
     }
     
+    setTitle(title) {
+        this.task.setTitle(title);
+    }
+    
     getDescription() {
         return this.task.getDescription();
     }
     
+    setDescription(description) {
+        this.task.setDescription(description);
+    }
+    
     getStatus() {
         return this.task.getStatus();
     }
     
-    setStatus(status) {
-        this.task.setStatus(status);
+    setStatus(status, now) {
+        this.task.setStatus(status, now);
     }
     
     getType() {
@@ -41,19 +49,174 @@ class TaskDecorator {
         return this.task.getCreatedAt();
     }
     
+    getCompletedAt() {
+        return this.task.getCompletedAt();
+    }
+    
+    getChecklist() {
+        return this.task.getChecklist();
+    }
+    
+    addChecklistItem(text) {
+        return this.task.addChecklistItem(text);
+    }
+    
+    setChecklistItemDone(itemId, done) {
+        this.task.setChecklistItemDone(itemId, done);
+    }
+    
+    moveChecklistItem(itemId, index) {
+        return this.task.moveChecklistItem(itemId, index);
+    }
+    
+    removeChecklistItem(itemId) {
+        this.task.removeChecklistItem(itemId);
+    }
+    
+    getChecklistProgress() {
+        return this.task.getChecklistProgress();
+    }
+    
+    getDependencies() {
+        return this.task.getDependencies();
+    }
+    
+    setDependencies(ids) {
+        this.task.setDependencies(ids);
+    }
+    
+    removeDependency(id) {
+        this.task.removeDependency(id);
+    }
+    
+    getProjectId() {
+        return this.task.getProjectId();
+    }
+    
+    setProjectId(projectId) {
+        this.task.setProjectId(projectId);
+    }
+    
+    getAssignees() {
+        return this.task.getAssignees();
+    }
+    
+    setAssignees(assignees) {
+        this.task.setAssignees(assignees);
+    }
+    
+    isAssignedTo(registration) {
+        return this.task.isAssignedTo(registration);
+    }
+    
+    getTagIds() {
+        return this.task.getTagIds();
+    }
+    
+    setTagIds(tagIds) {
+        this.task.setTagIds(tagIds);
+    }
+    
+    hasTag(tagId) {
+        return this.task.hasTag(tagId);
+    }
+    
+    getEstimate() {
+        return this.task.getEstimate();
+    }
+    
+    setEstimate(estimate) {
+        this.task.setEstimate(estimate);
+    }
+    
+    getEstimateSummary() {
+        return this.task.getEstimateSummary();
+    }
+    
+    getTimeEntries() {
+        return this.task.getTimeEntries();
+    }
+    
+    setTimeEntries(entries) {
+        this.task.setTimeEntries(entries);
+    }
+    
+    addTimeEntry(start, end, manual) {
+        return this.task.addTimeEntry(start, end, manual);
+    }
+    
+    getRunningTimeEntry() {
+        return this.task.getRunningTimeEntry();
+    }
+    
+    startTimer(now) {
+        return this.task.startTimer(now);
+    }
+    
+    stopTimer(now) {
+        return this.task.stopTimer(now);
+    }
+    
+    getTimeSpent(now) {
+        return this.task.getTimeSpent(now);
+    }
+    
+    getDueDate() {
+        return this.task.getDueDate();
+    }
+    
+    isHighPriority() {
+        return this.task.isHighPriority();
+    }
+    
+    getDifficultyLevel() {
+        return this.task.getDifficultyLevel();
+    }
+    
     getHtmlRepresentation() {
         return this.task.getHtmlRepresentation();
     }
+    
+    // Obter a tarefa original, sem nenhum decorador
+    getBaseTask() {
+        return this.task.getBaseTask();
+    }
+    
+    // Obter a cadeia de decoradores, do mais interno para o mais externo
+    getDecorators() {
+        return [...this.task.getDecorators(), this];
+    }
+    
+    // Identificador do tipo de decorador (usado para salvar e recriar a cadeia)
+    getDecoratorType() {
+        return this.constructor.type;
+    }
+    
+    // Parâmetros necessários para recriar o decorador
+    getOptions() {
+        return {};
+    }
+    
+    // Descrição do recurso adicionado (exibida no painel de decoradores)
+    getLabel() {
+        return this.getDecoratorType();
+    }
 }
 
 /**
  * Decorador para adicionar alta prioridade a uma tarefa
  */
 class HighPriorityDecorator extends TaskDecorator {
+    static type = 'high-priority';
+    
     getTitle() {
         return `⭐ ${this.task.getTitle()}`;
     }
     
+    isHighPriority() {
+        return true;
+    }
+    
     getHtmlRepresentation() {
         let html = this.task.getHtmlRepresentation();
         html = html.replace('list-group-item task-item', 'list-group-item task-item high-priority-task');
@@ -61,32 +224,9 @@ class HighPriorityDecorator extends TaskDecorator {
         html = html.replace('<span class="badge', '<span class="badge bg-danger me-2">PRIORITÁRIO</span><span class="badge');
         return html;
     }
-}
-
-/**
- * Decorador para adicionar uma etiqueta colorida a uma tarefa
- */
-class ColorLabelDecorator extends TaskDecorator {
-    constructor(task, color) {
-        super(task);
-        this.color = color;
-    }
-    
-    getHtmlRepresentation() {
-        let html = this.task.getHtmlRepresentation();
-        // Adicionando etiqueta colorida
-        html = html.replace('<span class="badge', `<span class="badge label-${this.color} me-2">${this.getColorName()}</span><span class="badge`);
-        return html;
-    }
     
-    getColorName() {
-        switch(this.color) {
-            case 'red': return 'Urgente';
-            case 'green': return 'Fácil';
-            case 'blue': return 'Em progresso';
-            case 'yellow': return 'Atenção';
-            default: return this.color;
-        }
+    getLabel() {
+        return 'Alta Prioridade';
     }
 }
 
@@ -94,9 +234,31 @@ class ColorLabelDecorator extends TaskDecorator {
  * Decorador para adicionar data de vencimento a uma tarefa
  */
 class DueDateDecorator extends TaskDecorator {
+    static type = 'due-date';
+    
     constructor(task, dueDate) {
         super(task);
-        this.dueDate = new Date(dueDate);
+        this.dueDate = DueDateDecorator.parseDate(dueDate);
+    }
+    
+    // O vencimento é um dia do calendário: 'AAAA-MM-DD' (ou um ISO completo) vira a meia-noite local desse dia
+    static parseDate(value) {
+        if (value instanceof Date) {
+            return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        }
+        
+        const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    
+    // Dias de calendário entre a data informada e o vencimento (negativo se já venceu)
+    static daysUntil(dueDate, now) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        return Math.round((DueDateDecorator.parseDate(dueDate) - today) / (24 * 60 * 60 * 1000));
+    }
+    
+    getDueDate() {
+        return new Date(this.dueDate);
     }
     
     getHtmlRepresentation() {
@@ -111,9 +273,143 @@ class DueDateDecorator extends TaskDecorator {
         );
         return html;
     }
+    
+    // Início da semana (domingo à meia-noite) de uma data; usado pelo calendário, pela folha de horas e pelas estatísticas
+    static getWeekStart(date) {
+        const day = DueDateDecorator.parseDate(date);
+        day.setDate(day.getDate() - day.getDay());
+        return day;
+    }
+    
+    // Formatar um dia do calendário como 'AAAA-MM-DD'
+    static formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    getOptions() {
+        return { dueDate: DueDateDecorator.formatDate(this.dueDate) };
+    }
+    
+    getLabel() {
+        return `Vencimento: ${this.dueDate.toLocaleDateString()}`;
+    }
+}
+
+/**
+ * Decorador para tornar uma tarefa recorrente
+ * 
+ * Ao ser concluída, a tarefa gera a próxima ocorrência da série (ver TaskFactory.createNextOccurrence).
+ * Todas as ocorrências compartilham o seriesId; occurrence indica a posição na série.
+ */
+class RecurrenceDecorator extends TaskDecorator {
+    static type = 'recurrence';
+    
+    // Regras de recorrência disponíveis ('custom' repete a cada `interval` dias)
+    static FREQUENCIES = {
+        daily: 'Diária',
+        weekly: 'Semanal',
+        monthly: 'Mensal',
+        custom: 'Personalizada'
+    };
+    
+    constructor(task, frequency, interval = 1, seriesId = task.getId(), occurrence = 1) {
+        super(task);
+        if (!(frequency in RecurrenceDecorator.FREQUENCIES)) {
+            throw new Error(`Regra de recorrência desconhecida: ${frequency}`);
+        }
+        
+        this.frequency = frequency;
+        this.interval = Math.max(parseInt(interval) || 1, 1);
+        this.seriesId = seriesId;
+        this.occurrence = occurrence;
+    }
+    
+    getHtmlRepresentation() {
+        const html = this.task.getHtmlRepresentation();
+        const createdText = `Criada em: ${this.task.getCreatedAt().toLocaleString()}`;
+        
+        // Indicar a regra e a ocorrência ao lado da data de criação
+        return html.replace(createdText, `${createdText} | <span class="recurrence-info">🔁 ${this.getRuleText()} (#${this.occurrence})</span>`);
+    }
+    
+    getRuleText() {
+        return this.frequency === 'custom'
+            ? `A cada ${this.interval} dia(s)`
+            : RecurrenceDecorator.FREQUENCIES[this.frequency];
+    }
+    
+    getSeriesId() {
+        return this.seriesId;
+    }
+    
+    getOccurrence() {
+        return this.occurrence;
+    }
+    
+    // Deslocar uma data em `steps` repetições da regra
+    shiftDate(date, steps = 1) {
+        const shifted = DueDateDecorator.parseDate(date);
+        
+        switch(this.frequency) {
+            case 'daily':
+                shifted.setDate(shifted.getDate() + steps);
+                break;
+            case 'weekly':
+                shifted.setDate(shifted.getDate() + 7 * steps);
+                break;
+            case 'custom':
+                shifted.setDate(shifted.getDate() + this.interval * steps);
+                break;
+            case 'monthly': {
+                // Manter o dia do mês, limitado ao último dia do mês de destino (ex: 31/01 -> 28/02)
+                const day = shifted.getDate();
+                shifted.setDate(1);
+                shifted.setMonth(shifted.getMonth() + steps);
+                const lastDay = new Date(shifted.getFullYear(), shifted.getMonth() + 1, 0).getDate();
+                shifted.setDate(Math.min(day, lastDay));
+                break;
+            }
+        }
+        
+        return shifted;
+    }
+    
+    // Próximo vencimento a partir do vencimento atual, pulando as datas que já passaram
+    getNextDueDate(dueDate, now) {
+        let steps = 1;
+        let next = this.shiftDate(dueDate, steps);
+        while (DueDateDecorator.daysUntil(next, now) < 0) {
+            next = this.shiftDate(dueDate, ++steps);
+        }
+        return next;
+    }
+    
+    getOptions() {
+        return {
+            frequency: this.frequency,
+            interval: this.interval,
+            seriesId: this.seriesId,
+            occurrence: this.occurrence
+        };
+    }
+    
+    getLabel() {
+        return `Recorrência: ${this.getRuleText()} (#${this.occurrence})`;
+    }
 }
 
 class DifficultyDecorator extends TaskDecorator {
+    static type = 'difficulty';
+    
+    // Nome de cada dificuldade pela sua cor
+    static NAMES = {
+        'green': 'Fácil',
+        'yellow': 'Médio',
+        'red': 'Difícil'
+    };
+    
     constructor(task, difficulty) {
         super(task);
         this.difficulty = difficulty;
@@ -121,17 +417,57 @@ class DifficultyDecorator extends TaskDecorator {
     
     getHtmlRepresentation() {
         let html = this.task.getHtmlRepresentation();
-        // Adicionando etiqueta colorida
-        html = html.replace('<span class="badge', `<span class="badge label-${this.difficulty} me-2">${this.getDifficulty()}</span><span class="badge`);
+        // Adicionando o selo da dificuldade
+        html = html.replace('<span class="badge', `<span class="badge difficulty-${this.difficulty} me-2">${this.getDifficulty()}</span><span class="badge`);
         return html;
     }
     
     getDifficulty() {
-        switch(this.difficulty) {
-            case 'red': return 'Difícil';
-            case 'green': return 'Fácil';
-            case 'yellow': return 'Médio';
-            default: return this.difficulty;
+        return DifficultyDecorator.NAMES[this.difficulty] || this.difficulty;
+    }
+    
+    getDifficultyLevel() {
+        return this.difficulty;
+    }
+    
+    getOptions() {
+        return { difficulty: this.difficulty };
+    }
+    
+    getLabel() {
+        return `Dificuldade: ${this.getDifficulty()}`;
+    }
+}
+
+/**
+ * Factory para recriar decoradores a partir do seu tipo e parâmetros
+ */
+class TaskDecoratorFactory {
+    static decorate(task, type, options = {}) {
+        switch(type) {
+            case HighPriorityDecorator.type:
+                return new HighPriorityDecorator(task);
+            case DueDateDecorator.type:
+                return new DueDateDecorator(task, options.dueDate);
+            case DifficultyDecorator.type:
+                return new DifficultyDecorator(task, options.difficulty);
+            case RecurrenceDecorator.type:
+                return new RecurrenceDecorator(task, options.frequency, options.interval, options.seriesId, options.occurrence);
+            default:
+                throw new Error(`Tipo de decorador desconhecido: ${type}`);
         }
     }
+    
+    // Descrever a cadeia de decoradores de uma tarefa como [{ type, options }], do mais interno ao mais externo
+    static getChain(task) {
+        return task.getDecorators().map(decorator => ({
+            type: decorator.getDecoratorType(),
+            options: decorator.getOptions()
+        }));
+    }
+    
+    // Recriar uma cadeia de decoradores sobre a tarefa base
+    static decorateAll(baseTask, chain) {
+        return chain.reduce((task, decorator) => this.decorate(task, decorator.type, decorator.options), baseTask);
+    }
 }
\ No newline at end of file
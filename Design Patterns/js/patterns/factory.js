@@ -12,7 +12,11 @@ class TaskFactory {
     // Factory Method para criar tarefas com base no tipo
     createTask(type, title, description) {
         const id = ++TaskFactory.lastId;
-        
+        return this.instantiateTask(type, id, title, description);
+    }
+    
+    // Instanciar a subclasse correta com um ID já definido (usado também ao restaurar tarefas salvas)
+    instantiateTask(type, id, title, description) {
         switch(type) {
             case 'personal':
                 return new PersonalTask(id, title, description);
@@ -26,4 +30,61 @@ class TaskFactory {
                 throw new Error(`Tipo de tarefa desconhecido: ${type}`);
         }
     }
+    
+    // Trocar a subclasse de uma tarefa mantendo ID, data de criação, status e a cadeia de decoradores
+    changeTaskType(task, type) {
+        const baseTask = task.getBaseTask();
+        const newBaseTask = this.instantiateTask(type, baseTask.getId(), baseTask.getTitle(), baseTask.getDescription());
+        newBaseTask.copyStateFrom(baseTask);
+        
+        return TaskDecoratorFactory.decorateAll(newBaseTask, TaskDecoratorFactory.getChain(task));
+    }
+    
+    // Criar a próxima ocorrência de uma tarefa recorrente: mesmo tipo, descrição, checklist e decoradores,
+    // com o vencimento deslocado pela regra de recorrência (retorna null se a tarefa não for recorrente)
+    createNextOccurrence(task, now = new Date()) {
+        const recurrence = task.getDecorators().find(decorator => decorator.getDecoratorType() === RecurrenceDecorator.type);
+        if (!recurrence) {
+            return null;
+        }
+        
+        const baseTask = task.getBaseTask();
+        const nextBaseTask = this.createTask(this.getTypeKey(task), baseTask.getTitle(), baseTask.getDescription());
+        
+        // A checklist é repetida com todos os itens desmarcados
+        nextBaseTask.setChecklist(baseTask.getChecklist().map(item => new ChecklistItem(item.getId(), item.getText())));
+        
+        // Sem vencimento definido, a série passa a contar a partir de hoje
+        const chain = TaskDecoratorFactory.getChain(task);
+        const dueDate = chain.find(decorator => decorator.type === DueDateDecorator.type);
+        const nextDueDate = DueDateDecorator.formatDate(recurrence.getNextDueDate(dueDate ? dueDate.options.dueDate : now, now));
+        
+        const nextChain = chain.map(decorator => {
+            switch(decorator.type) {
+                case DueDateDecorator.type:
+                    return { type: decorator.type, options: { dueDate: nextDueDate } };
+                case RecurrenceDecorator.type:
+                    return { type: decorator.type, options: { ...decorator.options, occurrence: decorator.options.occurrence + 1 } };
+                default:
+                    return decorator;
+            }
+        });
+        if (!dueDate) {
+            nextChain.push({ type: DueDateDecorator.type, options: { dueDate: nextDueDate } });
+        }
+        
+        return TaskDecoratorFactory.decorateAll(nextBaseTask, nextChain);
+    }
+    
+    // Obter a chave do tipo (personal, work, study, volunteer) de uma tarefa, decorada ou não
+    getTypeKey(task) {
+        const baseTask = task.getBaseTask();
+        
+        if (baseTask instanceof PersonalTask) return 'personal';
+        if (baseTask instanceof WorkTask) return 'work';
+        if (baseTask instanceof StudyTask) return 'study';
+        if (baseTask instanceof VolunteerTask) return 'volunteer';
+        
+        throw new Error(`Tipo de tarefa desconhecido: ${baseTask.getType()}`);
+    }
 }
\ No newline at end of file
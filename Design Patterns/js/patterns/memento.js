@@ -0,0 +1,89 @@
+/**
+ * Implementação do Padrão Memento
+ *
+ * O Memento é um padrão comportamental que permite salvar e restaurar o estado
+ * anterior de um objeto sem revelar os detalhes da sua implementação.
+ *
+ * Usamos o Memento para implementar desfazer/refazer: antes de cada operação,
+ * o estado das tarefas, grupos, cadastros (projetos, clientes e funcionários)
+ * e etiquetas é guardado em um memento pelo histórico.
+ */
+
+/**
+ * Memento - Guarda uma cópia imutável do estado das tarefas, grupos, cadastros e etiquetas
+ */
+class WorkspaceMemento {
+    constructor(state) {
+        // Guardado como texto para que alterações posteriores não afetem o snapshot
+        this.state = JSON.stringify(state);
+        this.createdAt = new Date();
+    }
+
+    getState() {
+        return JSON.parse(this.state);
+    }
+
+    getCreatedAt() {
+        return this.createdAt;
+    }
+}
+
+/**
+ * Caretaker - Mantém as pilhas de desfazer e refazer
+ */
+class HistoryManager {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // Registrar o estado anterior a uma operação (limpa a pilha de refazer)
+    record(label, memento) {
+        this.undoStack.push({ label, memento });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    // Desfazer: devolve a entrada a restaurar e guarda o estado atual para refazer
+    undo(currentMemento) {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            return null;
+        }
+
+        this.redoStack.push({ label: entry.label, memento: currentMemento });
+        return entry;
+    }
+
+    // Refazer: devolve a entrada a restaurar e guarda o estado atual para desfazer
+    redo(currentMemento) {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            return null;
+        }
+
+        this.undoStack.push({ label: entry.label, memento: currentMemento });
+        return entry;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Descrição da próxima operação a ser desfeita
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    // Descrição da próxima operação a ser refeita
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+}
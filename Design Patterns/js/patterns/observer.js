@@ -24,10 +24,12 @@ class TaskSubject {
         this.observers = this.observers.filter(obs => obs !== observer);
     }
     
-    // Notificar todos os observadores sobre uma mudança
-    notifyObservers(task, status) {
+    // Notificar os observadores inscritos no tipo do evento (TaskEvent)
+    notify(event) {
         this.observers.forEach(observer => {
-            observer.update(task, status);
+            if (observer.isSubscribedTo(event.getType())) {
+                observer.update(event);
+            }
         });
     }
 }
@@ -36,31 +38,110 @@ class TaskSubject {
  * Interface para todos os observadores
  */
 class Observer {
-    update(task, status) {
+    // eventTypes: tipos de TaskEvent que este observador deseja receber (padrão: todos)
+    constructor(eventTypes = Object.keys(TaskEvent.TYPES)) {
+        this.eventTypes = new Set(eventTypes);
+    }
+    
+    update(event) {
         throw new Error("O método update deve ser implementado pelas subclasses");
     }
+    
+    // Verificar se o observador está inscrito em um tipo de evento
+    isSubscribedTo(eventType) {
+        return this.eventTypes.has(eventType);
+    }
+    
+    // Definir os tipos de evento que o observador deseja receber
+    setEventTypes(eventTypes) {
+        this.eventTypes = new Set(eventTypes);
+    }
+    
+    // Descrição do evento em texto, usada pelas mensagens de cada canal
+    describeEvent(event) {
+        // Título sem os adornos dos decoradores (ex: ⭐)
+        const title = event.getTask().getBaseTask().getTitle();
+        
+        switch(event.getType()) {
+            case TaskEvent.CREATED:
+                return `A tarefa "${title}" foi criada.`;
+            case TaskEvent.UPDATED:
+                return `A tarefa "${title}" foi atualizada (${this.describeChanges(event.getChanges())}).`;
+            case TaskEvent.STATUS_CHANGED:
+                return `A tarefa "${title}" mudou de status: ${this.describeTransition(event.getTransition(), event.getOrigin())}.`;
+            case TaskEvent.DECORATED:
+                return `Os recursos da tarefa "${title}" mudaram: ${this.describeList(event.getOldValue())} → ${this.describeList(event.getNewValue())}.`;
+            case TaskEvent.DELETED:
+                return `A tarefa "${title}" foi excluída.`;
+            case TaskEvent.MOVED_TO_GROUP:
+                return `A tarefa "${title}" foi movida de "${event.getOldValue() || 'Sem grupo'}" para "${event.getNewValue() || 'Sem grupo'}".`;
+            case TaskEvent.UNBLOCKED:
+                return `A tarefa "${title}" foi desbloqueada: ${this.describeList(event.getOldValue())} concluída(s).`;
+            case TaskEvent.DUE_SOON:
+                return `A tarefa "${title}" ${this.describeDueDate(event.getNewValue(), event.getTimestamp())}.`;
+            case TaskEvent.OVERDUE:
+                return `A tarefa "${title}" está atrasada (venceu em ${event.getNewValue().toLocaleDateString()}).`;
+            case TaskEvent.REASSIGNED:
+                return `Os responsáveis pela tarefa "${title}" mudaram: ${this.describeList(event.getOldValue())} → ${this.describeList(event.getNewValue())}.`;
+            default:
+                return `A tarefa "${title}" recebeu o evento "${event.getLabel()}".`;
+        }
+    }
+    
+    // Texto do prazo restante (ex: "vence amanhã")
+    describeDueDate(dueDate, now) {
+        const daysLeft = DueDateDecorator.daysUntil(dueDate, now);
+        
+        switch(daysLeft) {
+            case 0: return 'vence hoje';
+            case 1: return 'vence amanhã';
+            default: return `vence em ${daysLeft} dias (${dueDate.toLocaleDateString()})`;
+        }
+    }
+    
+    // Resumo das alterações de uma edição (ex: título: "A" → "B")
+    describeChanges(changes) {
+        return changes.map(change => `${change.label}: "${change.oldValue}" → "${change.newValue}"`).join(', ');
+    }
+    
+    // Resumo de uma lista de valores (ex: recursos de uma tarefa)
+    describeList(values) {
+        return values && values.length > 0 ? `[${values.join(', ')}]` : '[nenhum]';
+    }
+    
+    // Texto da transição de status (ex: "Pendente" → "Em Andamento"), indicando quando a mudança foi desfeita ou refeita
+    describeTransition({ from, to }, origin = null) {
+        const transitionText = `"${StatusWorkflow.getLabel(from)}" → "${StatusWorkflow.getLabel(to)}"`;
+        
+        switch(origin) {
+            case 'undo': return `${transitionText} (revertida)`;
+            case 'redo': return `${transitionText} (refeita)`;
+            default: return transitionText;
+        }
+    }
 }
 
 /**
  * Observador que mostra notificações na tela
  */
 class ScreenObserver extends Observer {
-    constructor(notificationCallback) {
-        super();
+    constructor(notificationCallback, eventTypes) {
+        super(eventTypes);
         this.notificationCallback = notificationCallback;
     }
     
-    update(task, status) {
-        const statusText = status === 'Em Andamento' ? 'Em andamento' : status;
-        const message = `A tarefa "${task.getTitle()}" foi marcada como ${statusText}.`;
+    update(event) {
+        const message = this.describeEvent(event);
         
         // Mostrar toast na tela
         const toast = document.getElementById('notification-toast');
         const toastBody = toast.querySelector('.toast-body');
         toastBody.textContent = message;
         
-        // Usar Bootstrap para mostrar o toast
-        const bsToast = new bootstrap.Toast(toast);
+        // Usar Bootstrap para mostrar o toast pelo tempo configurado
+        const bsToast = new bootstrap.Toast(toast, {
+            delay: configManager.getConfig('notificationTimeout')
+        });
         bsToast.show();
         
         // Adicionar à lista de notificações
@@ -72,14 +153,26 @@ class ScreenObserver extends Observer {
  * Observador que simula envio de email
  */
 class EmailObserver extends Observer {
-    constructor(notificationCallback) {
-        super();
+    constructor(notificationCallback, eventTypes) {
+        super(eventTypes);
         this.notificationCallback = notificationCallback;
     }
     
-    update(task, status) {
-        const statusText = status === 'Em Andamento' ? 'Em andamento' : status;
-        const message = `EMAIL: Notificação - A tarefa "${task.getTitle()}" do tipo ${task.getType()} foi atualizada para "${statusText}".`;
+    update(event) {
+        // Eventos dirigidos a pessoas (ex: reatribuição) geram um email para cada uma
+        const recipients = event.getRecipients();
+        if (recipients.length === 0) {
+            this.send(event, null);
+        } else {
+            recipients.forEach(recipient => this.send(event, recipient));
+        }
+    }
+    
+    send(event, recipient) {
+        const task = event.getTask();
+        const address = recipient ? ` para ${recipient.employee.getName()} <${recipient.employee.getEmail() || 'sem email'}>` : '';
+        const description = recipient ? this.describeForRecipient(event, recipient) : this.describeEvent(event);
+        const message = `EMAIL${address}: Notificação (${event.getLabel()}) - ${description} Tipo da tarefa: ${task.getType()}.`;
         
         // Simular envio de email (apenas log)
         console.log(`Enviando email: ${message}`);
@@ -87,20 +180,27 @@ class EmailObserver extends Observer {
         // Adicionar à lista de notificações
         this.notificationCallback(new Notification(message, 'email'));
     }
+    
+    // Mensagem escrita para a pessoa que recebe o email
+    describeForRecipient(event, { employee, assigned }) {
+        const title = event.getTask().getBaseTask().getTitle();
+        return assigned
+            ? `Olá, ${employee.getName()}. Você agora é responsável pela tarefa "${title}".`
+            : `Olá, ${employee.getName()}. Você não é mais responsável pela tarefa "${title}".`;
+    }
 }
 /**
  * Observador que faz log no console
  */
 class LogObserver extends Observer {
-    constructor(notificationCallback) {
-        super();
+    constructor(notificationCallback, eventTypes) {
+        super(eventTypes);
         this.notificationCallback = notificationCallback;
     }
     
-    update(task, status) {
-        const statusText = status === 'Em Andamento' ? 'Em andamento' : status;
-        const timestamp = new Date().toISOString();
-        const message = `LOG [${timestamp}]: Tarefa #${task.getId()} "${task.getTitle()}" mudou status para "${statusText}"`;
+    update(event) {
+        const timestamp = event.getTimestamp().toISOString();
+        const message = `LOG [${timestamp}] ${event.getType()}: Tarefa #${event.getTask().getId()} - ${this.describeEvent(event)}`;
         
         // Registrar no console
         console.log(message);
@@ -111,15 +211,14 @@ class LogObserver extends Observer {
 }
 
 class PushObserver extends Observer {
-    constructor(pushNotification) {
-        super();
+    constructor(pushNotification, eventTypes) {
+        super(eventTypes);
         this.pushNotification = pushNotification;
     }
     
-    update(task, status) {
-        const statusText = status === 'Em Andamento' ? 'Em andamento' : status;
-        const timestamp = new Date().toISOString();
-        const message = `PUSH [${timestamp}]: Tarefa #${task.getId()} "${task.getTitle()}" mudou status para "${statusText}"`;
+    update(event) {
+        const timestamp = event.getTimestamp().toISOString();
+        const message = `PUSH [${timestamp}]: Tarefa #${event.getTask().getId()} - ${this.describeEvent(event)}`;
         
         // Registrar no console
         console.log(message);
@@ -127,4 +226,18 @@ class PushObserver extends Observer {
         // Adicionar à lista de notificações
         this.pushNotification(new Notification(message, 'push'));
     }
-}
\ No newline at end of file
+}
+/**
+ * Observador que atualiza o painel de estatísticas a cada evento das tarefas
+ * (não é um canal de notificação: fica sempre inscrito em todos os eventos)
+ */
+class DashboardObserver extends Observer {
+    constructor(refreshCallback) {
+        super();
+        this.refreshCallback = refreshCallback;
+    }
+    
+    update(event) {
+        this.refreshCallback(event);
+    }
+}
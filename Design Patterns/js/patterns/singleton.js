@@ -6,24 +6,51 @@
  * Neste caso, usamos para gerenciar configurações do sistema.
  */
 class ConfigurationManager {
+    static STORAGE_KEY = 'task-manager-config';
+    
+    // Configurações padrão do sistema
+    static DEFAULT_CONFIG = {
+        theme: 'light',           // tema da interface: 'light' ou 'dark'
+        language: 'pt-BR',         // idioma da página e formato das datas exibidas
+        showCompletedTasks: true,  // mostrar tarefas concluídas
+        autoSave: true,            // salvar alterações automaticamente
+        notificationTimeout: 3000, // tempo que notificações ficam na tela (ms)
+        maxNotificationsHistory: 10, // máximo de notificações no histórico
+        defaultTagId: '',          // ID da etiqueta padrão para novas tarefas ('' para nenhuma)
+        defaultTaskType: 'personal', // tipo padrão para novas tarefas
+        sidebarCollapsed: false,   // estado da barra lateral
+        reminderLeadDays: [1, 0],  // dias antes do vencimento em que um lembrete é enviado
+        checklistAutoStatus: true, // iniciar a tarefa ao marcar o primeiro item e oferecer concluí-la ao marcar o último
+        autoTimer: true,           // ligar o cronômetro quando a tarefa entra em andamento e pausá-lo quando ela sai
+        taskView: 'list',          // visualização das tarefas: 'list', 'board' (Kanban), 'calendar' ou 'workload'
+        calendarMode: 'month',     // período exibido no calendário: 'month' ou 'week'
+        boardSwimlanes: 'none',    // raias do quadro: 'none', 'type' ou 'group'
+        wipLimits: {},             // limite de tarefas por coluna do quadro (status -> limite)
+        currentUser: '',           // matrícula do funcionário que usa o aplicativo (filtro "Minhas tarefas")
+        // eventos (TaskEvent) que cada canal de notificação recebe
+        notificationEvents: {
+            screen: Object.keys(TaskEvent.TYPES),
+            email: [TaskEvent.STATUS_CHANGED, TaskEvent.DELETED, TaskEvent.UNBLOCKED, TaskEvent.DUE_SOON, TaskEvent.OVERDUE, TaskEvent.REASSIGNED],
+            log: Object.keys(TaskEvent.TYPES),
+            push: [TaskEvent.STATUS_CHANGED, TaskEvent.UNBLOCKED, TaskEvent.DUE_SOON, TaskEvent.OVERDUE, TaskEvent.REASSIGNED]
+        },
+        knownEventTypes: Object.keys(TaskEvent.TYPES) // eventos que existiam quando notificationEvents foi salvo
+    };
+    
+    // Eventos que existiam antes de as configurações guardarem knownEventTypes
+    static INITIAL_EVENT_TYPES = [
+        TaskEvent.CREATED, TaskEvent.UPDATED, TaskEvent.STATUS_CHANGED, TaskEvent.DECORATED,
+        TaskEvent.DELETED, TaskEvent.MOVED_TO_GROUP, TaskEvent.DUE_SOON, TaskEvent.OVERDUE
+    ];
+    
     constructor() {
         // Verificar se já existe uma instância
         if (ConfigurationManager.instance) {
             return ConfigurationManager.instance;
         }
         
-        // Configurações padrão do sistema
-        this.config = {
-            theme: 'light',           // tema da interface: 'light' ou 'dark'
-            language: 'pt-BR',         // idioma da interface
-            showCompletedTasks: true,  // mostrar tarefas concluídas
-            autoSave: true,            // salvar alterações automaticamente
-            notificationTimeout: 3000, // tempo que notificações ficam na tela (ms)
-            maxNotificationsHistory: 10, // máximo de notificações no histórico
-            defaultTaskColor: 'blue',  // cor padrão para novas tarefas
-            defaultTaskType: 'personal', // tipo padrão para novas tarefas
-            sidebarCollapsed: false    // estado da barra lateral
-        };
+        // Configurações padrão, sobrescritas pelas que o usuário salvou
+        this.config = {...ConfigurationManager.DEFAULT_CONFIG, ...this.loadConfig()};
         
         // Guardar a instância única
         ConfigurationManager.instance = this;
@@ -52,17 +79,7 @@ class ConfigurationManager {
     
     // Redefinir todas as configurações para o padrão
     resetToDefaults() {
-        this.config = {
-            theme: 'light',
-            language: 'pt-BR',
-            showCompletedTasks: true,
-            autoSave: true,
-            notificationTimeout: 3000,
-            maxNotificationsHistory: 10,
-            defaultTaskColor: 'blue',
-            defaultTaskType: 'personal',
-            sidebarCollapsed: false
-        };
+        this.config = {...ConfigurationManager.DEFAULT_CONFIG};
         
         // Notificar sobre a redefinição de todas as configurações
         this.notifyConfigChange('all', null);
@@ -79,6 +96,7 @@ class ConfigurationManager {
         
         // Aplicar outras configurações visuais e comportamentais
         document.documentElement.setAttribute('lang', this.config.language);
+        document.body.classList.toggle('sidebar-collapsed', this.config.sidebarCollapsed);
         
         // Exemplo de aplicação da configuração de timeout para os toasts
         const toastElements = document.querySelectorAll('.toast');
@@ -101,9 +119,61 @@ class ConfigurationManager {
         });
         document.dispatchEvent(event);
         
-        // Aplicar configurações atualizadas
+        // Salvar e aplicar configurações atualizadas
+        this.saveConfig();
         this.applyConfig();
     }
+    
+    // Carregar as configurações salvas (apenas chaves conhecidas)
+    loadConfig() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ConfigurationManager.STORAGE_KEY)) || {};
+            return this.migrateConfig(Object.fromEntries(
+                Object.entries(saved).filter(([key]) => key in ConfigurationManager.DEFAULT_CONFIG)
+            ));
+        } catch (error) {
+            console.error('Erro ao carregar as configurações salvas:', error);
+            return {};
+        }
+    }
+    
+    // Atualizar configurações salvas por versões anteriores
+    migrateConfig(saved) {
+        const config = { ...saved };
+        
+        // Limites WIP salvos pelo nome do status passam a usar o ID do StatusWorkflow
+        if (config.wipLimits) {
+            config.wipLimits = Object.fromEntries(
+                Object.entries(config.wipLimits).map(([status, limit]) => [StatusWorkflow.fromLegacyLabel(status), limit])
+            );
+        }
+        
+        // Eventos criados depois do salvamento entram nos canais que os recebem por padrão
+        // (os eventos já conhecidos mantêm a escolha do usuário)
+        if (config.notificationEvents) {
+            const knownTypes = config.knownEventTypes || ConfigurationManager.INITIAL_EVENT_TYPES;
+            const newTypes = Object.keys(TaskEvent.TYPES).filter(type => !knownTypes.includes(type));
+            config.notificationEvents = Object.fromEntries(
+                Object.entries(ConfigurationManager.DEFAULT_CONFIG.notificationEvents).map(([channel, defaultTypes]) => {
+                    const savedTypes = config.notificationEvents[channel] || defaultTypes;
+                    const addedTypes = newTypes.filter(type => defaultTypes.includes(type) && !savedTypes.includes(type));
+                    return [channel, [...savedTypes, ...addedTypes]];
+                })
+            );
+        }
+        config.knownEventTypes = Object.keys(TaskEvent.TYPES);
+        
+        return config;
+    }
+    
+    // Salvar as configurações atuais
+    saveConfig() {
+        try {
+            localStorage.setItem(ConfigurationManager.STORAGE_KEY, JSON.stringify(this.config));
+        } catch (error) {
+            console.error('Erro ao salvar as configurações:', error);
+        }
+    }
 }
 
 // Instância global única
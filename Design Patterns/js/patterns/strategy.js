@@ -11,10 +11,33 @@
 
 /**
  * Interface da estratégia de ordenação
+ * 
+ * As subclasses comparam duas tarefas em compare(); sort() aplica a comparação no
+ * sentido pedido. Tarefas sem o valor ordenado (hasValue() falso, ex: sem vencimento)
+ * ficam no final nos dois sentidos.
  */
 class SortStrategy {
-    sort(tasks) {
-        throw new Error("Método sort() deve ser implementado pelas subclasses");
+    // Negativo se a tarefa a vem antes de b, positivo se vem depois e 0 se empatam
+    compare(a, b) {
+        throw new Error("Método compare() deve ser implementado pelas subclasses");
+    }
+    
+    hasValue(task) {
+        return true;
+    }
+    
+    // Comparar no sentido 'asc' (o da estratégia) ou 'desc' (invertido)
+    compareInDirection(a, b, direction = 'asc') {
+        const missing = Number(!this.hasValue(a)) - Number(!this.hasValue(b));
+        if (missing !== 0) {
+            return missing;
+        }
+        const result = this.compare(a, b);
+        return direction === 'desc' ? -result : result;
+    }
+    
+    sort(tasks, direction = 'asc') {
+        return [...tasks].sort((a, b) => this.compareInDirection(a, b, direction));
     }
     
     getName() {
@@ -26,10 +49,8 @@ class SortStrategy {
  * Estratégia de ordenação por data de criação (mais recentes primeiro)
  */
 class DateNewestFirstStrategy extends SortStrategy {
-    sort(tasks) {
-        return [...tasks].sort((a, b) => {
-            return b.getCreatedAt().getTime() - a.getCreatedAt().getTime();
-        });
+    compare(a, b) {
+        return b.getCreatedAt().getTime() - a.getCreatedAt().getTime();
     }
     
     getName() {
@@ -41,10 +62,8 @@ class DateNewestFirstStrategy extends SortStrategy {
  * Estratégia de ordenação por data de criação (mais antigas primeiro)
  */
 class DateOldestFirstStrategy extends SortStrategy {
-    sort(tasks) {
-        return [...tasks].sort((a, b) => {
-            return a.getCreatedAt().getTime() - b.getCreatedAt().getTime();
-        });
+    compare(a, b) {
+        return a.getCreatedAt().getTime() - b.getCreatedAt().getTime();
     }
     
     getName() {
@@ -56,10 +75,8 @@ class DateOldestFirstStrategy extends SortStrategy {
  * Estratégia de ordenação alfabética (A-Z)
  */
 class AlphabeticalAZStrategy extends SortStrategy {
-    sort(tasks) {
-        return [...tasks].sort((a, b) => {
-            return a.getTitle().localeCompare(b.getTitle());
-        });
+    compare(a, b) {
+        return a.getTitle().localeCompare(b.getTitle());
     }
     
     getName() {
@@ -71,10 +88,8 @@ class AlphabeticalAZStrategy extends SortStrategy {
  * Estratégia de ordenação alfabética (Z-A)
  */
 class AlphabeticalZAStrategy extends SortStrategy {
-    sort(tasks) {
-        return [...tasks].sort((a, b) => {
-            return b.getTitle().localeCompare(a.getTitle());
-        });
+    compare(a, b) {
+        return b.getTitle().localeCompare(a.getTitle());
     }
     
     getName() {
@@ -83,19 +98,11 @@ class AlphabeticalZAStrategy extends SortStrategy {
 }
 
 /**
- * Estratégia de ordenação por status (pendentes primeiro)
+ * Estratégia de ordenação por status, na ordem do fluxo de trabalho (pendentes primeiro)
  */
 class StatusPendingFirstStrategy extends SortStrategy {
-    sort(tasks) {
-        return [...tasks].sort((a, b) => {
-            const statusOrder = {
-                'Pendente': 0,
-                'Em Andamento': 1,
-                'Concluída': 2
-            };
-            
-            return statusOrder[a.getStatus()] - statusOrder[b.getStatus()];
-        });
+    compare(a, b) {
+        return StatusWorkflow.getOrder(a.getStatus()) - StatusWorkflow.getOrder(b.getStatus());
     }
     
     getName() {
@@ -104,19 +111,11 @@ class StatusPendingFirstStrategy extends SortStrategy {
 }
 
 /**
- * Estratégia de ordenação por status (concluídas primeiro)
+ * Estratégia de ordenação por status, na ordem inversa do fluxo de trabalho (concluídas primeiro)
  */
 class StatusCompletedFirstStrategy extends SortStrategy {
-    sort(tasks) {
-        return [...tasks].sort((a, b) => {
-            const statusOrder = {
-                'Concluída': 0,
-                'Em Andamento': 1,
-                'Pendente': 2
-            };
-            
-            return statusOrder[a.getStatus()] - statusOrder[b.getStatus()];
-        });
+    compare(a, b) {
+        return StatusWorkflow.getOrder(b.getStatus()) - StatusWorkflow.getOrder(a.getStatus());
     }
     
     getName() {
@@ -128,10 +127,8 @@ class StatusCompletedFirstStrategy extends SortStrategy {
  * Estratégia de ordenação por tipo de tarefa
  */
 class TaskTypeStrategy extends SortStrategy {
-    sort(tasks) {
-        return [...tasks].sort((a, b) => {
-            return a.getType().localeCompare(b.getType());
-        });
+    compare(a, b) {
+        return a.getType().localeCompare(b.getType());
     }
     
     getName() {
@@ -140,67 +137,184 @@ class TaskTypeStrategy extends SortStrategy {
 }
 
 /**
- * Interface da estratégia de filtragem
+ * Estratégia de ordenação pela estimativa de esforço (maiores primeiro)
+ * Estimativas em horas vêm antes das estimativas em pontos, que não são comparáveis
+ * com horas; tarefas sem estimativa ficam no final
  */
-class FilterStrategy {
-    filter(tasks) {
-        throw new Error("Método filter() deve ser implementado pelas subclasses");
+class EstimateStrategy extends SortStrategy {
+    hasValue(task) {
+        return task.getEstimate() !== null;
+    }
+    
+    compare(a, b) {
+        const rank = task => task.getEstimate()?.isInPoints() ? 1 : 0;
+        return rank(a) - rank(b) || (b.getEstimate()?.getExpected() ?? 0) - (a.getEstimate()?.getExpected() ?? 0);
     }
     
     getName() {
-        throw new Error("Método getName() deve ser implementado pelas subclasses");
+        return "Estimativa";
     }
 }
 
 /**
- * Estratégia para mostrar todas as tarefas
+ * Estratégia de ordenação pelo vencimento (DueDateDecorator), o mais próximo primeiro;
+ * tarefas sem vencimento ficam no final
  */
-class ShowAllFilterStrategy extends FilterStrategy {
-    filter(tasks) {
-        return tasks;
+class DueDateStrategy extends SortStrategy {
+    hasValue(task) {
+        return task.getDueDate() !== null;
+    }
+    
+    compare(a, b) {
+        return (a.getDueDate()?.getTime() ?? 0) - (b.getDueDate()?.getTime() ?? 0);
     }
     
     getName() {
-        return "Todas as tarefas";
+        return "Vencimento";
+    }
+}
+
+/**
+ * Estratégia de ordenação pela prioridade (HighPriorityDecorator), as prioritárias primeiro
+ */
+class PriorityStrategy extends SortStrategy {
+    compare(a, b) {
+        return Number(b.isHighPriority()) - Number(a.isHighPriority());
+    }
+    
+    getName() {
+        return "Prioridade";
+    }
+}
+
+/**
+ * Estratégia de ordenação pela dificuldade (DifficultyDecorator), das fáceis para as difíceis;
+ * tarefas sem dificuldade ficam no final
+ */
+class DifficultyStrategy extends SortStrategy {
+    // Posição de cada dificuldade, na ordem de DifficultyDecorator.NAMES (fácil, médio, difícil)
+    static getRank(task) {
+        return Object.keys(DifficultyDecorator.NAMES).indexOf(task.getDifficultyLevel());
+    }
+    
+    hasValue(task) {
+        return DifficultyStrategy.getRank(task) !== -1;
+    }
+    
+    compare(a, b) {
+        return DifficultyStrategy.getRank(a) - DifficultyStrategy.getRank(b);
+    }
+    
+    getName() {
+        return "Dificuldade";
+    }
+}
+
+/**
+ * Estratégia de ordenação manual (mantém a ordem definida pelo usuário ao arrastar as tarefas)
+ * Não há comparação entre as tarefas: o sentido 'desc' apenas inverte a ordem manual
+ */
+class ManualOrderStrategy extends SortStrategy {
+    compare(a, b) {
+        return 0;
+    }
+    
+    sort(tasks, direction = 'asc') {
+        return direction === 'desc' ? [...tasks].reverse() : [...tasks];
+    }
+    
+    getName() {
+        return "Manual";
+    }
+}
+
+/**
+ * Estratégia que ordena por várias chaves: os empates de uma chave são desfeitos pela seguinte
+ * keys: [{ strategy, direction }], cada chave com o seu sentido ('asc' ou 'desc')
+ * (ex: prioridade, depois vencimento, depois título)
+ */
+class MultiKeySortStrategy extends SortStrategy {
+    constructor(keys, name = null) {
+        super();
+        this.keys = keys;
+        this.name = name;
+    }
+    
+    compare(a, b) {
+        return this.compareInDirection(a, b, 'asc');
+    }
+    
+    // O sentido 'desc' inverte o sentido de todas as chaves (as tarefas sem valor continuam no final)
+    static getKeyDirection(key, direction) {
+        return direction === 'desc' ? (key.direction === 'desc' ? 'asc' : 'desc') : key.direction;
+    }
+    
+    compareInDirection(a, b, direction = 'asc') {
+        for (const key of this.keys) {
+            const result = key.strategy.compareInDirection(a, b, MultiKeySortStrategy.getKeyDirection(key, direction));
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return 0;
+    }
+    
+    // Com uma única chave, a própria estratégia ordena (ex: a ordenação manual, que não compara tarefas)
+    sort(tasks, direction = 'asc') {
+        if (this.keys.length === 1) {
+            return this.keys[0].strategy.sort(tasks, MultiKeySortStrategy.getKeyDirection(this.keys[0], direction));
+        }
+        return super.sort(tasks, direction);
+    }
+    
+    getName() {
+        return this.name || this.keys
+            .map(key => `${key.strategy.getName()}${key.direction === 'desc' ? ' (invertida)' : ''}`)
+            .join(', depois ');
     }
 }
 
 /**
- * Estratégia para filtrar tarefas pendentes
+ * Interface da estratégia de filtragem
  */
-class PendingFilterStrategy extends FilterStrategy {
+class FilterStrategy {
     filter(tasks) {
-        return tasks.filter(task => task.getStatus() === 'Pendente');
+        throw new Error("Método filter() deve ser implementado pelas subclasses");
     }
     
     getName() {
-        return "Pendentes";
+        throw new Error("Método getName() deve ser implementado pelas subclasses");
     }
 }
 
 /**
- * Estratégia para filtrar tarefas em andamento
+ * Estratégia para mostrar todas as tarefas
  */
-class InProgressFilterStrategy extends FilterStrategy {
+class ShowAllFilterStrategy extends FilterStrategy {
     filter(tasks) {
-        return tasks.filter(task => task.getStatus() === 'Em Andamento');
+        return tasks;
     }
     
     getName() {
-        return "Em andamento";
+        return "Todas as tarefas";
     }
 }
 
 /**
- * Estratégia para filtrar tarefas concluídas
+ * Estratégia para filtrar por um status do fluxo de trabalho
  */
-class CompletedFilterStrategy extends FilterStrategy {
+class StatusFilterStrategy extends FilterStrategy {
+    constructor(status) {
+        super();
+        this.status = status;
+    }
+    
     filter(tasks) {
-        return tasks.filter(task => task.getStatus() === 'Concluída');
+        return tasks.filter(task => task.getStatus() === this.status);
     }
     
     getName() {
-        return "Concluídas";
+        return StatusWorkflow.get(this.status).pluralLabel;
     }
 }
 
@@ -244,11 +358,250 @@ class SearchFilterStrategy extends FilterStrategy {
     }
 }
 
+/**
+ * Estratégia para filtrar as tarefas de um projeto
+ */
+class ProjectFilterStrategy extends FilterStrategy {
+    constructor(projectId, projectRegistry) {
+        super();
+        this.projectId = projectId;
+        this.projectRegistry = projectRegistry;
+    }
+    
+    filter(tasks) {
+        return tasks.filter(task => task.getProjectId() === this.projectId);
+    }
+    
+    getName() {
+        const project = this.projectRegistry.findProject(this.projectId);
+        return `Projeto: ${project ? project.getName() : this.projectId}`;
+    }
+}
+
+/**
+ * Estratégia para filtrar as tarefas dos projetos de um cliente
+ */
+class ClientFilterStrategy extends FilterStrategy {
+    constructor(clientId, projectRegistry) {
+        super();
+        this.clientId = clientId;
+        this.projectRegistry = projectRegistry;
+    }
+    
+    filter(tasks) {
+        return tasks.filter(task => this.projectRegistry.getTaskClient(task)?.getCnpj() === this.clientId);
+    }
+    
+    getName() {
+        const client = this.projectRegistry.findClient(this.clientId);
+        return `Cliente: ${client ? client.getName() : this.clientId}`;
+    }
+}
+
+/**
+ * Estratégia para filtrar as tarefas atribuídas a um funcionário
+ * (matrícula null filtra as tarefas sem responsável)
+ */
+class AssigneeFilterStrategy extends FilterStrategy {
+    constructor(registration, projectRegistry) {
+        super();
+        this.registration = registration;
+        this.projectRegistry = projectRegistry;
+    }
+    
+    filter(tasks) {
+        return tasks.filter(task => this.registration === null
+            ? task.getAssignees().length === 0
+            : task.isAssignedTo(this.registration));
+    }
+    
+    getName() {
+        if (this.registration === null) {
+            return 'Sem responsável';
+        }
+        const employee = this.projectRegistry.findEmployee(this.registration);
+        return `Responsável: ${employee ? employee.getName() : this.registration}`;
+    }
+}
+
+/**
+ * Estratégia para filtrar pelo vencimento (DueDateDecorator)
+ * operator: '<', '<=', '>', '>=' ou '=' comparado com a data 'AAAA-MM-DD'; data null filtra as tarefas sem vencimento
+ */
+class DueDateFilterStrategy extends FilterStrategy {
+    constructor(operator, dueDate) {
+        super();
+        this.operator = operator;
+        this.dueDate = dueDate;
+    }
+    
+    filter(tasks) {
+        return tasks.filter(task => {
+            const taskDueDate = task.getDueDate();
+            if (this.dueDate === null) {
+                return !taskDueDate;
+            }
+            if (!taskDueDate) {
+                return false;
+            }
+            
+            // Datas 'AAAA-MM-DD' podem ser comparadas como texto
+            const dueDate = DueDateDecorator.formatDate(taskDueDate);
+            switch(this.operator) {
+                case '<': return dueDate < this.dueDate;
+                case '<=': return dueDate <= this.dueDate;
+                case '>': return dueDate > this.dueDate;
+                case '>=': return dueDate >= this.dueDate;
+                default: return dueDate === this.dueDate;
+            }
+        });
+    }
+    
+    getName() {
+        return this.dueDate === null ? 'Sem vencimento' : `Vencimento ${this.operator} ${this.dueDate}`;
+    }
+}
+
+/**
+ * Estratégia para filtrar pela alta prioridade (HighPriorityDecorator)
+ */
+class PriorityFilterStrategy extends FilterStrategy {
+    constructor(highPriority) {
+        super();
+        this.highPriority = highPriority;
+    }
+    
+    filter(tasks) {
+        return tasks.filter(task => task.isHighPriority() === this.highPriority);
+    }
+    
+    getName() {
+        return this.highPriority ? 'Alta prioridade' : 'Prioridade normal';
+    }
+}
+
+/**
+ * Estratégia para filtrar as tarefas de uma etiqueta (Tag); null filtra as tarefas sem etiqueta
+ */
+class TagFilterStrategy extends FilterStrategy {
+    constructor(tagId, tagRegistry) {
+        super();
+        this.tagId = tagId;
+        this.tagRegistry = tagRegistry;
+    }
+    
+    // Sem cadastro, qualquer ID de etiqueta na tarefa conta
+    filter(tasks) {
+        return tasks.filter(task => this.tagId === null
+            ? (this.tagRegistry ? this.tagRegistry.getTaskTags(task) : task.getTagIds()).length === 0
+            : task.hasTag(this.tagId));
+    }
+    
+    getName() {
+        if (this.tagId === null) {
+            return 'Sem etiqueta';
+        }
+        const tag = this.tagRegistry?.findTag(this.tagId);
+        return `Etiqueta: ${tag ? tag.getName() : this.tagId}`;
+    }
+}
+
+/**
+ * Estratégia para filtrar pela dificuldade (DifficultyDecorator); null filtra as tarefas sem dificuldade
+ */
+class DifficultyFilterStrategy extends FilterStrategy {
+    constructor(difficulty) {
+        super();
+        this.difficulty = difficulty;
+    }
+    
+    filter(tasks) {
+        return tasks.filter(task => task.getDifficultyLevel() === this.difficulty);
+    }
+    
+    getName() {
+        return this.difficulty === null ? 'Sem dificuldade' : `Dificuldade: ${DifficultyDecorator.NAMES[this.difficulty] || this.difficulty}`;
+    }
+}
+
+/**
+ * Estratégia que combina várias estratégias de filtragem (todas devem ser satisfeitas: E)
+ */
+class CombinedFilterStrategy extends FilterStrategy {
+    constructor(strategies) {
+        super();
+        this.strategies = strategies;
+    }
+    
+    filter(tasks) {
+        return this.strategies.reduce((result, strategy) => strategy.filter(result), tasks);
+    }
+    
+    getName() {
+        return this.strategies.map(strategy => strategy.getName()).join(' + ');
+    }
+}
+
+/**
+ * Estratégia que mantém as tarefas aceitas por pelo menos uma das estratégias (OU)
+ */
+class OrFilterStrategy extends FilterStrategy {
+    constructor(strategies) {
+        super();
+        this.strategies = strategies;
+    }
+    
+    filter(tasks) {
+        // Preservar a ordem original das tarefas
+        const accepted = new Set(this.strategies.flatMap(strategy => strategy.filter(tasks)));
+        return tasks.filter(task => accepted.has(task));
+    }
+    
+    getName() {
+        return `(${this.strategies.map(strategy => strategy.getName()).join(' ou ')})`;
+    }
+}
+
+/**
+ * Estratégia que mantém as tarefas rejeitadas por outra estratégia (NÃO)
+ */
+class NotFilterStrategy extends FilterStrategy {
+    constructor(strategy) {
+        super();
+        this.strategy = strategy;
+    }
+    
+    filter(tasks) {
+        const rejected = new Set(this.strategy.filter(tasks));
+        return tasks.filter(task => !rejected.has(task));
+    }
+    
+    getName() {
+        return `Não ${this.strategy.getName()}`;
+    }
+}
+
 /**
  * Contexto que utiliza as estratégias para ordenar e filtrar tarefas
  */
 class TaskSorterFilterer {
-    constructor() {
+    // Agrupamentos da lista de tarefas
+    static GROUPINGS = {
+        'group': 'Por grupo',
+        'type': 'Por tipo',
+        'status': 'Por status',
+        'none': 'Sem agrupamento'
+    };
+    
+    // projectRegistry: cadastro usado pelos filtros de projeto e de cliente; tagRegistry: pelo filtro de etiqueta
+    // getNow: função que devolve a data atual (relógio usado pela pesquisa)
+    constructor(projectRegistry = null, tagRegistry = null, getNow = () => new Date()) {
+        this.projectRegistry = projectRegistry;
+        this.tagRegistry = tagRegistry;
+        
+        // Interpretador das consultas da pesquisa (ex: type:Trabalho OR priority:high)
+        this.queryParser = new QueryParser(projectRegistry, tagRegistry, getNow);
+        
         // Estratégias de ordenação disponíveis
         this.sortStrategies = {
             'date-newest': new DateNewestFirstStrategy(),
@@ -257,25 +610,131 @@ class TaskSorterFilterer {
             'alpha-za': new AlphabeticalZAStrategy(),
             'status-pending': new StatusPendingFirstStrategy(),
             'status-complete': new StatusCompletedFirstStrategy(),
-            'type': new TaskTypeStrategy()
+            'type': new TaskTypeStrategy(),
+            'estimate': new EstimateStrategy(),
+            'due-date': new DueDateStrategy(),
+            'priority': new PriorityStrategy(),
+            'difficulty': new DifficultyStrategy(),
+            'manual': new ManualOrderStrategy()
         };
         
-        // Estratégias de filtragem disponíveis
-        this.filterStrategies = {
-            'all': new ShowAllFilterStrategy(),
-            'pending': new PendingFilterStrategy(),
-            'in-progress': new InProgressFilterStrategy(),
-            'completed': new CompletedFilterStrategy()
-        };
+        // Ordenação por várias chaves pronta para uso (as demais são montadas com os critérios de desempate)
+        this.sortStrategies['priority-due-title'] = new MultiKeySortStrategy([
+            { strategy: this.sortStrategies['priority'], direction: 'asc' },
+            { strategy: this.sortStrategies['due-date'], direction: 'asc' },
+            { strategy: this.sortStrategies['alpha-az'], direction: 'asc' }
+        ], 'Prioridade, vencimento e título');
+        
+        // Estratégias de filtragem disponíveis (uma para cada status do fluxo de trabalho)
+        this.filterStrategies = { 'all': new ShowAllFilterStrategy() };
+        StatusWorkflow.getIds().forEach(status => {
+            this.filterStrategies[status] = new StatusFilterStrategy(status);
+        });
         
         // Estratégias padrão
         this.currentSortStrategy = this.sortStrategies['date-newest'];
         this.currentFilterStrategy = this.filterStrategies['all'];
+        
+        // Sentido da ordenação ('desc' inverte a ordem da estratégia) e agrupamento da lista
+        this.sortDirection = 'asc';
+        this.grouping = 'group';
+        
+        // Critérios de desempate, aplicados em ordem depois da ordenação atual: [{ key, direction }]
+        this.thenBy = [];
+    }
+    
+    // Chave da estratégia de ordenação atual
+    getSortKey() {
+        return Object.keys(this.sortStrategies).find(key => this.sortStrategies[key] === this.currentSortStrategy);
+    }
+    
+    getSortDirection() {
+        return this.sortDirection;
+    }
+    
+    setSortDirection(direction) {
+        if (direction === 'asc' || direction === 'desc') {
+            this.sortDirection = direction;
+            return true;
+        }
+        return false;
+    }
+    
+    getThenBy() {
+        return this.thenBy.map(key => ({ ...key }));
+    }
+    
+    setThenBy(thenBy) {
+        if (!this.isValidThenBy(thenBy)) {
+            return false;
+        }
+        this.thenBy = thenBy.map(({ key, direction }) => ({ key, direction }));
+        return true;
+    }
+    
+    // Critérios de desempate válidos: estratégias conhecidas (exceto a manual, que não compara tarefas) com um sentido
+    isValidThenBy(thenBy) {
+        return Array.isArray(thenBy) && thenBy.every(item => item
+            && Object.hasOwn(this.sortStrategies, item.key)
+            && item.key !== 'manual'
+            && (item.direction === 'asc' || item.direction === 'desc'));
+    }
+    
+    // Criar a estratégia que ordena pela chave principal e desempata pelos critérios seguintes
+    // (null se alguma chave for desconhecida; a ordenação manual ignora os critérios de desempate)
+    createSortStrategy(sortKey, direction, thenBy = []) {
+        if (!Object.hasOwn(this.sortStrategies, sortKey) || !this.isValidThenBy(thenBy)) {
+            return null;
+        }
+        const keys = sortKey === 'manual' ? [] : thenBy;
+        return new MultiKeySortStrategy([
+            { strategy: this.sortStrategies[sortKey], direction },
+            ...keys.map(({ key, direction }) => ({ strategy: this.sortStrategies[key], direction }))
+        ]);
+    }
+    
+    getGrouping() {
+        return this.grouping;
+    }
+    
+    setGrouping(grouping) {
+        if (Object.hasOwn(TaskSorterFilterer.GROUPINGS, grouping)) {
+            this.grouping = grouping;
+            return true;
+        }
+        return false;
+    }
+    
+    // Separar as tarefas (já ordenadas) em seções pelo agrupamento por tipo ou por status: [{ label, tasks }]
+    // (os agrupamentos 'group' e 'none' não dividem as tarefas: uma única seção sem título)
+    groupTasks(tasks) {
+        let getLabel;
+        switch(this.grouping) {
+            case 'type':
+                getLabel = task => task.getType();
+                break;
+            case 'status':
+                // Seções na ordem do fluxo de trabalho
+                tasks = [...tasks].sort((a, b) => StatusWorkflow.getOrder(a.getStatus()) - StatusWorkflow.getOrder(b.getStatus()));
+                getLabel = task => StatusWorkflow.getLabel(task.getStatus());
+                break;
+            default:
+                return [{ label: null, tasks }];
+        }
+        
+        const sections = new Map();
+        tasks.forEach(task => {
+            if (!sections.has(getLabel(task))) {
+                sections.set(getLabel(task), []);
+            }
+            sections.get(getLabel(task)).push(task);
+        });
+        return [...sections.entries()].map(([label, sectionTasks]) => ({ label, tasks: sectionTasks }));
     }
     
     // Definir estratégia de ordenação
     setSortStrategy(strategyKey) {
-        if (this.sortStrategies[strategyKey]) {
+        if (Object.hasOwn(this.sortStrategies, strategyKey)) {
             this.currentSortStrategy = this.sortStrategies[strategyKey];
             return true;
         }
@@ -284,26 +743,78 @@ class TaskSorterFilterer {
     
     // Definir estratégia de filtragem
     setFilterStrategy(strategyKey) {
-        if (this.filterStrategies[strategyKey]) {
-            this.currentFilterStrategy = this.filterStrategies[strategyKey];
+        const strategy = this.createFilterStrategy(strategyKey);
+        if (strategy) {
+            this.currentFilterStrategy = strategy;
             return true;
+        }
+        return false;
+    }
+    
+    // Definir várias estratégias de filtragem combinadas (ex: status + tipo + pesquisa)
+    // (uma consulta inválida lança um erro e mantém a filtragem atual)
+    setFilterStrategies(strategyKeys) {
+        const strategy = this.createCombinedFilterStrategy(strategyKeys);
+        if (!strategy) {
+            return false;
+        }
+        
+        this.currentFilterStrategy = strategy;
+        return true;
+    }
+    
+    // Criar uma estratégia que combina as estratégias das chaves, sem alterar a atual
+    // (null se alguma chave for desconhecida; usada também para contar as tarefas das visualizações salvas)
+    createCombinedFilterStrategy(strategyKeys) {
+        const strategies = strategyKeys.map(key => this.createFilterStrategy(key));
+        if (strategies.includes(null)) {
+            return null;
+        }
+        
+        if (strategies.length === 0) {
+            return this.filterStrategies['all'];
+        } else if (strategies.length === 1) {
+            return strategies[0];
+        }
+        return new CombinedFilterStrategy(strategies);
+    }
+    
+    // Criar a estratégia de filtragem correspondente a uma chave
+    createFilterStrategy(strategyKey) {
+        if (Object.hasOwn(this.filterStrategies, strategyKey)) {
+            return this.filterStrategies[strategyKey];
         } else if (strategyKey.startsWith('type:')) {
-            const type = strategyKey.split(':')[1];
-            this.currentFilterStrategy = new TypeFilterStrategy(type);
-            return true;
+            return new TypeFilterStrategy(strategyKey.slice('type:'.length));
         } else if (strategyKey.startsWith('search:')) {
-            const searchText = strategyKey.split(':')[1];
-            this.currentFilterStrategy = new SearchFilterStrategy(searchText);
-            return true;
+            return new SearchFilterStrategy(strategyKey.slice('search:'.length));
+        } else if (strategyKey.startsWith('query:')) {
+            // Lança um erro com a descrição do problema se a consulta for inválida
+            return this.queryParser.parse(strategyKey.slice('query:'.length));
+        } else if (strategyKey.startsWith('project:') && this.projectRegistry) {
+            return new ProjectFilterStrategy(parseInt(strategyKey.slice('project:'.length)), this.projectRegistry);
+        } else if (strategyKey.startsWith('client:') && this.projectRegistry) {
+            return new ClientFilterStrategy(strategyKey.slice('client:'.length), this.projectRegistry);
+        } else if (strategyKey.startsWith('assignee:') && this.projectRegistry) {
+            // "assignee:" sem matrícula filtra as tarefas sem responsável
+            return new AssigneeFilterStrategy(strategyKey.slice('assignee:'.length) || null, this.projectRegistry);
+        } else if (strategyKey.startsWith('tag:') && this.tagRegistry) {
+            // "tag:" sem ID filtra as tarefas sem etiqueta
+            const tagId = strategyKey.slice('tag:'.length);
+            return new TagFilterStrategy(tagId ? parseInt(tagId) : null, this.tagRegistry);
         }
-        return false;
+        return null;
     }
     
     // Processar as tarefas com as estratégias atuais
     process(tasks) {
         // Primeiro filtra, depois ordena
         const filteredTasks = this.currentFilterStrategy.filter(tasks);
-        return this.currentSortStrategy.sort(filteredTasks);
+        return this.getEffectiveSortStrategy().sort(filteredTasks);
+    }
+    
+    // Estratégia atual com o seu sentido e os critérios de desempate
+    getEffectiveSortStrategy() {
+        return this.createSortStrategy(this.getSortKey(), this.sortDirection, this.thenBy);
     }
     
     // Obter todas as estratégias de ordenação disponíveis
@@ -330,7 +841,7 @@ class TaskSorterFilterer {
     getCurrentStrategiesInfo() {
         return {
             sort: {
-                name: this.currentSortStrategy.getName()
+                name: this.getEffectiveSortStrategy().getName()
             },
             filter: {
                 name: this.currentFilterStrategy.getName()
@@ -0,0 +1,82 @@
+/**
+ * Grafo de dependências entre tarefas
+ *
+ * Cada tarefa guarda os IDs das tarefas que precisam ser concluídas antes dela
+ * (pré-requisitos). O grafo responde quais tarefas estão bloqueadas e recusa
+ * ligações que criariam um ciclo (ex: A depende de B e B depende de A).
+ */
+class DependencyGraph {
+    // getTasks: função que devolve as tarefas atuais
+    constructor(getTasks) {
+        this.getTasks = getTasks;
+    }
+
+    findTask(id) {
+        return this.getTasks().find(task => task.getId() === id) || null;
+    }
+
+    // Pré-requisitos de uma tarefa (ignorando IDs de tarefas que não existem mais)
+    getPrerequisites(task) {
+        return task.getDependencies().map(id => this.findTask(id)).filter(Boolean);
+    }
+
+    // Pré-requisitos ainda não concluídos
+    getOpenPrerequisites(task) {
+        return this.getPrerequisites(task).filter(prerequisite => prerequisite.getStatus() !== StatusWorkflow.COMPLETED);
+    }
+
+    isBlocked(task) {
+        return this.getOpenPrerequisites(task).length > 0;
+    }
+
+    // IDs das tarefas bloqueadas no momento
+    getBlockedTaskIds() {
+        return new Set(this.getTasks().filter(task => this.isBlocked(task)).map(task => task.getId()));
+    }
+
+    // Tarefas que dependem diretamente da tarefa informada
+    getDependents(taskId) {
+        return this.getTasks().filter(task => task.getDependencies().includes(taskId));
+    }
+
+    // Verificar se `taskId` passar a depender de `prerequisiteId` criaria um ciclo,
+    // ou seja, se `prerequisiteId` já depende (direta ou indiretamente) de `taskId`
+    wouldCreateCycle(taskId, prerequisiteId) {
+        const visited = new Set();
+        const pending = [prerequisiteId];
+
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (id === taskId) {
+                return true;
+            }
+            if (visited.has(id)) {
+                continue;
+            }
+            visited.add(id);
+
+            const task = this.findTask(id);
+            if (task) {
+                pending.push(...task.getDependencies());
+            }
+        }
+
+        return false;
+    }
+
+    // Validar um novo pré-requisito (lança um erro se a ligação for inválida)
+    validateDependency(taskId, prerequisiteId) {
+        const task = this.findTask(taskId);
+        const prerequisite = this.findTask(prerequisiteId);
+
+        if (!task || !prerequisite) {
+            throw new Error('Tarefa não encontrada.');
+        }
+        if (taskId === prerequisiteId) {
+            throw new Error('Uma tarefa não pode depender de si mesma.');
+        }
+        if (this.wouldCreateCycle(taskId, prerequisiteId)) {
+            throw new Error(`"${prerequisite.getTitle()}" já depende de "${task.getTitle()}": a ligação criaria um ciclo.`);
+        }
+    }
+}
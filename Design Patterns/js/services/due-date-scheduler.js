@@ -0,0 +1,122 @@
+/**
+ * Agendador de lembretes de vencimento
+ *
+ * Verifica periodicamente as tarefas que possuem DueDateDecorator e avisa quando
+ * uma tarefa está para vencer (conforme a antecedência configurada em
+ * `reminderLeadDays`) ou já venceu. Cada lembrete é enviado uma única vez por
+ * tarefa e data de vencimento; os lembretes enviados ficam salvos no localStorage.
+ *
+ * O relógio é injetável: qualquer objeto com um método `now()` pode substituir
+ * o SystemClock, permitindo testar o agendador sem esperar o tempo passar.
+ */
+
+/**
+ * Relógio padrão, baseado na hora do sistema
+ */
+class SystemClock {
+    now() {
+        return new Date();
+    }
+}
+
+class DueDateScheduler {
+    static STORAGE_KEY = 'task-manager-reminders';
+    static CHECK_INTERVAL = 60 * 1000; // intervalo entre verificações (ms)
+
+    // getTasks: função que devolve as tarefas atuais
+    // onReminders: recebe a lista de lembretes gerados em cada verificação
+    constructor(getTasks, onReminders, clock = new SystemClock(), storage = window.localStorage) {
+        this.getTasks = getTasks;
+        this.onReminders = onReminders;
+        this.clock = clock;
+        this.storage = storage;
+        this.timer = null;
+        this.sentReminders = this.loadSentReminders();
+    }
+
+    // Verificar imediatamente e depois a cada intervalo
+    start(interval = DueDateScheduler.CHECK_INTERVAL) {
+        this.stop();
+        this.check();
+        this.timer = setInterval(() => this.check(), interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Data de vencimento da tarefa (null se ela não tiver o decorador)
+    getDueDate(task) {
+        return task.getDueDate();
+    }
+
+    // Situação do vencimento de uma tarefa: { dueDate, daysLeft, overdue } ou null (sem vencimento ou encerrada)
+    getDueState(task) {
+        const dueDate = this.getDueDate(task);
+        if (!dueDate || StatusWorkflow.isClosed(task.getStatus())) {
+            return null;
+        }
+
+        const daysLeft = DueDateDecorator.daysUntil(dueDate, this.clock.now());
+        return { dueDate, daysLeft, overdue: daysLeft < 0 };
+    }
+
+    // Gerar os lembretes pendentes para todas as tarefas (retorna os lembretes gerados)
+    check() {
+        const now = this.clock.now();
+        const leadDays = [...configManager.getConfig('reminderLeadDays')].sort((a, b) => a - b);
+        const reminders = [];
+        const activeKeys = new Set();
+
+        this.getTasks().forEach(task => {
+            const state = this.getDueState(task);
+            if (!state) return;
+
+            const prefix = `${task.getId()}:${state.dueDate.getTime()}`;
+            activeKeys.add(prefix);
+
+            if (state.overdue) {
+                this.addReminder(reminders, `${prefix}:overdue`, TaskEvent.OVERDUE, task, state, now);
+                return;
+            }
+
+            // Usar a menor antecedência que já foi alcançada (ex: com [3, 1, 0], faltando 2 dias vale a de 3)
+            const lead = leadDays.find(days => days >= state.daysLeft);
+            if (lead !== undefined) {
+                this.addReminder(reminders, `${prefix}:${lead}`, TaskEvent.DUE_SOON, task, state, now);
+            }
+        });
+
+        // Esquecer lembretes de tarefas excluídas, concluídas ou com outro vencimento
+        this.sentReminders = new Set([...this.sentReminders].filter(key => activeKeys.has(key.slice(0, key.lastIndexOf(':')))));
+        this.saveSentReminders();
+
+        if (reminders.length > 0) {
+            this.onReminders(reminders);
+        }
+        return reminders;
+    }
+
+    addReminder(reminders, key, type, task, state, now) {
+        if (this.sentReminders.has(key)) return;
+
+        this.sentReminders.add(key);
+        reminders.push({ type, task, dueDate: state.dueDate, timestamp: now });
+    }
+
+    loadSentReminders() {
+        try {
+            return new Set(JSON.parse(this.storage.getItem(DueDateScheduler.STORAGE_KEY)) || []);
+        } catch (error) {
+            console.error('Erro ao carregar os lembretes enviados:', error);
+            return new Set();
+        }
+    }
+
+    saveSentReminders() {
+        this.storage.setItem(DueDateScheduler.STORAGE_KEY, JSON.stringify([...this.sentReminders]));
+    }
+}
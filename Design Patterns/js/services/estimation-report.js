@@ -0,0 +1,76 @@
+/**
+ * Relatório de esforço estimado e realizado
+ *
+ * Compara, por tarefa, por grupo e por tipo de tarefa, a estimativa com o tempo
+ * registrado nas tarefas estimadas. A diferença só é calculada para estimativas
+ * em horas (e PERT); para estimativas em pontos o relatório mostra as horas
+ * gastas por ponto. As estimativas dos grupos vêm do TaskGroup, que as soma
+ * pelos subgrupos.
+ */
+class EstimationReport {
+    // getTasks / getGroups: funções que devolvem as tarefas e os grupos de nível superior atuais
+    constructor(getTasks, getGroups) {
+        this.getTasks = getTasks;
+        this.getGroups = getGroups;
+    }
+
+    // { name, estimate (EstimateSummary), hoursActual, pointsActual } com o tempo em milissegundos,
+    // separado entre as tarefas estimadas em horas e as estimadas em pontos
+    createRow(name, tasks, estimate, now) {
+        const estimated = tasks.filter(task => task.getEstimate());
+        const timeSpent = inPoints => estimated
+            .filter(task => task.getEstimate().isInPoints() === inPoints)
+            .reduce((total, task) => total + task.getTimeSpent(now), 0);
+
+        return {
+            name,
+            estimate: estimate ?? estimated.reduce((total, task) => total.add(task.getEstimateSummary()), new EstimateSummary()),
+            hoursActual: timeSpent(false),
+            pointsActual: timeSpent(true)
+        };
+    }
+
+    getTaskRows(now = new Date()) {
+        return this.getTasks()
+            .filter(task => task.getEstimate())
+            .map(task => this.createRow(task.getBaseTask().getTitle(), [task], null, now));
+    }
+
+    // Uma linha por grupo e subgrupo (ex: "Projeto / Fase 1")
+    getGroupRows(now = new Date()) {
+        const rows = [];
+        const visit = (group, path) => {
+            const name = path ? `${path} / ${group.getTitle()}` : group.getTitle();
+            const estimate = group.getEstimateSummary();
+            if (!estimate.isEmpty()) {
+                rows.push(this.createRow(name, group.getAllLeaves().map(leaf => leaf.getTask()), estimate, now));
+            }
+            group.children.filter(child => child.isComposite()).forEach(child => visit(child, name));
+        };
+
+        this.getGroups().forEach(group => visit(group, ''));
+        return rows;
+    }
+
+    getTypeRows(now = new Date()) {
+        const tasksByType = new Map();
+        this.getTasks().filter(task => task.getEstimate()).forEach(task => {
+            if (!tasksByType.has(task.getType())) {
+                tasksByType.set(task.getType(), []);
+            }
+            tasksByType.get(task.getType()).push(task);
+        });
+
+        return [...tasksByType.entries()].map(([type, tasks]) => this.createRow(type, tasks, null, now));
+    }
+
+    // Realizado menos estimado nas tarefas estimadas em horas (milissegundos; null sem estimativas em horas)
+    static getDifference(row) {
+        return row.estimate.getHoursCount() > 0 ? row.hoursActual - row.estimate.getHours() * 3600000 : null;
+    }
+
+    // Horas gastas por ponto estimado (null sem pontos)
+    static getHoursPerPoint(row) {
+        return row.estimate.getPoints() > 0 ? row.pointsActual / 3600000 / row.estimate.getPoints() : null;
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Cadastro de projetos, clientes e funcionários
+ *
+ * Mantém as entidades do modelo SQL (Projeto, Cliente, Funcionario) e as mesmas
+ * regras de integridade das chaves estrangeiras: um projeto precisa de um cliente
+ * e de um responsável cadastrados, e um cliente ou funcionário ligado a um projeto
+ * não pode ser excluído. As tarefas guardam apenas o ID do projeto e as matrículas
+ * dos funcionários responsáveis.
+ *
+ * Os métodos de gravação validam os dados e lançam um erro com a mensagem para o
+ * usuário quando algo está inválido.
+ */
+class ProjectRegistry {
+    static lastProjectId = 0;
+
+    // getTasks: função que devolve as tarefas atuais
+    constructor(getTasks) {
+        this.getTasks = getTasks;
+        this.clients = [];
+        this.employees = [];
+        this.projects = [];
+    }
+
+    // Substituir todos os cadastros (ao carregar o workspace)
+    setData({ clients, employees, projects }) {
+        this.clients = [...clients];
+        this.employees = [...employees];
+        this.projects = [...projects];
+    }
+
+    getClients() {
+        return [...this.clients];
+    }
+
+    getEmployees() {
+        return [...this.employees];
+    }
+
+    getProjects() {
+        return [...this.projects];
+    }
+
+    findClient(cnpj) {
+        return this.clients.find(client => client.getCnpj() === cnpj) || null;
+    }
+
+    findEmployee(registration) {
+        return this.employees.find(employee => employee.getRegistration() === registration) || null;
+    }
+
+    findProject(id) {
+        return this.projects.find(project => project.getId() === id) || null;
+    }
+
+    // Cliente do projeto de uma tarefa (null se a tarefa não tiver projeto)
+    getTaskClient(task) {
+        const project = this.findProject(task.getProjectId());
+        return project ? this.findClient(project.getClientId()) : null;
+    }
+
+    getProjectTasks(projectId) {
+        return this.getTasks().filter(task => task.getProjectId() === projectId);
+    }
+
+    getEmployeeTasks(registration) {
+        return this.getTasks().filter(task => task.isAssignedTo(registration));
+    }
+
+    // Tempo registrado nas tarefas de um projeto (em milissegundos)
+    getProjectTimeSpent(projectId, now = new Date()) {
+        return this.getProjectTasks(projectId).reduce((total, task) => total + task.getTimeSpent(now), 0);
+    }
+
+    // Incluir ou alterar um cliente (originalCnpj identifica o cliente editado)
+    saveClient({ cnpj, name, address, phone, contactName, email }, originalCnpj = null) {
+        const digits = cnpj.replace(/\D/g, '');
+        if (digits.length !== 14) {
+            throw new Error('O CNPJ deve ter 14 dígitos.');
+        }
+        if (!name.trim()) {
+            throw new Error('Informe o nome do cliente.');
+        }
+        if (digits !== originalCnpj && this.findClient(digits)) {
+            throw new Error(`Já existe um cliente com o CNPJ ${this.findClient(digits).getFormattedCnpj()}.`);
+        }
+
+        const client = new Client(digits, name.trim(), address.trim(), phone.trim(), contactName.trim(), email.trim());
+        this.replace(this.clients, originalCnpj, client);
+
+        // Manter os projetos ligados ao cliente quando o CNPJ for corrigido
+        if (originalCnpj && originalCnpj !== digits) {
+            this.projects = this.projects.map(project => project.getClientId() !== originalCnpj ? project : new Project(
+                project.getId(), project.getName(), project.getResponsibleId(), digits,
+                project.getStartDate(), project.getEndDate(), project.getDescription()));
+        }
+        return client;
+    }
+
+    // Incluir ou alterar um funcionário (a matrícula não muda depois do cadastro)
+    saveEmployee({ registration, name, role, phone, email }, originalRegistration = null) {
+        const id = originalRegistration || registration.trim();
+        if (!id) {
+            throw new Error('Informe a matrícula do funcionário.');
+        }
+        if (!name.trim()) {
+            throw new Error('Informe o nome do funcionário.');
+        }
+        if (!originalRegistration && this.findEmployee(id)) {
+            throw new Error(`Já existe um funcionário com a matrícula ${id}.`);
+        }
+
+        const employee = new Employee(id, name.trim(), role.trim(), phone.trim(), email.trim());
+        this.replace(this.employees, originalRegistration, employee);
+        return employee;
+    }
+
+    // Incluir (id null) ou alterar um projeto
+    saveProject({ name, responsibleId, clientId, startDate, endDate, description }, id = null) {
+        if (!name.trim()) {
+            throw new Error('Informe o nome do projeto.');
+        }
+        if (!this.findEmployee(responsibleId)) {
+            throw new Error('Escolha um funcionário responsável cadastrado.');
+        }
+        if (!this.findClient(clientId)) {
+            throw new Error('Escolha um cliente cadastrado.');
+        }
+        if (!startDate || !endDate) {
+            throw new Error('Informe as datas de início e de fim do projeto.');
+        }
+        if (endDate < startDate) {
+            throw new Error('A data de fim não pode ser anterior à data de início.');
+        }
+
+        const project = new Project(id ?? ++ProjectRegistry.lastProjectId, name.trim(), responsibleId, clientId,
+            startDate, endDate, description.trim());
+        this.replace(this.projects, id, project);
+        return project;
+    }
+
+    deleteClient(cnpj) {
+        const project = this.projects.find(project => project.getClientId() === cnpj);
+        if (project) {
+            throw new Error(`O cliente não pode ser excluído: ele está ligado ao projeto "${project.getName()}".`);
+        }
+        this.clients = this.clients.filter(client => client.getCnpj() !== cnpj);
+    }
+
+    deleteEmployee(registration) {
+        const project = this.projects.find(project => project.getResponsibleId() === registration);
+        if (project) {
+            throw new Error(`O funcionário não pode ser excluído: ele é o responsável pelo projeto "${project.getName()}".`);
+        }
+        this.employees = this.employees.filter(employee => employee.getRegistration() !== registration);
+    }
+
+    deleteProject(id) {
+        this.projects = this.projects.filter(project => project.getId() !== id);
+    }
+
+    // Substituir a entidade com o ID original ou adicioná-la no final
+    replace(list, originalId, entity) {
+        const index = originalId === null ? -1 : list.findIndex(item => item.getId() === originalId);
+        if (index === -1) {
+            list.push(entity);
+        } else {
+            list[index] = entity;
+        }
+    }
+}
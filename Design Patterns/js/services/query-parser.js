@@ -0,0 +1,369 @@
+/**
+ * Linguagem de consulta da pesquisa de tarefas
+ *
+ * Transforma um texto como `type:Trabalho status:"Em Andamento" due:<2026-11-01 -tag:Urgente "frase exata"`
+ * em uma árvore de estratégias de filtragem (Strategy). Termos lado a lado são
+ * combinados com AND; OR, NOT (ou o prefixo "-") e parênteses mudam a combinação.
+ * Texto sem campo pesquisa no título e na descrição; use aspas para pesquisar
+ * textos com espaços ou com ':'. Consultas inválidas lançam um Error com a
+ * descrição do problema e a posição em que ele foi encontrado.
+ */
+class QueryParser {
+    // Campos aceitos e a descrição exibida no autocompletar
+    static FIELDS = {
+        'type': 'Tipo da tarefa',
+        'status': 'Status',
+        'due': 'Vencimento: AAAA-MM-DD com <, <=, >, >= ou none',
+        'tag': 'Etiqueta: nome ou none',
+        'priority': 'Prioridade: high ou normal',
+        'difficulty': 'Dificuldade',
+        'project': 'Projeto',
+        'client': 'Cliente',
+        'assignee': 'Responsável: nome, matrícula, me ou none'
+    };
+
+    // Nomes antigos de campos, aceitos nas consultas já salvas (label: era a etiqueta colorida)
+    static ALIASES = {
+        'label': 'tag'
+    };
+
+    // Operadores (só em maiúsculas, para não confundir com o texto pesquisado)
+    static KEYWORDS = ['AND', 'OR', 'NOT'];
+
+    static TASK_TYPES = ['Pessoal', 'Trabalho', 'Estudo', 'Trabalho Voluntário'];
+
+    // getNow: função que devolve a data atual (o relógio do UIController, usado nas sugestões de vencimento)
+    constructor(projectRegistry = null, tagRegistry = null, getNow = () => new Date()) {
+        this.projectRegistry = projectRegistry;
+        this.tagRegistry = tagRegistry;
+        this.getNow = getNow;
+    }
+
+    // Erro com a posição (a partir de 1) do trecho inválido
+    error(message, position) {
+        return new Error(`${message} (posição ${position + 1}).`);
+    }
+
+    // Comparar textos sem diferenciar maiúsculas nem acentos
+    static equals(a, b) {
+        return a.localeCompare(b, undefined, { sensitivity: 'base' }) === 0;
+    }
+
+    static normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Nome atual de um campo digitado (os nomes antigos de ALIASES viram o campo novo)
+    static resolveField(typedField) {
+        return Object.hasOwn(QueryParser.ALIASES, typedField) ? QueryParser.ALIASES[typedField] : typedField;
+    }
+
+    // Colocar o valor entre aspas se ele tiver espaços ou caracteres especiais
+    static quote(value) {
+        return /[\s():"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    }
+
+    // Dividir a consulta em parênteses, operadores e termos ({ kind, position, field, value })
+    tokenize(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            const char = text[index];
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ kind: char, position: index });
+                index++;
+            } else if (char === '-' && index + 1 < text.length && !/[\s()]/.test(text[index + 1])) {
+                tokens.push({ kind: 'NOT', position: index });
+                index++;
+            } else {
+                const end = this.findWordEnd(text, index);
+                tokens.push(this.createTermToken(text.slice(index, end), index));
+                index = end;
+            }
+        }
+
+        return tokens;
+    }
+
+    // Fim da palavra que começa em start (espaços e parênteses dentro de aspas fazem parte dela)
+    findWordEnd(text, start) {
+        let inQuotes = false;
+        let quotePosition = start;
+        let index = start;
+
+        for (; index < text.length; index++) {
+            const char = text[index];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+                quotePosition = index;
+            } else if (!inQuotes && (/\s/.test(char) || char === '(' || char === ')')) {
+                break;
+            }
+        }
+
+        if (inQuotes) {
+            throw this.error('Aspas não fechadas', quotePosition);
+        }
+        return index;
+    }
+
+    createTermToken(word, position) {
+        if (QueryParser.KEYWORDS.includes(word)) {
+            return { kind: word, position };
+        }
+
+        // Só o primeiro ':' antes das aspas separa o campo do valor
+        const colon = word.indexOf(':');
+        const quote = word.indexOf('"');
+        if (colon > 0 && (quote === -1 || colon < quote)) {
+            const typedField = word.slice(0, colon).toLowerCase();
+            const field = QueryParser.resolveField(typedField);
+            if (!Object.hasOwn(QueryParser.FIELDS, field)) {
+                throw this.error(`Campo desconhecido "${word.slice(0, colon)}". Campos: ${Object.keys(QueryParser.FIELDS).join(', ')}. Para pesquisar um texto com ":", use aspas`, position);
+            }
+
+            const value = word.slice(colon + 1).replace(/"/g, '').trim();
+            if (!value) {
+                throw this.error(`Informe um valor para o campo "${field}"`, position);
+            }
+            return { kind: 'term', position, field, value };
+        }
+
+        const value = word.replace(/"/g, '');
+        if (!value.trim()) {
+            throw this.error('Aspas vazias', position);
+        }
+        return { kind: 'term', position, field: null, value };
+    }
+
+    // Interpretar a consulta (texto vazio mostra todas as tarefas)
+    parse(text) {
+        const tokens = this.tokenize(text);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+
+        // Posição usada nos erros de consulta incompleta
+        const endPosition = () => (index < tokens.length ? tokens[index].position : text.trimEnd().length);
+
+        const parseOr = () => {
+            const operands = [parseAnd()];
+            while (peek()?.kind === 'OR') {
+                next();
+                operands.push(parseAnd());
+            }
+            return operands.length > 1 ? new OrFilterStrategy(operands) : operands[0];
+        };
+
+        const parseAnd = () => {
+            const operands = [parseNot()];
+            while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+                if (peek().kind === 'AND') {
+                    next();
+                }
+                operands.push(parseNot());
+            }
+            return operands.length > 1 ? new CombinedFilterStrategy(operands) : operands[0];
+        };
+
+        const parseNot = () => {
+            if (peek()?.kind === 'NOT') {
+                next();
+                return new NotFilterStrategy(parseNot());
+            }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) {
+                throw this.error('A consulta terminou antes do esperado: falta um termo', endPosition());
+            }
+
+            switch(token.kind) {
+                case '(': {
+                    if (peek()?.kind === ')') {
+                        throw this.error('Parênteses vazios', token.position);
+                    }
+                    const strategy = parseOr();
+                    if (next()?.kind !== ')') {
+                        throw this.error('Parêntese "(" sem o ")" correspondente', token.position);
+                    }
+                    return strategy;
+                }
+                case ')':
+                    throw this.error('Falta um termo antes de ")"', token.position);
+                case 'AND':
+                case 'OR':
+                    throw this.error(`"${token.kind}" precisa de um termo antes e depois`, token.position);
+                default:
+                    return this.createTermStrategy(token);
+            }
+        };
+
+        if (tokens.length === 0) {
+            return new ShowAllFilterStrategy();
+        }
+
+        const strategy = parseOr();
+        if (index < tokens.length) {
+            throw this.error('Parêntese ")" sem o "(" correspondente', tokens[index].position);
+        }
+        return strategy;
+    }
+
+    // Valores possíveis de um campo: [{ value, id }], onde id é o que a estratégia recebe
+    getFieldValues(field) {
+        const registry = this.projectRegistry;
+
+        switch(field) {
+            case 'type':
+                return QueryParser.TASK_TYPES.map(type => ({ value: type, id: type }));
+            case 'status':
+                return StatusWorkflow.STATUSES.map(status => ({ value: status.label, id: status.id }));
+            case 'tag':
+                return [
+                    ...(this.tagRegistry ? this.tagRegistry.getTags().map(tag => ({ value: tag.getName(), id: tag.getId() })) : []),
+                    { value: 'none', id: null }
+                ];
+            case 'priority':
+                return [{ value: 'high', id: true }, { value: 'normal', id: false }];
+            case 'difficulty':
+                return [
+                    ...Object.entries(DifficultyDecorator.NAMES).map(([difficulty, name]) => ({ value: name, id: difficulty })),
+                    { value: 'none', id: null }
+                ];
+            case 'project':
+                return registry ? registry.getProjects().map(project => ({ value: project.getName(), id: project.getId() })) : [];
+            case 'client':
+                return registry ? registry.getClients().map(client => ({ value: client.getName(), id: client.getCnpj() })) : [];
+            case 'assignee':
+                return [
+                    { value: 'me', id: configManager.getConfig('currentUser') || undefined },
+                    { value: 'none', id: null },
+                    ...(registry ? registry.getEmployees().map(employee => ({ value: employee.getName(), id: employee.getRegistration() })) : [])
+                ];
+            case 'due': {
+                const today = DueDateDecorator.formatDate(this.getNow());
+                return [{ value: `<${today}`, id: today }, { value: `>=${today}`, id: today }, { value: 'none', id: null }];
+            }
+            default:
+                return [];
+        }
+    }
+
+    // Identificador do valor informado para um campo (aceita também o próprio identificador, ex: status:in-progress)
+    resolveValue(token) {
+        const match = this.getFieldValues(token.field)
+            .find(option => QueryParser.equals(option.value, token.value) || (typeof option.id === 'string' && QueryParser.equals(option.id, token.value)));
+
+        if (!match) {
+            const values = this.getFieldValues(token.field).map(option => option.value);
+            throw this.error(`Valor desconhecido para "${token.field}": "${token.value}"` +
+                (values.length > 0 ? `. Valores: ${values.join(', ')}` : ''), token.position);
+        }
+        if (match.id === undefined) {
+            throw this.error('Escolha quem você é nas configurações para usar "assignee:me"', token.position);
+        }
+        return match.id;
+    }
+
+    createTermStrategy(token) {
+        switch(token.field) {
+            case null:
+                return new SearchFilterStrategy(token.value);
+            case 'type':
+                return new TypeFilterStrategy(this.resolveValue(token));
+            case 'status':
+                return new StatusFilterStrategy(this.resolveValue(token));
+            case 'due':
+                return this.createDueDateStrategy(token);
+            case 'tag':
+                return new TagFilterStrategy(this.resolveValue(token), this.tagRegistry);
+            case 'priority':
+                return new PriorityFilterStrategy(this.resolveValue(token));
+            case 'difficulty':
+                return new DifficultyFilterStrategy(this.resolveValue(token));
+            case 'project':
+                return new ProjectFilterStrategy(this.resolveValue(token), this.projectRegistry);
+            case 'client':
+                return new ClientFilterStrategy(this.resolveValue(token), this.projectRegistry);
+            case 'assignee':
+                return new AssigneeFilterStrategy(this.resolveValue(token), this.projectRegistry);
+        }
+    }
+
+    // due:<2026-11-01, due:>=2026-11-01, due:2026-11-01 ou due:none
+    createDueDateStrategy(token) {
+        if (QueryParser.equals(token.value, 'none')) {
+            return new DueDateFilterStrategy('=', null);
+        }
+
+        const [, operator = '=', date] = token.value.match(/^(<=|>=|<|>|=)?(.*)$/);
+        const isValidDate = /^\d{4}-\d{2}-\d{2}$/.test(date) && DueDateDecorator.formatDate(DueDateDecorator.parseDate(date)) === date;
+        if (!isValidDate) {
+            throw this.error(`Data inválida em "due:${token.value}". Use AAAA-MM-DD, opcionalmente com <, <=, > ou >= (ex: due:<2026-11-01)`, token.position);
+        }
+        return new DueDateFilterStrategy(operator, date);
+    }
+
+    // Sugestões para a palavra na posição do cursor: { start, end, items: [{ text, label, description }] }
+    // (start/end delimitam o trecho a ser substituído pelo text da sugestão escolhida)
+    getSuggestions(text, cursor) {
+        // Início da palavra atual, ignorando espaços e parênteses entre aspas
+        let start = 0;
+        let inQuotes = false;
+        for (let index = 0; index < cursor; index++) {
+            if (text[index] === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && /[\s()]/.test(text[index])) {
+                start = index + 1;
+            }
+        }
+        if (text[start] === '-') {
+            start++;
+        }
+
+        let end = cursor;
+        while (end < text.length && !/[\s()]/.test(text[end]) && !inQuotes) {
+            end++;
+        }
+
+        const word = text.slice(start, cursor);
+        const colon = word.indexOf(':');
+        let items;
+
+        const typedField = word.slice(0, colon).toLowerCase();
+        const field = QueryParser.resolveField(typedField);
+        if (colon > 0 && Object.hasOwn(QueryParser.FIELDS, field)) {
+            const typed = QueryParser.normalize(word.slice(colon + 1).replace(/"/g, ''));
+            items = this.getFieldValues(field)
+                .filter(option => QueryParser.normalize(option.value).includes(typed))
+                .map(option => ({
+                    text: `${field}:${QueryParser.quote(option.value)} `,
+                    label: option.value,
+                    description: QueryParser.FIELDS[field]
+                }));
+        } else if (word && colon === -1 && !word.includes('"')) {
+            const typed = word.toLowerCase();
+            items = [
+                ...Object.entries(QueryParser.FIELDS)
+                    .filter(([field]) => field.startsWith(typed))
+                    .map(([field, description]) => ({ text: `${field}:`, label: `${field}:`, description })),
+                ...QueryParser.KEYWORDS
+                    .filter(keyword => keyword.toLowerCase().startsWith(typed))
+                    .map(keyword => ({ text: `${keyword} `, label: keyword, description: 'Operador' }))
+            ];
+        } else {
+            items = [];
+        }
+
+        // Não sugerir exatamente o que já foi digitado
+        items = items.filter(item => item.text.trim() !== text.slice(start, end));
+        return { start, end, items };
+    }
+}
@@ -0,0 +1,376 @@
+/**
+ * Camada de persistência do workspace
+ *
+ * Salva e restaura no localStorage tudo o que o UIController mantém em memória:
+ * tarefas (com a subclasse e a cadeia de decoradores exatas), grupos, notificações,
+ * os cadastros de clientes, funcionários, projetos e etiquetas, as visualizações
+ * salvas e os contadores de ID.
+ *
+ * O formato salvo carrega uma versão de esquema. Quando o formato mudar, basta
+ * incrementar SCHEMA_VERSION e registrar em `migrations` uma função que converta
+ * os dados da versão anterior.
+ */
+class WorkspaceStorage {
+    static SCHEMA_VERSION = 11;
+    static STORAGE_KEY = 'task-manager-workspace';
+
+    // Migrações indexadas pela versão de origem: migrations[n] converte dados da versão n para n + 1
+    static migrations = {
+        // Versão 2: tarefas passam a ter checklist
+        1: data => ({
+            ...data,
+            tasks: data.tasks.map(task => ({ ...task, checklist: [] }))
+        }),
+        // Versão 3: tarefas passam a ter dependências
+        2: data => ({
+            ...data,
+            tasks: data.tasks.map(task => ({ ...task, dependencies: [] }))
+        }),
+        // Versão 4: o status passa a ser salvo pelo ID do StatusWorkflow em vez do nome exibido
+        3: data => ({
+            ...data,
+            tasks: data.tasks.map(task => ({ ...task, status: StatusWorkflow.fromLegacyLabel(task.status) }))
+        }),
+        // Versão 5: tarefas passam a ter registros de tempo
+        4: data => ({
+            ...data,
+            tasks: data.tasks.map(task => ({ ...task, timeEntries: [] }))
+        }),
+        // Versão 6: cadastros de clientes, funcionários e projetos; tarefas com projeto e responsável
+        5: data => ({
+            ...data,
+            counters: { ...data.counters, lastProjectId: 0 },
+            clients: [],
+            employees: [],
+            projects: [],
+            tasks: data.tasks.map(task => ({ ...task, projectId: null, responsibleId: null }))
+        }),
+        // Versão 7: o responsável único dá lugar a uma lista de responsáveis
+        6: data => ({
+            ...data,
+            tasks: data.tasks.map(({ responsibleId, ...task }) => ({ ...task, assignees: responsibleId ? [responsibleId] : [] }))
+        }),
+        // Versão 8: tarefas passam a ter estimativa de esforço
+        7: data => ({
+            ...data,
+            tasks: data.tasks.map(task => ({ ...task, estimate: null }))
+        }),
+        // Versão 9: data de conclusão das tarefas (desconhecida para as já concluídas)
+        8: data => ({
+            ...data,
+            tasks: data.tasks.map(task => ({ ...task, completedAt: null }))
+        }),
+        // Versão 10: visualizações salvas
+        9: data => ({
+            ...data,
+            counters: { ...data.counters, lastViewId: 0 },
+            savedViews: []
+        }),
+        // Versão 11: etiquetas definidas pelo usuário; cada cor de etiqueta usada (decorador
+        // 'color-label', que deixou de existir) vira uma etiqueta com o nome que a cor tinha.
+        // As pesquisas das visualizações salvas com label:<cor ou nome> passam a usar
+        // tag:<nome>, e as cores citadas nelas também viram etiquetas
+        10: data => {
+            const colorTags = {
+                red: { name: 'Urgente', color: '#dc3545' },
+                green: { name: 'Fácil', color: '#28a745' },
+                blue: { name: 'Em progresso', color: '#007bff' },
+                yellow: { name: 'Atenção', color: '#ffc107' }
+            };
+            const tags = [];
+            const getTagId = color => {
+                let tag = tags.find(existing => existing.sourceColor === color);
+                if (!tag) {
+                    const { name, color: tagColor } = colorTags[color] || { name: color, color: '#6c757d' };
+                    tag = { id: tags.length + 1, name, color: tagColor, sourceColor: color };
+                    tags.push(tag);
+                }
+                return tag.id;
+            };
+
+            const tasks = data.tasks.map(task => ({
+                ...task,
+                tagIds: [...new Set(task.decorators
+                    .filter(decorator => decorator.type === 'color-label')
+                    .map(decorator => getTagId(decorator.options.color)))],
+                decorators: task.decorators.filter(decorator => decorator.type !== 'color-label')
+            }));
+
+            // label:red, label:urgente ou label:"Em progresso" (fora de textos entre aspas)
+            const rewriteSearch = search => search.replace(/"[^"]*"|(^|[\s(-])label:("[^"]*"|[^\s()"]+)/gi, (match, before, value) => {
+                if (before === undefined) return match;
+
+                const typed = value.replace(/"/g, '');
+                const color = Object.keys(colorTags).find(color => [color, colorTags[color].name]
+                    .some(text => text.localeCompare(typed, undefined, { sensitivity: 'base' }) === 0));
+                if (!color) return match;
+
+                const tagId = getTagId(color);
+                const { name } = tags.find(tag => tag.id === tagId);
+                return `${before}tag:${name.includes(' ') ? `"${name}"` : name}`;
+            });
+            const savedViews = data.savedViews.map(view => view.filters && typeof view.filters.search === 'string'
+                ? { ...view, filters: { ...view.filters, search: rewriteSearch(view.filters.search) } }
+                : view);
+
+            return {
+                ...data,
+                counters: { ...data.counters, lastTagId: tags.length },
+                tags: tags.map(({ sourceColor, ...tag }) => tag),
+                tasks,
+                savedViews
+            };
+        }
+    };
+
+    constructor(taskFactory, storage = window.localStorage) {
+        this.taskFactory = taskFactory;
+        this.storage = storage;
+    }
+
+    // Salvar o workspace completo
+    save(workspace) {
+        try {
+            const data = this.serialize(workspace);
+            this.storage.setItem(WorkspaceStorage.STORAGE_KEY, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar o workspace:', error);
+            return false;
+        }
+    }
+
+    // Carregar o workspace salvo (retorna null se não houver dados válidos)
+    load() {
+        const raw = this.storage.getItem(WorkspaceStorage.STORAGE_KEY);
+        if (!raw) {
+            return null;
+        }
+
+        try {
+            const data = this.migrate(JSON.parse(raw));
+            return this.deserialize(data);
+        } catch (error) {
+            // Guardar uma cópia dos dados ilegíveis para não perdê-los no próximo salvamento
+            console.error('Erro ao carregar o workspace salvo:', error);
+            this.storage.setItem(`${WorkspaceStorage.STORAGE_KEY}-backup`, raw);
+            return null;
+        }
+    }
+
+    // Apagar os dados salvos
+    clear() {
+        this.storage.removeItem(WorkspaceStorage.STORAGE_KEY);
+    }
+
+    // Aplicar as migrações necessárias até a versão atual do esquema
+    migrate(data) {
+        let version = data.version || 0;
+
+        if (version > WorkspaceStorage.SCHEMA_VERSION) {
+            throw new Error(`Versão de dados não suportada: ${version}`);
+        }
+
+        while (version < WorkspaceStorage.SCHEMA_VERSION) {
+            const migration = WorkspaceStorage.migrations[version];
+            if (!migration) {
+                throw new Error(`Nenhuma migração disponível a partir da versão ${version}`);
+            }
+            data = migration(data);
+            version++;
+            data.version = version;
+        }
+
+        return data;
+    }
+
+    // Converter o workspace em um objeto simples (JSON)
+    serialize({ tasks, groups, notifications, clients, employees, projects, tags, savedViews }) {
+        return {
+            version: WorkspaceStorage.SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            counters: {
+                lastTaskId: TaskFactory.lastId,
+                lastGroupId: TaskGroupFactory.lastGroupId,
+                lastProjectId: ProjectRegistry.lastProjectId,
+                lastViewId: SavedView.lastId,
+                lastTagId: TagRegistry.lastTagId
+            },
+            ...this.serializeState({ tasks, groups, clients, employees, projects, tags }),
+            savedViews: savedViews.map(view => ({
+                id: view.getId(),
+                name: view.getName(),
+                pinned: view.isPinned(),
+                ...view.getState()
+            })),
+            notifications: notifications.map(notification => ({
+                message: notification.getMessage(),
+                type: notification.getType(),
+                timestamp: notification.getTimestamp().toISOString()
+            }))
+        };
+    }
+
+    // Converter tarefas, grupos, cadastros e etiquetas ligados às tarefas (usado também pelo histórico de desfazer/refazer)
+    serializeState({ tasks, groups, clients, employees, projects, tags }) {
+        return {
+            tasks: tasks.map(task => this.serializeTask(task)),
+            groups: groups.map(group => this.serializeGroup(group)),
+            clients: clients.map(client => ({
+                cnpj: client.getCnpj(),
+                name: client.getName(),
+                address: client.getAddress(),
+                phone: client.getPhone(),
+                contactName: client.getContactName(),
+                email: client.getEmail()
+            })),
+            employees: employees.map(employee => ({
+                registration: employee.getRegistration(),
+                name: employee.getName(),
+                role: employee.getRole(),
+                phone: employee.getPhone(),
+                email: employee.getEmail()
+            })),
+            projects: projects.map(project => ({
+                id: project.getId(),
+                name: project.getName(),
+                responsibleId: project.getResponsibleId(),
+                clientId: project.getClientId(),
+                startDate: project.getStartDate(),
+                endDate: project.getEndDate(),
+                description: project.getDescription()
+            })),
+            tags: tags.map(tag => ({
+                id: tag.getId(),
+                name: tag.getName(),
+                color: tag.getColor()
+            }))
+        };
+    }
+
+    serializeTask(task) {
+        const baseTask = task.getBaseTask();
+
+        return {
+            type: this.taskFactory.getTypeKey(baseTask),
+            id: baseTask.getId(),
+            title: baseTask.getTitle(),
+            description: baseTask.getDescription(),
+            status: baseTask.getStatus(),
+            createdAt: baseTask.getCreatedAt().toISOString(),
+            completedAt: baseTask.getCompletedAt() ? baseTask.getCompletedAt().toISOString() : null,
+            checklist: baseTask.getChecklist().map(item => ({
+                id: item.getId(),
+                text: item.getText(),
+                done: item.isDone()
+            })),
+            dependencies: baseTask.getDependencies(),
+            timeEntries: baseTask.getTimeEntries().map(entry => ({
+                id: entry.getId(),
+                start: entry.getStart().toISOString(),
+                end: entry.isRunning() ? null : entry.getEnd().toISOString(),
+                manual: entry.isManual()
+            })),
+            projectId: baseTask.getProjectId(),
+            assignees: baseTask.getAssignees(),
+            tagIds: baseTask.getTagIds(),
+            estimate: baseTask.getEstimate()
+                ? { method: baseTask.getEstimate().getMethod(), values: baseTask.getEstimate().getValues() }
+                : null,
+            decorators: TaskDecoratorFactory.getChain(task)
+        };
+    }
+
+    serializeGroup(group) {
+        return {
+            id: group.getId(),
+            title: group.getTitle(),
+            color: group.color,
+            expanded: group.expanded,
+            createdAt: group.createdAt.toISOString(),
+            // Folhas são salvas apenas como referência ao ID da tarefa
+            children: group.children.map(child => child.isComposite()
+                ? { kind: 'group', group: this.serializeGroup(child) }
+                : { kind: 'task', taskId: child.getId() })
+        };
+    }
+
+    // Reconstruir o workspace a partir do objeto salvo
+    deserialize(data) {
+        const { tasks, groups, clients, employees, projects, tags } = this.deserializeState(data);
+        const notifications = data.notifications.map(notificationData => new Notification(
+            notificationData.message,
+            notificationData.type,
+            new Date(notificationData.timestamp)
+        ));
+
+        // Restaurar os contadores para que novos IDs não colidam com os salvos
+        const maxTaskId = tasks.reduce((max, task) => Math.max(max, task.getId()), 0);
+        TaskFactory.lastId = Math.max(data.counters.lastTaskId, maxTaskId);
+        TaskGroupFactory.lastGroupId = data.counters.lastGroupId;
+
+        ProjectRegistry.lastProjectId = projects.reduce((max, project) => Math.max(max, project.getId()), data.counters.lastProjectId);
+
+        TagRegistry.lastTagId = tags.reduce((max, tag) => Math.max(max, tag.getId()), data.counters.lastTagId);
+
+        const savedViews = data.savedViews.map(view => new SavedView(view.id, view.name, view, view.pinned));
+        SavedView.lastId = savedViews.reduce((max, view) => Math.max(max, view.getId()), data.counters.lastViewId);
+
+        return { tasks, groups, notifications, clients, employees, projects, tags, savedViews };
+    }
+
+    // Reconstruir tarefas, grupos, cadastros e etiquetas ligados às tarefas
+    deserializeState(data) {
+        const tasks = data.tasks.map(taskData => this.deserializeTask(taskData));
+        const tasksById = new Map(tasks.map(task => [task.getId(), task]));
+        const groups = data.groups.map(groupData => this.deserializeGroup(groupData, tasksById));
+
+        const clients = data.clients.map(client => new Client(
+            client.cnpj, client.name, client.address, client.phone, client.contactName, client.email));
+        const employees = data.employees.map(employee => new Employee(
+            employee.registration, employee.name, employee.role, employee.phone, employee.email));
+        const projects = data.projects.map(project => new Project(
+            project.id, project.name, project.responsibleId, project.clientId, project.startDate, project.endDate, project.description));
+        const tags = data.tags.map(tag => new Tag(tag.id, tag.name, tag.color));
+
+        return { tasks, groups, clients, employees, projects, tags };
+    }
+
+    deserializeTask(data) {
+        const task = this.taskFactory.instantiateTask(data.type, data.id, data.title, data.description);
+        task.setStatus(data.status);
+        task.createdAt = new Date(data.createdAt);
+        task.completedAt = data.completedAt ? new Date(data.completedAt) : null;
+        task.setChecklist(data.checklist.map(item => new ChecklistItem(item.id, item.text, item.done)));
+        task.setDependencies(data.dependencies);
+        task.setTimeEntries(data.timeEntries.map(entry => new TimeEntry(
+            entry.id,
+            new Date(entry.start),
+            entry.end ? new Date(entry.end) : null,
+            entry.manual
+        )));
+        task.setProjectId(data.projectId);
+        task.setAssignees(data.assignees);
+        task.setTagIds(data.tagIds);
+        task.setEstimate(data.estimate ? new Estimate(data.estimate.method, data.estimate.values) : null);
+
+        // Reaplicar os decoradores na mesma ordem em que foram aplicados
+        return TaskDecoratorFactory.decorateAll(task, data.decorators);
+    }
+
+    deserializeGroup(data, tasksById) {
+        const group = new TaskGroup(data.id, data.title, data.color);
+        group.expanded = data.expanded;
+        group.createdAt = new Date(data.createdAt);
+
+        data.children.forEach(child => {
+            if (child.kind === 'group') {
+                group.add(this.deserializeGroup(child.group, tasksById));
+            } else if (tasksById.has(child.taskId)) {
+                group.add(new TaskLeaf(tasksById.get(child.taskId)));
+            }
+        });
+
+        return group;
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Cadastro das etiquetas das tarefas
+ *
+ * As etiquetas têm nome (único, sem diferenciar maiúsculas nem acentos) e cor.
+ * As tarefas guardam apenas os IDs das etiquetas: ao mesclar ou excluir uma
+ * etiqueta, quem chama o cadastro atualiza as tarefas ligadas a ela (através do
+ * UIController, que avisa os observadores), como no ProjectRegistry.
+ *
+ * Os métodos de gravação validam os dados e lançam um erro com a mensagem para o
+ * usuário quando algo está inválido.
+ */
+class TagRegistry {
+    static lastTagId = 0;
+
+    // getTasks: função que devolve as tarefas atuais
+    constructor(getTasks) {
+        this.getTasks = getTasks;
+        this.tags = [];
+    }
+
+    // Substituir todas as etiquetas (ao carregar o workspace)
+    setData({ tags }) {
+        this.tags = [...tags];
+    }
+
+    getTags() {
+        return [...this.tags];
+    }
+
+    findTag(id) {
+        return this.tags.find(tag => tag.getId() === id) || null;
+    }
+
+    findTagByName(name) {
+        return this.tags.find(tag => QueryParser.equals(tag.getName(), name.trim())) || null;
+    }
+
+    // Etiquetas cadastradas de uma tarefa (IDs de etiquetas excluídas são ignorados)
+    getTaskTags(task) {
+        return task.getTagIds().map(id => this.findTag(id)).filter(Boolean);
+    }
+
+    getTagTasks(id) {
+        return this.getTasks().filter(task => task.hasTag(id));
+    }
+
+    // Quantidade de tarefas de cada etiqueta: [{ tag, count }]
+    getTagCounts() {
+        return this.tags.map(tag => ({ tag, count: this.getTagTasks(tag.getId()).length }));
+    }
+
+    validate(name, color, id = null) {
+        if (!name.trim()) {
+            throw new Error('Informe o nome da etiqueta.');
+        }
+        const existing = this.findTagByName(name);
+        if (existing && existing.getId() !== id) {
+            throw new Error(`Já existe uma etiqueta chamada "${existing.getName()}".`);
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error('Escolha uma cor no formato #rrggbb.');
+        }
+    }
+
+    createTag(name, color = Tag.DEFAULT_COLOR) {
+        this.validate(name, color);
+        const tag = new Tag(++TagRegistry.lastTagId, name.trim(), color.toLowerCase());
+        this.tags.push(tag);
+        return tag;
+    }
+
+    renameTag(id, name) {
+        const tag = this.findTag(id);
+        this.validate(name, tag.getColor(), id);
+        return this.replace(new Tag(id, name.trim(), tag.getColor()));
+    }
+
+    recolorTag(id, color) {
+        const tag = this.findTag(id);
+        this.validate(tag.getName(), color, id);
+        return this.replace(new Tag(id, tag.getName(), color.toLowerCase()));
+    }
+
+    // Excluir a etiqueta de origem; as tarefas dela devem passar para a etiqueta de destino
+    mergeTags(sourceId, targetId) {
+        if (sourceId === targetId) {
+            throw new Error('Escolha outra etiqueta para mesclar.');
+        }
+        if (!this.findTag(targetId)) {
+            throw new Error('A etiqueta de destino não existe.');
+        }
+        this.deleteTag(sourceId);
+    }
+
+    deleteTag(id) {
+        this.tags = this.tags.filter(tag => tag.getId() !== id);
+    }
+
+    // Substituir a etiqueta de mesmo ID, mantendo a posição
+    replace(tag) {
+        this.tags = this.tags.map(other => other.getId() === tag.getId() ? tag : other);
+        return tag;
+    }
+}
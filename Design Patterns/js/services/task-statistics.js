@@ -0,0 +1,85 @@
+/**
+ * Estatísticas de um conjunto de tarefas
+ *
+ * Calcula os números exibidos no painel: tarefas por status e por tipo, taxa de
+ * conclusão, tarefas criadas e concluídas por semana, tarefas atrasadas (pelo
+ * DueDateScheduler) e a divisão pelos decoradores de prioridade e dificuldade.
+ */
+class TaskStatistics {
+    static WEEKS = 8; // semanas exibidas no gráfico semanal, incluindo a atual
+
+    // Dificuldades do DifficultyDecorator (id = cor da etiqueta) e a cor do gráfico
+    static DIFFICULTIES = [
+        { id: 'green', label: DifficultyDecorator.NAMES.green, color: 'success' },
+        { id: 'yellow', label: DifficultyDecorator.NAMES.yellow, color: 'warning' },
+        { id: 'red', label: DifficultyDecorator.NAMES.red, color: 'danger' },
+        { id: null, label: 'Sem dificuldade', color: 'secondary' }
+    ];
+
+    constructor(dueDateScheduler) {
+        this.dueDateScheduler = dueDateScheduler;
+    }
+
+    compute(tasks, now = new Date()) {
+        const completed = tasks.filter(task => task.getStatus() === StatusWorkflow.COMPLETED).length;
+        const highPriority = tasks.filter(task => task.isHighPriority()).length;
+
+        return {
+            total: tasks.length,
+            completed,
+            completionRate: tasks.length === 0 ? 0 : Math.round(completed / tasks.length * 100),
+            overdue: tasks.filter(task => this.dueDateScheduler.getDueState(task)?.overdue).length,
+            byStatus: StatusWorkflow.STATUSES.map(status => ({
+                label: status.label,
+                color: status.color,
+                value: tasks.filter(task => task.getStatus() === status.id).length
+            })),
+            byType: this.countBy(tasks, task => task.getType()),
+            byPriority: [
+                { label: 'Alta prioridade', color: 'danger', value: highPriority },
+                { label: 'Normal', color: 'secondary', value: tasks.length - highPriority }
+            ],
+            byDifficulty: this.getByDifficulty(tasks),
+            weekly: this.getWeekly(tasks, now)
+        };
+    }
+
+    // [{ label, value }] na ordem em que cada valor aparece
+    countBy(tasks, getLabel) {
+        const counts = new Map();
+        tasks.forEach(task => counts.set(getLabel(task), (counts.get(getLabel(task)) || 0) + 1));
+        return [...counts.entries()].map(([label, value]) => ({ label, value }));
+    }
+
+    // Tarefas por dificuldade, com as sem o decorador por último
+    getByDifficulty(tasks) {
+        const difficulties = tasks.map(task => task.getDifficultyLevel());
+
+        return TaskStatistics.DIFFICULTIES.map(({ id, label, color }) => ({
+            label,
+            color,
+            value: difficulties.filter(difficulty => difficulty === id).length
+        }));
+    }
+
+    // Tarefas criadas e concluídas em cada uma das últimas semanas: [{ weekStart, created, completed }]
+    getWeekly(tasks, now) {
+        const currentWeek = DueDateDecorator.getWeekStart(now);
+        const weeks = Array.from({ length: TaskStatistics.WEEKS }, (_, index) => {
+            const weekStart = new Date(currentWeek);
+            weekStart.setDate(weekStart.getDate() - (TaskStatistics.WEEKS - 1 - index) * 7);
+            return { weekStart, created: 0, completed: 0 };
+        });
+        const findWeek = date => weeks.find(week => week.weekStart.getTime() === DueDateDecorator.getWeekStart(date).getTime());
+
+        tasks.forEach(task => {
+            const createdWeek = findWeek(task.getCreatedAt());
+            if (createdWeek) createdWeek.created++;
+
+            const completedWeek = task.getCompletedAt() && findWeek(task.getCompletedAt());
+            if (completedWeek) completedWeek.completed++;
+        });
+
+        return weeks;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Folha de horas (timesheet)
+ *
+ * Soma, por dia e por tarefa, o tempo registrado nos TimeEntry das tarefas. Um
+ * período que atravessa a meia-noite é dividido entre os dias. O resultado pode
+ * ser exportado em CSV (separado por ";", com vírgula decimal) para informar as
+ * horas trabalhadas em cada projeto, cliente e grupo.
+ */
+class Timesheet {
+    static CSV_HEADER = ['Data', 'Tarefa', 'Tipo', 'Projeto', 'Cliente', 'Grupo', 'Horas'];
+
+    // getTasks: função que devolve as tarefas atuais
+    // getGroupTitle: devolve o título do grupo de uma tarefa (ou '' se ela não tiver grupo)
+    // projectRegistry: cadastro usado para obter o projeto e o cliente de cada tarefa
+    constructor(getTasks, getGroupTitle, projectRegistry) {
+        this.getTasks = getTasks;
+        this.getGroupTitle = getGroupTitle;
+        this.projectRegistry = projectRegistry;
+    }
+
+    // Nome do projeto de uma tarefa (ou '' se ela não tiver projeto)
+    getProjectName(task) {
+        const project = this.projectRegistry.findProject(task.getProjectId());
+        return project ? project.getName() : '';
+    }
+
+    // Nome do cliente do projeto de uma tarefa (ou '')
+    getClientName(task) {
+        const client = this.projectRegistry.getTaskClient(task);
+        return client ? client.getName() : '';
+    }
+
+    // Linhas da folha entre os dias `from` e `to` (inclusive, 'AAAA-MM-DD'), ordenadas por dia e tarefa:
+    // [{ date, task, duration }] com a duração em milissegundos
+    getRows(from, to, now = new Date()) {
+        const rows = new Map();
+
+        this.getTasks().forEach(task => {
+            task.getTimeEntries().forEach(entry => {
+                this.splitByDay(entry, now).forEach(({ date, duration }) => {
+                    if (date < from || date > to || duration === 0) return;
+
+                    const key = `${date}:${task.getId()}`;
+                    if (!rows.has(key)) {
+                        rows.set(key, { date, task, duration: 0 });
+                    }
+                    rows.get(key).duration += duration;
+                });
+            });
+        });
+
+        return [...rows.values()].sort((a, b) =>
+            a.date.localeCompare(b.date) || a.task.getBaseTask().getTitle().localeCompare(b.task.getBaseTask().getTitle()));
+    }
+
+    // Dividir um período nos dias em que ele aconteceu: [{ date: 'AAAA-MM-DD', duration }]
+    splitByDay(entry, now) {
+        const end = entry.getEnd() || now;
+        const parts = [];
+
+        let cursor = entry.getStart();
+        while (cursor < end) {
+            const nextDay = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+            const partEnd = nextDay < end ? nextDay : end;
+            parts.push({ date: DueDateDecorator.formatDate(cursor), duration: partEnd - cursor });
+            cursor = partEnd;
+        }
+
+        return parts;
+    }
+
+    // Total por dia: Map('AAAA-MM-DD' -> duração em milissegundos)
+    getDailyTotals(rows) {
+        const totals = new Map();
+        rows.forEach(row => totals.set(row.date, (totals.get(row.date) || 0) + row.duration));
+        return totals;
+    }
+
+    // Horas decimais com vírgula (ex: 1,50)
+    static formatHours(duration) {
+        return (duration / 3600000).toFixed(2).replace('.', ',');
+    }
+
+    toCsv(rows) {
+        const escape = value => /[";\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const lines = rows.map(row => [
+            row.date,
+            row.task.getBaseTask().getTitle(),
+            row.task.getType(),
+            this.getProjectName(row.task),
+            this.getClientName(row.task),
+            this.getGroupTitle(row.task),
+            Timesheet.formatHours(row.duration)
+        ].map(value => escape(String(value))).join(';'));
+
+        return [Timesheet.CSV_HEADER.join(';'), ...lines].join('\n');
+    }
+}
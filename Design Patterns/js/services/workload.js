@@ -0,0 +1,64 @@
+/**
+ * Carga de trabalho da equipe
+ *
+ * Agrupa as tarefas abertas (status que não estão encerrados no StatusWorkflow)
+ * por funcionário responsável e por status, somando o esforço estimado de cada
+ * uma. O esforço é um EstimateSummary: vem da estimativa da tarefa (horas e pontos
+ * somados separadamente) e, se ela não foi estimada, da dificuldade
+ * (DifficultyDecorator) convertida em pontos. Uma tarefa com vários responsáveis
+ * tem o esforço dividido igualmente entre eles.
+ */
+class Workload {
+    // Pontos de esforço por dificuldade (cor da etiqueta do DifficultyDecorator), para tarefas sem estimativa
+    static EFFORT_BY_DIFFICULTY = { green: 1, yellow: 2, red: 3 };
+    static DEFAULT_EFFORT = 1;
+
+    constructor(projectRegistry) {
+        this.projectRegistry = projectRegistry;
+    }
+
+    static getEffort(task) {
+        const summary = task.getEstimateSummary();
+        if (!summary.isEmpty()) {
+            return summary;
+        }
+        const points = Workload.EFFORT_BY_DIFFICULTY[task.getDifficultyLevel()] ?? Workload.DEFAULT_EFFORT;
+        return new EstimateSummary({ points, pointsCount: 1 });
+    }
+
+    // Status em que uma tarefa ainda exige trabalho, na ordem do fluxo
+    getStatuses() {
+        return StatusWorkflow.getIds().filter(status => !StatusWorkflow.isClosed(status));
+    }
+
+    // Uma linha por funcionário e uma para as tarefas sem responsável (employee null):
+    // [{ employee, tasks, effort, byStatus: { status: { tasks, effort } } }], com effort em EstimateSummary
+    getRows(tasks) {
+        const createRow = employee => ({
+            employee,
+            tasks: [],
+            effort: new EstimateSummary(),
+            byStatus: Object.fromEntries(this.getStatuses().map(status => [status, { tasks: [], effort: new EstimateSummary() }]))
+        });
+        const rows = new Map(this.projectRegistry.getEmployees().map(employee => [employee.getRegistration(), createRow(employee)]));
+        const unassigned = createRow(null);
+
+        tasks.filter(task => !StatusWorkflow.isClosed(task.getStatus())).forEach(task => {
+            const assignees = task.getAssignees().filter(registration => rows.has(registration));
+            const targets = assignees.length > 0 ? assignees.map(registration => rows.get(registration)) : [unassigned];
+            const effort = Workload.getEffort(task).divide(targets.length);
+
+            targets.forEach(row => {
+                row.tasks.push(task);
+                row.effort = row.effort.add(effort);
+                const cell = row.byStatus[task.getStatus()];
+                if (cell) {
+                    cell.tasks.push(task);
+                    cell.effort = cell.effort.add(effort);
+                }
+            });
+        });
+
+        return [...rows.values(), unassigned];
+    }
+}
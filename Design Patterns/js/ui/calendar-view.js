@@ -0,0 +1,229 @@
+/**
+ * Visualização em calendário dos vencimentos
+ *
+ * Coloca cada tarefa com DueDateDecorator no seu dia, em uma grade mensal ou
+ * semanal, colorida pelo tipo da tarefa e pela etiqueta colorida. Tarefas sem
+ * vencimento ficam na lista "Sem data".
+ *
+ * Arrastar uma tarefa para outro dia altera (ou adiciona) o vencimento; soltar
+ * na lista "Sem data" remove o vencimento. Clicar em um dia cria uma tarefa que
+ * vence nesse dia.
+ */
+class CalendarView {
+    static MODES = {
+        month: 'Mês',
+        week: 'Semana'
+    };
+
+    static WEEKDAYS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+    constructor(controller) {
+        this.controller = controller;
+        this.referenceDate = null; // dia usado para escolher o mês/semana exibido
+        this.draggedTaskId = null;
+    }
+
+    // Dia de hoje pelo relógio do agendador de vencimentos (injetável)
+    getToday() {
+        return DueDateDecorator.parseDate(this.controller.dueDateScheduler.clock.now());
+    }
+
+    getReferenceDate() {
+        return this.referenceDate || this.getToday();
+    }
+
+    // Avançar ou voltar um mês/semana (offset = 0 volta para hoje)
+    navigate(offset) {
+        if (offset === 0) {
+            this.referenceDate = null;
+            return;
+        }
+
+        const date = this.getReferenceDate();
+        if (configManager.getConfig('calendarMode') === 'week') {
+            date.setDate(date.getDate() + 7 * offset);
+        } else {
+            date.setDate(1);
+            date.setMonth(date.getMonth() + offset);
+        }
+        this.referenceDate = date;
+    }
+
+    // Dias exibidos na grade (semanas completas, de domingo a sábado)
+    getVisibleDays() {
+        const reference = this.getReferenceDate();
+        const mode = configManager.getConfig('calendarMode');
+        const start = DueDateDecorator.getWeekStart(mode === 'week'
+            ? reference
+            : new Date(reference.getFullYear(), reference.getMonth(), 1));
+
+        const end = mode === 'week'
+            ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6)
+            : new Date(reference.getFullYear(), reference.getMonth() + 1, 0);
+        end.setDate(end.getDate() + (6 - end.getDay()));
+
+        const days = [];
+        for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+            days.push(new Date(day));
+        }
+        return days;
+    }
+
+    getTitle() {
+        const reference = this.getReferenceDate();
+        const language = configManager.getConfig('language');
+        if (configManager.getConfig('calendarMode') === 'week') {
+            const days = this.getVisibleDays();
+            return `${days[0].toLocaleDateString(language)} - ${days[days.length - 1].toLocaleDateString(language)}`;
+        }
+        return reference.toLocaleDateString(language, { month: 'long', year: 'numeric' });
+    }
+
+    // Representação compacta de uma tarefa na grade
+    getTaskChip(task) {
+        // A primeira etiqueta da tarefa dá a cor do chip
+        const tag = this.controller.tagRegistry.getTaskTags(task)[0];
+        const classes = [
+            'calendar-task',
+            `task-${this.controller.taskFactory.getTypeKey(task)}`,
+            tag ? 'calendar-task-tagged' : '',
+            StatusWorkflow.isClosed(task.getStatus()) ? 'calendar-task-done' : ''
+        ].join(' ');
+        const style = tag ? `style="background-color: ${tag.getColor()}; color: ${tag.getTextColor()}"` : '';
+
+        return `
+            <div class="${classes}" ${style} draggable="true" data-task-id="${task.getId()}" title="${task.getType()} - ${StatusWorkflow.getLabel(task.getStatus())}">
+                ${task.getTitle()}
+            </div>
+        `;
+    }
+
+    render(container) {
+        const today = DueDateDecorator.formatDate(this.getToday());
+        const reference = this.getReferenceDate();
+        const mode = configManager.getConfig('calendarMode');
+        const scheduler = this.controller.dueDateScheduler;
+
+        // Separar as tarefas visíveis por dia de vencimento
+        const tasksByDay = new Map();
+        const unscheduled = [];
+        this.controller.processTasks(this.controller.tasks).forEach(task => {
+            const dueDate = scheduler.getDueDate(task);
+            if (!dueDate) {
+                unscheduled.push(task);
+                return;
+            }
+            const key = DueDateDecorator.formatDate(dueDate);
+            if (!tasksByDay.has(key)) {
+                tasksByDay.set(key, []);
+            }
+            tasksByDay.get(key).push(task);
+        });
+
+        const days = this.getVisibleDays().map(day => {
+            const key = DueDateDecorator.formatDate(day);
+            const outside = mode === 'month' && day.getMonth() !== reference.getMonth();
+            return `
+                <div class="calendar-day ${outside ? 'calendar-day-outside' : ''} ${key === today ? 'calendar-today' : ''}" data-date="${key}"
+                    title="Clique para criar uma tarefa para ${day.toLocaleDateString(configManager.getConfig('language'))}">
+                    <div class="calendar-day-number">${day.getDate()}</div>
+                    ${(tasksByDay.get(key) || []).map(task => this.getTaskChip(task)).join('')}
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="calendar-toolbar d-flex align-items-center gap-2 mb-2">
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-secondary calendar-nav-btn" data-offset="-1">‹</button>
+                    <button type="button" class="btn btn-outline-secondary calendar-nav-btn" data-offset="0">Hoje</button>
+                    <button type="button" class="btn btn-outline-secondary calendar-nav-btn" data-offset="1">›</button>
+                </div>
+                <strong class="calendar-title flex-grow-1">${this.getTitle()}</strong>
+                <select class="form-select form-select-sm w-auto calendar-mode-select" aria-label="Período do calendário">
+                    ${Object.entries(CalendarView.MODES).map(([key, name]) => `
+                        <option value="${key}" ${key === mode ? 'selected' : ''}>${name}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="calendar-layout">
+                <div class="calendar-grid">
+                    ${CalendarView.WEEKDAYS.map(weekday => `<div class="calendar-weekday">${weekday}</div>`).join('')}
+                    ${days}
+                </div>
+                <div class="calendar-unscheduled" data-date="">
+                    <h6>Sem data</h6>
+                    ${unscheduled.map(task => this.getTaskChip(task)).join('') || '<div class="text-muted small">Nenhuma tarefa</div>'}
+                </div>
+            </div>
+        `;
+    }
+
+    // Configurar navegação, criação por clique e arrastar e soltar (usando delegação de eventos)
+    setupEventListeners(container) {
+        container.addEventListener('click', (e) => {
+            if (e.target.classList.contains('calendar-nav-btn')) {
+                this.navigate(parseInt(e.target.getAttribute('data-offset')));
+                this.controller.renderTasks();
+                return;
+            }
+
+            const chip = e.target.closest('.calendar-task');
+            if (chip) {
+                this.controller.openEditTaskModal(parseInt(chip.getAttribute('data-task-id')));
+                return;
+            }
+
+            const day = e.target.closest('.calendar-day');
+            if (day) {
+                this.controller.createTaskDueOn(day.getAttribute('data-date'));
+            }
+        });
+
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('calendar-mode-select')) {
+                configManager.setConfig('calendarMode', e.target.value);
+            }
+        });
+
+        const clearDropIndicators = () => {
+            container.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        };
+        const getDropTarget = e => e.target.closest('.calendar-day, .calendar-unscheduled');
+
+        container.addEventListener('dragstart', (e) => {
+            const chip = e.target.closest('.calendar-task');
+            if (!chip) return;
+
+            this.draggedTaskId = parseInt(chip.getAttribute('data-task-id'));
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', `task:${this.draggedTaskId}`);
+            chip.classList.add('dragging');
+        });
+
+        container.addEventListener('dragover', (e) => {
+            const target = getDropTarget(e);
+            if (this.draggedTaskId === null || !target) return;
+            e.preventDefault();
+
+            clearDropIndicators();
+            target.classList.add('drag-over');
+        });
+
+        container.addEventListener('drop', (e) => {
+            const target = getDropTarget(e);
+            if (this.draggedTaskId === null || !target) return;
+            e.preventDefault();
+
+            const taskId = this.draggedTaskId;
+            this.draggedTaskId = null;
+            clearDropIndicators();
+            this.controller.setTaskDueDate(taskId, target.getAttribute('data-date') || null);
+        });
+
+        container.addEventListener('dragend', () => {
+            this.draggedTaskId = null;
+            clearDropIndicators();
+        });
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Painel de estatísticas das tarefas
+ *
+ * Mostra os números calculados pelo TaskStatistics em gráficos SVG. O escopo é o
+ * filtro atual do TaskSorterFilterer ou um grupo (com os seus subgrupos). O
+ * painel é atualizado pelo DashboardObserver a cada evento das tarefas e sempre
+ * que a lista é renderizada (ex: ao mudar o filtro ou desfazer uma ação).
+ */
+class DashboardPanel {
+    constructor(controller) {
+        this.controller = controller;
+        this.statistics = new TaskStatistics(controller.dueDateScheduler);
+        this.refreshTimeout = null;
+    }
+
+    // Agendar uma renderização, juntando as várias atualizações de uma mesma ação
+    refresh() {
+        if (this.refreshTimeout === null) {
+            this.refreshTimeout = setTimeout(() => {
+                this.refreshTimeout = null;
+                this.render();
+            }, 0);
+        }
+    }
+
+    // Tarefas do escopo escolhido (grupo selecionado ou filtro atual)
+    getScopeTasks() {
+        const groupId = document.getElementById('dashboard-scope').value;
+        const group = groupId ? this.controller.findGroupById(groupId) : null;
+
+        return group
+            ? group.getAllLeaves().map(leaf => leaf.getTask())
+            : this.controller.processTasks(this.controller.tasks);
+    }
+
+    renderScopeOptions() {
+        const select = document.getElementById('dashboard-scope');
+        const selectedValue = select.value;
+
+        const renderOptions = (groups, depth) => groups.map(group => `
+            <option value="${group.getId()}">${'— '.repeat(depth)}Grupo: ${group.getTitle()}</option>
+            ${renderOptions(group.children.filter(child => child.isComposite()), depth + 1)}
+        `).join('');
+
+        select.innerHTML = `<option value="">Filtro atual da lista</option>${renderOptions(this.controller.groups, 0)}`;
+        select.value = this.controller.findGroupById(selectedValue) ? selectedValue : '';
+    }
+
+    render() {
+        this.renderScopeOptions();
+
+        const stats = this.statistics.compute(this.getScopeTasks(), this.controller.dueDateScheduler.clock.now());
+        const container = document.getElementById('dashboard-container');
+
+        if (stats.total === 0) {
+            container.innerHTML = '<div class="text-center text-muted">Nenhuma tarefa neste escopo.</div>';
+            return;
+        }
+
+        const weekLabel = week => week.weekStart.toLocaleDateString(configManager.getConfig('language'), { day: '2-digit', month: '2-digit' });
+        container.innerHTML = `
+            <div class="row g-3 mb-3 text-center">
+                ${this.getMetricHtml('Tarefas', stats.total)}
+                ${this.getMetricHtml('Concluídas', stats.completed, 'text-success')}
+                ${this.getMetricHtml('Taxa de conclusão', `${stats.completionRate}%`)}
+                ${this.getMetricHtml('Atrasadas', stats.overdue, stats.overdue > 0 ? 'text-danger' : '')}
+            </div>
+            <div class="row g-3">
+                ${this.getChartHtml('Por status', SvgCharts.donutChart(stats.byStatus, `${stats.completionRate}%`))}
+                ${this.getChartHtml('Por tipo', SvgCharts.barChart(stats.byType))}
+                ${this.getChartHtml('Prioridade', SvgCharts.donutChart(stats.byPriority))}
+                ${this.getChartHtml('Dificuldade', SvgCharts.barChart(stats.byDifficulty))}
+                ${this.getChartHtml(`Criadas e concluídas por semana (últimas ${TaskStatistics.WEEKS})`, SvgCharts.columnChart(
+                    stats.weekly.map(weekLabel),
+                    [
+                        { label: 'Criadas', color: 'primary', values: stats.weekly.map(week => week.created) },
+                        { label: 'Concluídas', color: 'success', values: stats.weekly.map(week => week.completed) }
+                    ]
+                ), 'col-md-8')}
+            </div>
+        `;
+    }
+
+    getMetricHtml(label, value, className = '') {
+        return `
+            <div class="col-6 col-md-3">
+                <div class="dashboard-metric">
+                    <div class="fs-3 fw-bold ${className}">${value}</div>
+                    <div class="small text-muted">${label}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    getChartHtml(title, chartHtml, columnClass = 'col-md-4') {
+        return `
+            <div class="${columnClass}">
+                <h6>${title}</h6>
+                ${chartHtml}
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        document.getElementById('dashboard-scope').addEventListener('change', () => this.render());
+    }
+}
@@ -0,0 +1,13 @@
+/**
+ * Utilitários para montar HTML a partir de textos do usuário
+ *
+ * Nomes, pesquisas e rótulos digitados pelo usuário (ou vindos de um código de
+ * compartilhamento) passam por Html.escape antes de entrar em innerHTML, para
+ * serem exibidos como texto e nunca interpretados como marcação.
+ */
+class Html {
+    // Escapar o texto para uso no conteúdo de um elemento ou em um atributo entre aspas
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Visualização em quadro (Kanban)
+ *
+ * Mostra uma coluna por status e, opcionalmente, raias (swimlanes) por tipo de
+ * tarefa ou por grupo. Arrastar um cartão para outra coluna altera o status
+ * através do UIController.updateTaskStatus(), então os observadores continuam
+ * sendo notificados normalmente.
+ *
+ * As preferências do quadro (raias e limites WIP por coluna) ficam no
+ * ConfigurationManager.
+ */
+class KanbanBoard {
+    // Formas de agrupar os cartões em raias
+    static SWIMLANES = {
+        none: 'Sem raias',
+        type: 'Por tipo',
+        group: 'Por grupo'
+    };
+
+    constructor(controller) {
+        this.controller = controller;
+        this.draggedTaskId = null;
+    }
+
+    // Colunas do quadro: os status do fluxo de trabalho e qualquer outro status em uso
+    getStatuses() {
+        const statuses = StatusWorkflow.getIds();
+        this.controller.tasks.forEach(task => {
+            if (!statuses.includes(task.getStatus())) {
+                statuses.push(task.getStatus());
+            }
+        });
+        return statuses;
+    }
+
+    // Raias com as tarefas visíveis de cada uma: [{ title, tasks }]
+    getLanes(tasks) {
+        const swimlanes = configManager.getConfig('boardSwimlanes');
+        if (swimlanes === 'none') {
+            return [{ title: null, tasks }];
+        }
+
+        // Raias por tipo usam o nome do tipo como chave; por grupo, o ID do grupo
+        // (grupos diferentes podem ter o mesmo título)
+        const lanes = new Map();
+        tasks.forEach(task => {
+            const group = swimlanes === 'type' ? null : this.controller.findParentGroup(task.getId());
+            const key = swimlanes === 'type' ? task.getType() : group?.getId() ?? null;
+            if (!lanes.has(key)) {
+                lanes.set(key, { title: swimlanes === 'type' ? task.getType() : group?.getTitle() ?? 'Sem grupo', tasks: [] });
+            }
+            lanes.get(key).tasks.push(task);
+        });
+
+        return [...lanes.values()];
+    }
+
+    // Quantidade total de tarefas em um status (sem filtros), usada para o limite WIP
+    getStatusCount(status) {
+        return this.controller.tasks.filter(task => task.getStatus() === status).length;
+    }
+
+    getWipLimit(status) {
+        return configManager.getConfig('wipLimits')[status] || null;
+    }
+
+    // Definir (ou remover, com limit vazio) o limite WIP de uma coluna
+    setWipLimit(status, limit) {
+        const wipLimits = { ...configManager.getConfig('wipLimits') };
+        if (limit) {
+            wipLimits[status] = limit;
+        } else {
+            delete wipLimits[status];
+        }
+        configManager.setConfig('wipLimits', wipLimits);
+    }
+
+    render(container) {
+        const statuses = this.getStatuses();
+        const visibleTasks = this.controller.processTasks(this.controller.tasks);
+
+        const header = statuses.map(status => {
+            const count = this.getStatusCount(status);
+            const limit = this.getWipLimit(status);
+            const exceeded = limit !== null && count > limit;
+            return `
+                <div class="kanban-column-header ${exceeded ? 'wip-exceeded' : ''}">
+                    <strong>${StatusWorkflow.getLabel(status)}</strong>
+                    <span class="badge ${exceeded ? 'bg-danger' : 'bg-secondary'}">${limit !== null ? `${count}/${limit}` : count}</span>
+                    <button type="button" class="btn btn-sm btn-link wip-limit-btn" data-status="${status}"
+                        title="Definir limite WIP">WIP</button>
+                </div>
+            `;
+        }).join('');
+
+        const lanes = this.getLanes(visibleTasks).map(lane => `
+            ${lane.title !== null ? `<div class="kanban-lane-title">${lane.title}</div>` : ''}
+            ${statuses.map(status => {
+                const cards = lane.tasks.filter(task => task.getStatus() === status);
+                return `
+                    <div class="kanban-column" data-status="${status}">
+                        ${cards.map(task => task.getHtmlRepresentation()).join('') || '<div class="kanban-empty text-muted">Nenhuma tarefa</div>'}
+                    </div>
+                `;
+            }).join('')}
+        `).join('');
+
+        container.innerHTML = `
+            <div class="kanban-board" style="grid-template-columns: repeat(${statuses.length}, minmax(0, 1fr));">
+                ${header}
+                ${lanes}
+            </div>
+        `;
+    }
+
+    // Configurar arrastar e soltar entre as colunas (usando delegação de eventos)
+    // Só aceitam o cartão as colunas para as quais o fluxo de trabalho permite a transição
+    setupDragAndDrop(container) {
+        const clearDropIndicators = () => {
+            container.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        };
+
+        container.addEventListener('dragstart', (e) => {
+            const taskElement = e.target.closest('.task-item');
+            if (!taskElement) return;
+
+            this.draggedTaskId = parseInt(taskElement.getAttribute('data-task-id'));
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', `task:${this.draggedTaskId}`);
+            taskElement.classList.add('dragging');
+        });
+
+        const canDrop = column => {
+            const task = this.controller.findTaskById(this.draggedTaskId);
+            return task && StatusWorkflow.canTransition(task.getStatus(), column.getAttribute('data-status'));
+        };
+
+        container.addEventListener('dragover', (e) => {
+            const column = e.target.closest('.kanban-column');
+            if (this.draggedTaskId === null || !column || !canDrop(column)) return;
+            e.preventDefault();
+
+            clearDropIndicators();
+            column.classList.add('drag-over');
+        });
+
+        container.addEventListener('drop', (e) => {
+            const column = e.target.closest('.kanban-column');
+            if (this.draggedTaskId === null || !column || !canDrop(column)) return;
+            e.preventDefault();
+
+            const taskId = this.draggedTaskId;
+            this.draggedTaskId = null;
+            clearDropIndicators();
+            this.moveToStatus(taskId, column.getAttribute('data-status'));
+        });
+
+        container.addEventListener('dragend', () => {
+            this.draggedTaskId = null;
+            clearDropIndicators();
+            container.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        });
+
+        container.addEventListener('click', (e) => {
+            if (e.target.classList.contains('wip-limit-btn')) {
+                this.promptWipLimit(e.target.getAttribute('data-status'));
+            }
+        });
+    }
+
+    // Mover um cartão para outra coluna, avisando se o limite WIP for ultrapassado
+    moveToStatus(taskId, status) {
+        const task = this.controller.findTaskById(taskId);
+        if (!task || task.getStatus() === status) return;
+
+        const limit = this.getWipLimit(status);
+        if (limit !== null && this.getStatusCount(status) >= limit &&
+            !confirm(`A coluna "${StatusWorkflow.getLabel(status)}" já atingiu o limite de ${limit} tarefa(s). Deseja mover mesmo assim?`)) {
+            return;
+        }
+
+        this.controller.updateTaskStatus(taskId, status);
+    }
+
+    promptWipLimit(status) {
+        const current = this.getWipLimit(status);
+        const answer = prompt(`Limite WIP da coluna "${StatusWorkflow.getLabel(status)}" (deixe vazio para remover):`, current || '');
+        if (answer === null) return;
+
+        const limit = parseInt(answer);
+        if (answer.trim() !== '' && !(limit > 0)) {
+            alert('Por favor, informe um número inteiro maior que zero.');
+            return;
+        }
+        this.setWipLimit(status, limit || null);
+    }
+}
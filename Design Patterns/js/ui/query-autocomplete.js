@@ -0,0 +1,98 @@
+/**
+ * Autocompletar da pesquisa de tarefas
+ *
+ * Mostra, abaixo do campo de pesquisa, os nomes de campos e operadores que
+ * começam com a palavra digitada e, depois de "campo:", os valores possíveis do
+ * campo (sugestões do QueryParser). Setas escolhem a sugestão, Enter ou Tab a
+ * aplicam e Esc fecha a lista.
+ */
+class QueryAutocomplete {
+    constructor(input, queryParser) {
+        this.input = input;
+        this.queryParser = queryParser;
+        this.suggestions = { start: 0, end: 0, items: [] };
+        this.activeIndex = 0;
+
+        this.menu = document.createElement('div');
+        this.menu.className = 'dropdown-menu query-suggestions';
+        this.input.parentElement.classList.add('position-relative');
+        this.input.after(this.menu);
+    }
+
+    isOpen() {
+        return this.menu.classList.contains('show');
+    }
+
+    update() {
+        this.suggestions = this.queryParser.getSuggestions(this.input.value, this.input.selectionStart ?? this.input.value.length);
+        this.activeIndex = 0;
+        this.render();
+    }
+
+    close() {
+        this.menu.classList.remove('show');
+    }
+
+    render() {
+        if (this.suggestions.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.menu.innerHTML = this.suggestions.items.map((item, index) => `
+            <button type="button" class="dropdown-item query-suggestion ${index === this.activeIndex ? 'active' : ''}" data-index="${index}">
+                ${item.label} <small class="${index === this.activeIndex ? '' : 'text-muted'}">${item.description}</small>
+            </button>
+        `).join('');
+        this.menu.classList.add('show');
+    }
+
+    // Substituir a palavra atual pela sugestão e refazer a filtragem
+    accept(index) {
+        const { start, end, items } = this.suggestions;
+        const value = this.input.value;
+        this.input.value = value.slice(0, start) + items[index].text + value.slice(end);
+
+        const cursor = start + items[index].text.length;
+        this.input.setSelectionRange(cursor, cursor);
+        this.input.focus();
+        this.input.dispatchEvent(new Event('input'));
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('blur', () => this.close());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (!this.isOpen()) return;
+
+            const count = this.suggestions.items.length;
+            switch(e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.activeIndex = (this.activeIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                    this.render();
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    e.preventDefault();
+                    this.accept(this.activeIndex);
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    this.close();
+                    break;
+            }
+        });
+
+        // mousedown (e não click) para escolher a sugestão antes de o campo perder o foco
+        this.menu.addEventListener('mousedown', (e) => {
+            const suggestion = e.target.closest('.query-suggestion');
+            if (suggestion) {
+                e.preventDefault();
+                this.accept(parseInt(suggestion.getAttribute('data-index')));
+            }
+        });
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Telas de cadastro de projetos, clientes e funcionários
+ *
+ * Cada aba do modal de cadastros lista as entidades do ProjectRegistry e tem um
+ * formulário para incluir ou alterar. Cada projeto mostra as suas tarefas e o
+ * total de horas registradas nelas. Excluir um projeto ou funcionário ligado a
+ * tarefas desliga essas tarefas através do UIController, que avisa os
+ * observadores. Gravações e exclusões entram no histórico de desfazer/refazer.
+ */
+class RegistryPanel {
+    constructor(controller) {
+        this.controller = controller;
+        this.registry = controller.projectRegistry;
+    }
+
+    render() {
+        this.renderProjects();
+        this.renderClients();
+        this.renderEmployees();
+        this.renderProjectFormOptions();
+    }
+
+    renderProjects() {
+        const now = this.controller.dueDateScheduler.clock.now();
+        const formatDate = date => DueDateDecorator.parseDate(date).toLocaleDateString(configManager.getConfig('language'));
+        const projects = this.registry.getProjects();
+
+        document.getElementById('project-list').innerHTML = projects.length === 0
+            ? '<div class="text-muted">Nenhum projeto cadastrado.</div>'
+            : `
+                <table class="table table-sm align-middle registry-table">
+                    <thead>
+                        <tr><th>Projeto</th><th>Cliente</th><th>Responsável</th><th>Período</th><th class="text-end">Horas</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${projects.map(project => {
+                            const tasks = this.registry.getProjectTasks(project.getId());
+                            return `
+                                <tr>
+                                    <td>
+                                        <strong>${project.getName()}</strong>
+                                        <details class="project-tasks">
+                                            <summary>${tasks.length} tarefa(s)</summary>
+                                            <ul class="list-unstyled mb-0">
+                                                ${tasks.map(task => `
+                                                    <li>
+                                                        <span class="badge bg-${StatusWorkflow.getColor(task.getStatus())}">${StatusWorkflow.getLabel(task.getStatus())}</span>
+                                                        ${task.getBaseTask().getTitle()}
+                                                        <small class="text-muted">${TimeEntry.formatDuration(task.getTimeSpent(now))}</small>
+                                                    </li>
+                                                `).join('')}
+                                            </ul>
+                                        </details>
+                                    </td>
+                                    <td>${this.registry.findClient(project.getClientId())?.getName() || '-'}</td>
+                                    <td>${this.registry.findEmployee(project.getResponsibleId())?.getName() || '-'}</td>
+                                    <td><small>${formatDate(project.getStartDate())} a ${formatDate(project.getEndDate())}</small></td>
+                                    <td class="text-end">${TimeEntry.formatDuration(this.registry.getProjectTimeSpent(project.getId(), now))}</td>
+                                    <td class="text-end text-nowrap">${this.getRowButtons('project', project.getId())}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    renderClients() {
+        const clients = this.registry.getClients();
+
+        document.getElementById('client-list').innerHTML = clients.length === 0
+            ? '<div class="text-muted">Nenhum cliente cadastrado.</div>'
+            : `
+                <table class="table table-sm align-middle registry-table">
+                    <thead>
+                        <tr><th>CNPJ</th><th>Nome</th><th>Contato</th><th>Telefone</th><th>Email</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${clients.map(client => `
+                            <tr>
+                                <td class="text-nowrap">${client.getFormattedCnpj()}</td>
+                                <td>${client.getName()}</td>
+                                <td>${client.getContactName() || '-'}</td>
+                                <td>${client.getPhone() || '-'}</td>
+                                <td>${client.getEmail() || '-'}</td>
+                                <td class="text-end text-nowrap">${this.getRowButtons('client', client.getCnpj())}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    renderEmployees() {
+        const employees = this.registry.getEmployees();
+
+        document.getElementById('employee-list').innerHTML = employees.length === 0
+            ? '<div class="text-muted">Nenhum funcionário cadastrado.</div>'
+            : `
+                <table class="table table-sm align-middle registry-table">
+                    <thead>
+                        <tr><th>Matrícula</th><th>Nome</th><th>Cargo</th><th>Email</th><th class="text-end">Tarefas</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${employees.map(employee => `
+                            <tr>
+                                <td>${employee.getRegistration()}</td>
+                                <td>${employee.getName()}</td>
+                                <td>${employee.getRole() || '-'}</td>
+                                <td>${employee.getEmail() || '-'}</td>
+                                <td class="text-end">${this.registry.getEmployeeTasks(employee.getRegistration()).length}</td>
+                                <td class="text-end text-nowrap">${this.getRowButtons('employee', employee.getRegistration())}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    getRowButtons(kind, id) {
+        return `
+            <button type="button" class="btn btn-sm btn-outline-secondary registry-edit-btn" data-kind="${kind}" data-id="${id}">Editar</button>
+            <button type="button" class="btn btn-sm btn-outline-danger registry-delete-btn" data-kind="${kind}" data-id="${id}">Excluir</button>
+        `;
+    }
+
+    // Clientes e funcionários disponíveis no formulário de projeto, mantendo a seleção
+    renderProjectFormOptions() {
+        const fillSelect = (id, placeholder, entities) => {
+            const select = document.getElementById(id);
+            const selectedValue = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` + entities
+                .map(entity => `<option value="${entity.getId()}">${entity.getName()}</option>`)
+                .join('');
+            select.value = entities.some(entity => entity.getId() === selectedValue) ? selectedValue : '';
+        };
+
+        fillSelect('project-client', 'Selecione um cliente...', this.registry.getClients());
+        fillSelect('project-responsible', 'Selecione um funcionário...', this.registry.getEmployees());
+    }
+
+    // Configurar formulários e botões das listas (usando delegação de eventos)
+    setupEventListeners() {
+        const modal = document.getElementById('registry-modal');
+        modal.addEventListener('show.bs.modal', () => this.render());
+
+        document.getElementById('project-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const id = document.getElementById('project-id').value;
+            this.save(e.target, `Salvar projeto "${document.getElementById('project-name').value.trim()}"`, () => this.registry.saveProject({
+                name: document.getElementById('project-name').value,
+                responsibleId: document.getElementById('project-responsible').value,
+                clientId: document.getElementById('project-client').value,
+                startDate: document.getElementById('project-start').value,
+                endDate: document.getElementById('project-end').value,
+                description: document.getElementById('project-description').value
+            }, id ? parseInt(id) : null));
+        });
+
+        document.getElementById('client-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save(e.target, `Salvar cliente "${document.getElementById('client-name').value.trim()}"`, () => this.registry.saveClient({
+                cnpj: document.getElementById('client-cnpj').value,
+                name: document.getElementById('client-name').value,
+                address: document.getElementById('client-address').value,
+                phone: document.getElementById('client-phone').value,
+                contactName: document.getElementById('client-contact').value,
+                email: document.getElementById('client-email').value
+            }, document.getElementById('client-original-cnpj').value || null));
+        });
+
+        document.getElementById('employee-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save(e.target, `Salvar funcionário "${document.getElementById('employee-name').value.trim()}"`, () => this.registry.saveEmployee({
+                registration: document.getElementById('employee-registration').value,
+                name: document.getElementById('employee-name').value,
+                role: document.getElementById('employee-role').value,
+                phone: document.getElementById('employee-phone').value,
+                email: document.getElementById('employee-email').value
+            }, document.getElementById('employee-original-registration').value || null));
+        });
+
+        // "Novo" limpa o formulário e volta ao modo de inclusão
+        modal.querySelectorAll('.registry-form').forEach(form => {
+            form.addEventListener('reset', () => {
+                form.querySelectorAll('input[type="hidden"]').forEach(input => input.value = '');
+                document.getElementById('employee-registration').disabled = false;
+            });
+        });
+
+        modal.addEventListener('click', (e) => {
+            const kind = e.target.getAttribute('data-kind');
+            const id = e.target.getAttribute('data-id');
+            if (e.target.classList.contains('registry-edit-btn')) {
+                this.edit(kind, id);
+            }
+            if (e.target.classList.contains('registry-delete-btn')) {
+                this.delete(kind, id);
+            }
+        });
+    }
+
+    // Gravar com a função informada; erros de validação são mostrados ao usuário
+    // (o histórico recebe o estado anterior só quando a gravação dá certo)
+    save(form, label, saveEntity) {
+        const memento = this.controller.createMemento();
+        try {
+            saveEntity();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.controller.recordHistory(label, memento);
+        form.reset();
+        this.controller.saveRegistry();
+        this.render();
+    }
+
+    // Preencher o formulário com a entidade escolhida
+    edit(kind, id) {
+        const setValues = values => Object.entries(values).forEach(([inputId, value]) => {
+            document.getElementById(inputId).value = value;
+        });
+
+        if (kind === 'project') {
+            const project = this.registry.findProject(parseInt(id));
+            setValues({
+                'project-id': project.getId(),
+                'project-name': project.getName(),
+                'project-start': project.getStartDate(),
+                'project-end': project.getEndDate(),
+                'project-client': project.getClientId(),
+                'project-responsible': project.getResponsibleId(),
+                'project-description': project.getDescription()
+            });
+        } else if (kind === 'client') {
+            const client = this.registry.findClient(id);
+            setValues({
+                'client-original-cnpj': client.getCnpj(),
+                'client-cnpj': client.getFormattedCnpj(),
+                'client-name': client.getName(),
+                'client-address': client.getAddress(),
+                'client-contact': client.getContactName(),
+                'client-phone': client.getPhone(),
+                'client-email': client.getEmail()
+            });
+        } else if (kind === 'employee') {
+            const employee = this.registry.findEmployee(id);
+            setValues({
+                'employee-original-registration': employee.getRegistration(),
+                'employee-registration': employee.getRegistration(),
+                'employee-name': employee.getName(),
+                'employee-role': employee.getRole(),
+                'employee-phone': employee.getPhone(),
+                'employee-email': employee.getEmail()
+            });
+            // A matrícula identifica o funcionário e não pode ser alterada
+            document.getElementById('employee-registration').disabled = true;
+        }
+    }
+
+    // Excluir uma entidade, desligando as tarefas ligadas a ela (pode ser desfeito)
+    delete(kind, id) {
+        const memento = this.controller.createMemento();
+        let label;
+        try {
+            if (kind === 'project') {
+                const project = this.registry.findProject(parseInt(id));
+                const tasks = this.registry.getProjectTasks(project.getId());
+                if (!confirm(`Excluir o projeto "${project.getName()}"?${tasks.length > 0 ? ` ${tasks.length} tarefa(s) ficarão sem projeto.` : ''}`)) return;
+
+                label = `Excluir projeto "${project.getName()}"`;
+                this.registry.deleteProject(project.getId());
+                this.controller.detachTasks(tasks, 'projeto', task => {
+                    task.setProjectId(null);
+                    return { oldValue: project.getName(), newValue: 'nenhum' };
+                });
+            } else if (kind === 'client') {
+                const client = this.registry.findClient(id);
+                if (!confirm(`Excluir o cliente "${client.getName()}"?`)) return;
+
+                label = `Excluir cliente "${client.getName()}"`;
+                this.registry.deleteClient(client.getCnpj());
+            } else if (kind === 'employee') {
+                const employee = this.registry.findEmployee(id);
+                const tasks = this.registry.getEmployeeTasks(employee.getRegistration());
+                if (!confirm(`Excluir o funcionário "${employee.getName()}"?${tasks.length > 0 ? ` ${tasks.length} tarefa(s) perderão este responsável.` : ''}`)) return;
+
+                label = `Excluir funcionário "${employee.getName()}"`;
+                this.registry.deleteEmployee(employee.getRegistration());
+
+                // O funcionário excluído é avisado de que não é mais responsável pelas tarefas
+                tasks.forEach(task => {
+                    const oldAssignees = task.getAssignees();
+                    task.setAssignees(oldAssignees.filter(id => id !== employee.getRegistration()));
+                    this.controller.emitReassigned(task, oldAssignees, employee);
+                });
+
+                // "Minhas tarefas" não pode continuar apontando para um funcionário inexistente
+                if (configManager.getConfig('currentUser') === employee.getRegistration()) {
+                    configManager.setConfig('currentUser', '');
+                }
+            }
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.controller.recordHistory(label, memento);
+        this.controller.saveRegistry();
+        this.render();
+    }
+}
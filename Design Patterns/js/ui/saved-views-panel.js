@@ -0,0 +1,208 @@
+/**
+ * Visualizações salvas da lista de tarefas
+ *
+ * A barra lateral lista as visualizações fixadas, com a quantidade de tarefas de
+ * cada uma (recalculada a cada renderização das tarefas); clicar em uma delas
+ * aplica os seus filtros, a ordenação e o agrupamento. O modal de visualizações
+ * permite aplicar, fixar, renomear, compartilhar e excluir. Visualizações
+ * compartilhadas são importadas pelo código gerado em "Compartilhar".
+ */
+class SavedViewsPanel {
+    constructor(controller) {
+        this.controller = controller;
+    }
+
+    findView(id) {
+        return this.controller.savedViews.find(view => view.getId() === id) || null;
+    }
+
+    findViewByName(name) {
+        return this.controller.savedViews.find(view => QueryParser.equals(view.getName(), name)) || null;
+    }
+
+    // Quantidade de tarefas da visualização ('?' se a consulta salva for inválida)
+    getCountLabel(view) {
+        const count = this.controller.countViewTasks(view.getState());
+        return count === null ? '?' : count;
+    }
+
+    // Resumo da visualização (ex: "Pendentes + Tipo: Trabalho · Prioridade, depois Vencimento (invertida) · Por tipo")
+    describe(view) {
+        const state = view.getState();
+        const sorterFilterer = this.controller.sorterFilterer;
+        let filterName;
+        try {
+            filterName = sorterFilterer.createCombinedFilterStrategy(this.controller.getViewFilterKeys(state.filters))?.getName() ?? '?';
+        } catch (error) {
+            filterName = 'Consulta inválida';
+        }
+
+        const sortName = sorterFilterer.createSortStrategy(state.sort, state.direction, state.thenBy)?.getName() ?? state.sort;
+        return `${filterName} · ${sortName} · ${TaskSorterFilterer.GROUPINGS[state.grouping]}`;
+    }
+
+    render() {
+        this.renderPinned();
+        this.renderList();
+    }
+
+    renderPinned() {
+        const currentState = this.controller.getViewState();
+        const pinnedViews = this.controller.savedViews.filter(view => view.isPinned());
+
+        document.getElementById('pinned-views').innerHTML = pinnedViews.length === 0
+            ? '<div class="small text-muted">Nenhuma visualização fixada. Salve a visualização atual ou fixe uma em Gerenciar.</div>'
+            : pinnedViews.map(view => `
+                <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center saved-view-item
+                    ${SavedView.isSameState(view.getState(), currentState) ? 'active' : ''}"
+                    data-view-action="apply" data-view-id="${view.getId()}" title="${Html.escape(this.describe(view))}">
+                    ${Html.escape(view.getName())}
+                    <span class="badge bg-secondary rounded-pill">${this.getCountLabel(view)}</span>
+                </button>
+            `).join('');
+    }
+
+    renderList() {
+        const views = this.controller.savedViews;
+
+        document.getElementById('saved-views-list').innerHTML = views.length === 0
+            ? '<div class="text-muted">Nenhuma visualização salva. Use "Salvar atual" na barra lateral.</div>'
+            : `
+                <table class="table table-sm align-middle saved-views-table">
+                    <thead>
+                        <tr><th></th><th>Nome</th><th class="text-end">Tarefas</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${views.map(view => `
+                            <tr>
+                                <td>
+                                    <button type="button" class="btn btn-sm ${view.isPinned() ? 'btn-warning' : 'btn-outline-secondary'}"
+                                        data-view-action="pin" data-view-id="${view.getId()}"
+                                        title="${view.isPinned() ? 'Desafixar da barra lateral' : 'Fixar na barra lateral'}">📌</button>
+                                </td>
+                                <td>
+                                    <strong>${Html.escape(view.getName())}</strong>
+                                    <div class="small text-muted">${Html.escape(this.describe(view))}</div>
+                                </td>
+                                <td class="text-end">${this.getCountLabel(view)}</td>
+                                <td class="text-end text-nowrap">
+                                    <button type="button" class="btn btn-sm btn-outline-primary" data-view-action="apply" data-view-id="${view.getId()}">Aplicar</button>
+                                    <button type="button" class="btn btn-sm btn-outline-secondary" data-view-action="rename" data-view-id="${view.getId()}" title="Renomear">✏️</button>
+                                    <button type="button" class="btn btn-sm btn-outline-secondary" data-view-action="share" data-view-id="${view.getId()}" title="Compartilhar">🔗</button>
+                                    <button type="button" class="btn btn-sm btn-outline-danger" data-view-action="delete" data-view-id="${view.getId()}" title="Excluir">🗑️</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    setupEventListeners() {
+        document.getElementById('save-view-btn').addEventListener('click', () => this.saveCurrent());
+        document.getElementById('import-view-btn').addEventListener('click', () => this.importView());
+
+        const handleAction = (e) => {
+            const button = e.target.closest('[data-view-action]');
+            const view = button && this.findView(parseInt(button.getAttribute('data-view-id')));
+            if (!view) return;
+
+            switch(button.getAttribute('data-view-action')) {
+                case 'apply': this.apply(view); break;
+                case 'pin': this.togglePinned(view); break;
+                case 'rename': this.rename(view); break;
+                case 'share': this.share(view); break;
+                case 'delete': this.delete(view); break;
+            }
+        };
+        document.getElementById('pinned-views').addEventListener('click', handleAction);
+        document.getElementById('saved-views-list').addEventListener('click', handleAction);
+    }
+
+    // Pedir um nome que ainda não esteja em uso (null se o usuário cancelar)
+    promptName(message, defaultName, currentView = null) {
+        const name = prompt(message, defaultName)?.trim();
+        if (!name) {
+            return null;
+        }
+
+        const existing = this.findViewByName(name);
+        if (existing && existing !== currentView) {
+            alert(`Já existe uma visualização chamada "${existing.getName()}".`);
+            return null;
+        }
+        return name;
+    }
+
+    // Salvar a visualização atual (com o nome de uma existente, substitui os seus filtros e ordenação)
+    saveCurrent() {
+        const name = prompt('Nome da visualização:', '')?.trim();
+        if (!name) return;
+
+        const state = this.controller.getViewState();
+        const existing = this.findViewByName(name);
+        if (existing) {
+            if (!confirm(`Substituir a visualização "${existing.getName()}" pelos filtros e pela ordenação atuais?`)) return;
+            existing.setState(state);
+        } else {
+            this.controller.savedViews.push(new SavedView(++SavedView.lastId, name, state, true));
+        }
+        this.controller.saveSavedViews();
+    }
+
+    apply(view) {
+        if (!this.controller.applyViewState(view.getState())) {
+            alert(`A visualização "${view.getName()}" usa uma ordenação, um agrupamento ou um status que não existe mais.`);
+        }
+    }
+
+    togglePinned(view) {
+        view.setPinned(!view.isPinned());
+        this.controller.saveSavedViews();
+    }
+
+    rename(view) {
+        const name = this.promptName('Novo nome da visualização:', view.getName(), view);
+        if (name) {
+            view.setName(name);
+            this.controller.saveSavedViews();
+        }
+    }
+
+    // Mostrar o código para copiar (e copiá-lo direto, se o navegador permitir)
+    share(view) {
+        const code = view.getShareCode();
+        navigator.clipboard?.writeText(code).catch(() => {});
+        prompt(`Código da visualização "${view.getName()}" (copie e envie para quem vai importá-la):`, code);
+    }
+
+    delete(view) {
+        if (confirm(`Excluir a visualização "${view.getName()}"?`)) {
+            this.controller.savedViews = this.controller.savedViews.filter(other => other !== view);
+            this.controller.saveSavedViews();
+        }
+    }
+
+    importView() {
+        const code = prompt('Cole o código da visualização compartilhada:');
+        if (!code?.trim()) return;
+
+        let shared;
+        try {
+            shared = SavedView.parseShareCode(code);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        if (!this.controller.isValidViewState(shared.state)) {
+            alert('A visualização usa uma ordenação, um agrupamento ou um status que não existe nesta versão.');
+            return;
+        }
+
+        const name = this.promptName('Nome da visualização importada:', shared.name);
+        if (name) {
+            this.controller.savedViews.push(new SavedView(++SavedView.lastId, name, shared.state, true));
+            this.controller.saveSavedViews();
+        }
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Gráficos simples em SVG para o painel de estatísticas
+ *
+ * Cada função recebe os dados já calculados e devolve o HTML do gráfico, sem
+ * bibliotecas externas. As cores são os nomes das cores do Bootstrap usados nos
+ * badges (ex: 'success'), para os gráficos combinarem com o restante da página.
+ */
+class SvgCharts {
+    static COLORS = {
+        primary: '#0d6efd',
+        secondary: '#6c757d',
+        success: '#198754',
+        danger: '#dc3545',
+        warning: '#ffc107',
+        info: '#0dcaf0',
+        dark: '#212529'
+    };
+
+    // Cores usadas quando os itens não informam a sua
+    static PALETTE = ['primary', 'info', 'success', 'warning', 'danger', 'secondary', 'dark'];
+
+    static getColor(color, index) {
+        return SvgCharts.COLORS[color || SvgCharts.PALETTE[index % SvgCharts.PALETTE.length]];
+    }
+
+    // Barras horizontais: items = [{ label, value, color }]
+    static barChart(items) {
+        const max = Math.max(...items.map(item => item.value), 1);
+        const rowHeight = 24;
+
+        return `
+            <svg class="chart" viewBox="0 0 300 ${items.length * rowHeight}" role="img">
+                ${items.map((item, index) => `
+                    <g transform="translate(0, ${index * rowHeight})">
+                        <title>${Html.escape(item.label)}: ${item.value}</title>
+                        <text class="chart-label" x="0" y="16">${Html.escape(item.label)}</text>
+                        <rect x="110" y="4" height="16" rx="2" width="${Math.round(item.value / max * 150)}" fill="${SvgCharts.getColor(item.color, index)}"></rect>
+                        <text class="chart-value" x="${116 + Math.round(item.value / max * 150)}" y="16">${item.value}</text>
+                    </g>
+                `).join('')}
+            </svg>
+        `;
+    }
+
+    // Rosca com legenda: items = [{ label, value, color }]; centerText aparece no meio
+    static donutChart(items, centerText = '') {
+        const total = items.reduce((sum, item) => sum + item.value, 0);
+        const radius = 40;
+        const circumference = 2 * Math.PI * radius;
+        let offset = 0;
+
+        const slices = total === 0
+            ? `<circle cx="60" cy="60" r="${radius}" fill="none" stroke="#dee2e6" stroke-width="18"></circle>`
+            : items.filter(item => item.value > 0).map((item) => {
+                const index = items.indexOf(item);
+                const length = item.value / total * circumference;
+                const slice = `
+                    <circle cx="60" cy="60" r="${radius}" fill="none" stroke="${SvgCharts.getColor(item.color, index)}" stroke-width="18"
+                        stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 60 60)">
+                        <title>${Html.escape(item.label)}: ${item.value}</title>
+                    </circle>
+                `;
+                offset += length;
+                return slice;
+            }).join('');
+
+        return `
+            <div class="d-flex align-items-center gap-3">
+                <svg class="chart chart-donut" viewBox="0 0 120 120" role="img">
+                    ${slices}
+                    <text class="chart-center" x="60" y="65" text-anchor="middle">${Html.escape(centerText)}</text>
+                </svg>
+                <ul class="list-unstyled small mb-0 chart-legend">
+                    ${items.map((item, index) => `
+                        <li><span class="chart-swatch" style="background: ${SvgCharts.getColor(item.color, index)}"></span>${Html.escape(item.label)}: ${item.value}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    // Colunas agrupadas: categories = ['01/09', ...], series = [{ label, color, values: [...] }]
+    static columnChart(categories, series) {
+        const max = Math.max(...series.flatMap(serie => serie.values), 1);
+        const chartHeight = 100;
+        const groupWidth = 300 / Math.max(categories.length, 1);
+        const columnWidth = (groupWidth - 8) / Math.max(series.length, 1);
+
+        return `
+            <svg class="chart" viewBox="0 0 300 ${chartHeight + 20}" role="img">
+                ${categories.map((category, categoryIndex) => `
+                    <g transform="translate(${categoryIndex * groupWidth + 4}, 0)">
+                        ${series.map((serie, serieIndex) => {
+                            const height = Math.round(serie.values[categoryIndex] / max * chartHeight);
+                            return `
+                                <rect x="${serieIndex * columnWidth}" y="${chartHeight - height}" width="${columnWidth - 1}" height="${height}"
+                                    fill="${SvgCharts.getColor(serie.color, serieIndex)}">
+                                    <title>${Html.escape(category)} · ${Html.escape(serie.label)}: ${serie.values[categoryIndex]}</title>
+                                </rect>
+                            `;
+                        }).join('')}
+                        <text class="chart-label" x="${(groupWidth - 8) / 2}" y="${chartHeight + 14}" text-anchor="middle">${Html.escape(category)}</text>
+                    </g>
+                `).join('')}
+            </svg>
+            <ul class="list-inline small mb-0 chart-legend">
+                ${series.map((serie, index) => `
+                    <li class="list-inline-item"><span class="chart-swatch" style="background: ${SvgCharts.getColor(serie.color, index)}"></span>${Html.escape(serie.label)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+}
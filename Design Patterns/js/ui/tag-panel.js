@@ -0,0 +1,178 @@
+/**
+ * Nuvem de etiquetas e gerenciador de etiquetas
+ *
+ * A nuvem, na barra lateral, mostra cada etiqueta com a quantidade de tarefas
+ * (o tamanho do texto cresce com a quantidade); clicar em uma etiqueta filtra a
+ * lista por ela e clicar de novo desfaz o filtro. O modal de etiquetas permite
+ * criar, renomear, trocar a cor, mesclar e excluir. Mesclar ou excluir uma
+ * etiqueta atualiza as tarefas ligadas a ela através do UIController, que avisa
+ * os observadores. Todas as alterações entram no histórico de desfazer/refazer.
+ */
+class TagPanel {
+    constructor(controller) {
+        this.controller = controller;
+        this.registry = controller.tagRegistry;
+    }
+
+    render() {
+        this.renderCloud();
+        this.renderList();
+    }
+
+    renderCloud() {
+        const counts = this.registry.getTagCounts()
+            .sort((a, b) => a.tag.getName().localeCompare(b.tag.getName()));
+        const maxCount = Math.max(1, ...counts.map(({ count }) => count));
+        const activeTag = this.controller.viewFilters.tag;
+
+        document.getElementById('tag-cloud').innerHTML = counts.length === 0
+            ? '<div class="small text-muted">Nenhuma etiqueta. Crie etiquetas em "Gerenciar etiquetas".</div>'
+            : counts.map(({ tag, count }) => `
+                <button type="button" class="tag-cloud-item ${String(tag.getId()) === activeTag ? 'active' : ''}"
+                    data-tag-id="${tag.getId()}" title="${count} tarefa(s)"
+                    style="background-color: ${tag.getColor()}; color: ${tag.getTextColor()}; font-size: ${(0.8 + 0.7 * count / maxCount).toFixed(2)}rem">
+                    ${tag.getName()} <small>${count}</small>
+                </button>
+            `).join('');
+    }
+
+    renderList() {
+        const counts = this.registry.getTagCounts();
+
+        document.getElementById('tag-list').innerHTML = counts.length === 0
+            ? '<div class="text-muted">Nenhuma etiqueta cadastrada.</div>'
+            : `
+                <table class="table table-sm align-middle tags-table">
+                    <thead>
+                        <tr><th>Cor</th><th>Nome</th><th class="text-end">Tarefas</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${counts.map(({ tag, count }) => `
+                            <tr>
+                                <td>
+                                    <input type="color" class="form-control form-control-sm form-control-color tag-color-input"
+                                        value="${tag.getColor()}" data-tag-id="${tag.getId()}" title="Trocar a cor">
+                                </td>
+                                <td>${tag.getBadgeHtml()}</td>
+                                <td class="text-end">${count}</td>
+                                <td class="text-end text-nowrap">
+                                    <button type="button" class="btn btn-sm btn-outline-secondary" data-tag-action="rename" data-tag-id="${tag.getId()}">Renomear</button>
+                                    <button type="button" class="btn btn-sm btn-outline-secondary" data-tag-action="merge" data-tag-id="${tag.getId()}">Mesclar</button>
+                                    <button type="button" class="btn btn-sm btn-outline-danger" data-tag-action="delete" data-tag-id="${tag.getId()}">Excluir</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    setupEventListeners() {
+        document.getElementById('tag-cloud').addEventListener('click', (e) => {
+            const item = e.target.closest('.tag-cloud-item');
+            if (item) {
+                const tagId = item.getAttribute('data-tag-id');
+                this.controller.showTagTasks(this.controller.viewFilters.tag === tagId ? '' : tagId);
+            }
+        });
+
+        document.getElementById('tag-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = document.getElementById('tag-name').value;
+            if (this.save(`Criar etiqueta "${name.trim()}"`, () => this.registry.createTag(name, document.getElementById('tag-color').value))) {
+                document.getElementById('tag-name').value = '';
+            }
+        });
+
+        const list = document.getElementById('tag-list');
+        list.addEventListener('change', (e) => {
+            const tag = e.target.classList.contains('tag-color-input') && this.registry.findTag(parseInt(e.target.getAttribute('data-tag-id')));
+            if (tag) {
+                this.save(`Trocar a cor da etiqueta "${tag.getName()}"`, () => this.registry.recolorTag(tag.getId(), e.target.value));
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-tag-action]');
+            const tag = button && this.registry.findTag(parseInt(button.getAttribute('data-tag-id')));
+            if (!tag) return;
+
+            switch(button.getAttribute('data-tag-action')) {
+                case 'rename': this.rename(tag); break;
+                case 'merge': this.merge(tag); break;
+                case 'delete': this.delete(tag); break;
+            }
+        });
+    }
+
+    // Gravar com a função informada; erros de validação são mostrados ao usuário
+    // (o histórico recebe o estado anterior só quando a gravação dá certo)
+    save(label, saveTag) {
+        const memento = this.controller.createMemento();
+        try {
+            saveTag();
+        } catch (error) {
+            alert(error.message);
+            this.renderList();
+            return false;
+        }
+
+        this.controller.recordHistory(label, memento);
+        this.controller.saveTags();
+        return true;
+    }
+
+    rename(tag) {
+        const name = prompt('Novo nome da etiqueta:', tag.getName());
+        if (name !== null && name.trim() !== tag.getName()) {
+            this.save(`Renomear etiqueta "${tag.getName()}"`, () => this.registry.renameTag(tag.getId(), name));
+        }
+    }
+
+    // Passar as tarefas da etiqueta para outra etiqueta e excluí-la
+    merge(tag) {
+        const others = this.registry.getTags().filter(other => other !== tag);
+        if (others.length === 0) {
+            alert('Crie outra etiqueta para mesclar com esta.');
+            return;
+        }
+
+        const targetName = prompt(`Mesclar "${tag.getName()}" em qual etiqueta? (${others.map(other => other.getName()).join(', ')})`);
+        if (!targetName?.trim()) return;
+
+        const target = this.registry.findTagByName(targetName);
+        if (!target) {
+            alert(`Etiqueta "${targetName.trim()}" não encontrada.`);
+            return;
+        }
+
+        const tasks = this.registry.getTagTasks(tag.getId());
+        if (!confirm(`Mesclar "${tag.getName()}" em "${target.getName()}"? ${tasks.length} tarefa(s) passarão para "${target.getName()}".`)) return;
+
+        this.save(`Mesclar etiqueta "${tag.getName()}" em "${target.getName()}"`, () => {
+            const oldNames = new Map(tasks.map(task => [task, this.controller.getTagNames(task.getTagIds())]));
+            this.registry.mergeTags(tag.getId(), target.getId());
+            this.controller.detachTasks(tasks, 'etiquetas', task => {
+                task.setTagIds(task.getTagIds().map(id => id === tag.getId() ? target.getId() : id));
+                return { oldValue: oldNames.get(task).join(', '), newValue: this.controller.getTagNames(task.getTagIds()).join(', ') };
+            });
+        });
+    }
+
+    delete(tag) {
+        const tasks = this.registry.getTagTasks(tag.getId());
+        if (!confirm(`Excluir a etiqueta "${tag.getName()}"?${tasks.length > 0 ? ` Ela será removida de ${tasks.length} tarefa(s).` : ''}`)) return;
+
+        this.save(`Excluir etiqueta "${tag.getName()}"`, () => {
+            this.registry.deleteTag(tag.getId());
+            this.controller.detachTasks(tasks, 'etiquetas', task => {
+                const remaining = task.getTagIds().filter(id => id !== tag.getId());
+                task.setTagIds(remaining);
+                return {
+                    oldValue: [...this.controller.getTagNames(remaining), tag.getName()].join(', '),
+                    newValue: this.controller.getTagNames(remaining).join(', ') || 'nenhuma'
+                };
+            });
+        });
+    }
+}
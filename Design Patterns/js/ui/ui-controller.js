@@ -5,202 +5,2471 @@
 class UIController {
     constructor() {
         this.tasks = [];
+        this.groups = [];
         this.taskFactory = new TaskFactory();
         this.taskSubject = new TaskSubject();
         this.notifications = [];
+        this.storage = new WorkspaceStorage(this.taskFactory);
         
-        // Inicializar observadores
+        // Cadastro de projetos, clientes e funcionários ligados às tarefas
+        this.projectRegistry = new ProjectRegistry(() => this.tasks);
+        
+        // Etiquetas definidas pelo usuário (as tarefas guardam os IDs)
+        this.tagRegistry = new TagRegistry(() => this.tasks);
+        this.sorterFilterer = new TaskSorterFilterer(this.projectRegistry, this.tagRegistry, () => this.dueDateScheduler.clock.now());
+        this.history = new HistoryManager();
+        
+        // Estado da barra de ordenação e filtragem
+        this.viewFilters = { ...SavedView.DEFAULT_FILTERS };
+        
+        // Visualizações salvas (filtros, ordenação e agrupamento)
+        this.savedViews = [];
+        
+        // Grupo alvo dos modais de grupo (adicionar tarefas / excluir)
+        this.activeGroupId = null;
+        
+        // Tarefa aberta no modal de edição
+        this.editingTaskId = null;
+        
+        // Item sendo arrastado na lista ({ kind: 'task' | 'group', id })
+        this.draggedItem = null;
+        
+        // Restaurar o workspace salvo na última sessão
+        this.loadWorkspace();
+        
+        // Inicializar observadores e as opções de inscrição em eventos
         this.initObservers();
+        this.renderEventSubscriptions();
+        
+        // Visualizações em quadro (Kanban), em calendário e da carga de trabalho da equipe
+        this.kanbanBoard = new KanbanBoard(this);
+        this.calendarView = new CalendarView(this);
+        this.workloadView = new WorkloadView(this);
+        
+        // Telas de cadastro de projetos, clientes e funcionários
+        this.registryPanel = new RegistryPanel(this);
+        
+        // Visualizações salvas na barra lateral
+        this.savedViewsPanel = new SavedViewsPanel(this);
+        
+        // Nuvem de etiquetas na barra lateral e gerenciador de etiquetas
+        this.tagPanel = new TagPanel(this);
+        
+        // Dependências entre tarefas (pré-requisitos)
+        this.dependencyGraph = new DependencyGraph(() => this.tasks);
+        
+        // Folha de horas com o tempo registrado nas tarefas
+        this.timesheet = new Timesheet(() => this.tasks, task => {
+            const group = this.findParentGroup(task.getId());
+            return group ? group.getTitle() : '';
+        }, this.projectRegistry);
+        
+        // Comparação entre o esforço estimado e o tempo registrado
+        this.estimationReport = new EstimationReport(() => this.tasks, () => this.groups);
+        
+        // Acompanhar os vencimentos das tarefas e avisar os observadores
+        this.dueDateScheduler = new DueDateScheduler(() => this.tasks, this.notifyDueDateReminders.bind(this));
+        
+        // Painel de estatísticas (filtro atual ou grupo selecionado)
+        this.dashboardPanel = new DashboardPanel(this);
+        
+        // Autocompletar da pesquisa (campos e valores da linguagem de consulta)
+        this.queryAutocomplete = new QueryAutocomplete(document.getElementById('task-search'), this.sorterFilterer.queryParser);
+        
+        // Preencher a barra de ordenação e filtragem
+        this.initToolbar();
+        
+        // Aplicar os valores padrão configurados ao formulário de criação
+        this.applyFormDefaults();
+        
+        // Configurar manipuladores de eventos
+        this.setupEventListeners();
+        
+        // Iniciar a verificação periódica dos vencimentos
+        this.dueDateScheduler.start();
+    }
+    
+    // Inicializar os observadores com base nas configurações do usuário
+    initObservers() {
+        // Eventos em que cada canal está inscrito
+        const events = configManager.getConfig('notificationEvents');
+        
+        // Adicionar observadores iniciais com base nas caixas de seleção
+        if (document.getElementById('screen-observer').checked) {
+            this.taskSubject.addObserver(new ScreenObserver(this.addNotification.bind(this), events.screen));
+        }
+        
+        if (document.getElementById('email-observer').checked) {
+            this.taskSubject.addObserver(new EmailObserver(this.addNotification.bind(this), events.email));
+        }
+        
+        if (document.getElementById('log-observer').checked) {
+            this.taskSubject.addObserver(new LogObserver(this.addNotification.bind(this), events.log));
+        }
+
+        if (document.getElementById('push-observer').checked) {            
+            this.taskSubject.addObserver(new PushObserver(this.addNotification.bind(this), events.push));
+        }
+        
+        // O painel de estatísticas acompanha todos os eventos, independente dos canais
+        // (o painel é criado depois dos observadores, por isso a verificação)
+        this.taskSubject.addObserver(new DashboardObserver(() => this.dashboardPanel?.refresh()));
+    }
+    
+    // Listar, para cada canal, os eventos em que ele pode se inscrever
+    renderEventSubscriptions() {
+        const events = configManager.getConfig('notificationEvents');
+        
+        document.querySelectorAll('.observer-events').forEach(container => {
+            const channel = container.getAttribute('data-channel');
+            container.innerHTML = Object.entries(TaskEvent.TYPES).map(([type, label]) => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input observer-event-checkbox" type="checkbox" id="${channel}-event-${type}"
+                        data-channel="${channel}" data-event-type="${type}" ${events[channel].includes(type) ? 'checked' : ''}>
+                    <label class="form-check-label" for="${channel}-event-${type}">${label}</label>
+                </div>
+            `).join('');
+        });
+    }
+    
+    // Atualizar os eventos em que um canal está inscrito
+    updateEventSubscription(channel, eventType, subscribed) {
+        const events = configManager.getConfig('notificationEvents');
+        const channelEvents = events[channel].filter(type => type !== eventType);
+        if (subscribed) {
+            channelEvents.push(eventType);
+        }
+        
+        // Substituir o objeto (em vez de alterá-lo) para não modificar a configuração padrão
+        configManager.setConfig('notificationEvents', { ...events, [channel]: channelEvents });
+    }
+    
+    // Criar um evento (TaskEvent) e enviá-lo aos observadores inscritos
+    emit(type, task, payload = {}) {
+        this.taskSubject.notify(new TaskEvent(type, task, payload));
+    }
+    
+    // Enviar os lembretes de vencimento gerados pelo agendador e atualizar os destaques da lista
+    notifyDueDateReminders(reminders) {
+        reminders.forEach(({ type, task, dueDate, timestamp }) => {
+            this.emit(type, task, { newValue: dueDate, timestamp });
+        });
+        
+        this.renderTasks();
+    }
+    
+    // Avisar que uma tarefa mudou de grupo (null representa "sem grupo")
+    emitMovedToGroup(task, fromGroup, toGroup) {
+        this.emit(TaskEvent.MOVED_TO_GROUP, task, {
+            oldValue: fromGroup ? fromGroup.getTitle() : null,
+            newValue: toGroup ? toGroup.getTitle() : null
+        });
+    }
+    
+    // Preencher a barra de ferramentas com as estratégias disponíveis
+    initToolbar() {
+        document.getElementById('sort-select').innerHTML = this.sorterFilterer.getAvailableSortStrategies()
+            .map(strategy => `<option value="${strategy.key}">${strategy.name}</option>`)
+            .join('');
+        
+        document.getElementById('grouping-select').innerHTML = Object.entries(TaskSorterFilterer.GROUPINGS)
+            .map(([key, name]) => `<option value="${key}">${name}</option>`)
+            .join('');
+        this.renderSortControls();
+        
+        document.getElementById('board-swimlane-select').innerHTML = Object.entries(KanbanBoard.SWIMLANES)
+            .map(([key, name]) => `<option value="${key}">${name}</option>`)
+            .join('');
+        
+        document.getElementById('status-filter-chips').innerHTML = this.sorterFilterer.getAvailableFilterStrategies()
+            .map(strategy => `
+                <button type="button" class="btn btn-sm btn-outline-secondary filter-chip ${strategy.key === this.viewFilters.status ? 'active' : ''}"
+                    data-status-filter="${strategy.key}">${strategy.name}</button>
+            `)
+            .join('');
+        
+        this.renderRegistryFilterOptions();
+    }
+    
+    // Opções dos filtros por projeto e por cliente (um filtro de um cadastro excluído é desfeito)
+    renderRegistryFilterOptions() {
+        const fillSelect = (id, filterKey, placeholder, entities) => {
+            const select = document.getElementById(id);
+            select.innerHTML = `<option value="">${placeholder}</option>` + entities
+                .map(entity => `<option value="${entity.getId()}">${entity.getName()}</option>`)
+                .join('');
+            if (!entities.some(entity => String(entity.getId()) === this.viewFilters[filterKey])) {
+                this.viewFilters[filterKey] = '';
+            }
+            select.value = this.viewFilters[filterKey];
+        };
+        
+        fillSelect('project-filter-select', 'project', 'Todos os projetos', this.projectRegistry.getProjects());
+        fillSelect('client-filter-select', 'client', 'Todos os clientes', this.projectRegistry.getClients());
+        
+        // Responsáveis: "Minhas tarefas" só vale com o usuário atual cadastrado
+        const assigneeSelect = document.getElementById('assignee-filter-select');
+        const employees = this.projectRegistry.getEmployees();
+        assigneeSelect.innerHTML = `
+            <option value="">Todas as pessoas</option>
+            <option value="me">Minhas tarefas</option>
+            <option value="none">Sem responsável</option>
+        ` + employees.map(employee => `<option value="${employee.getId()}">${employee.getName()}</option>`).join('');
+        const validAssignees = ['', 'none', ...employees.map(employee => employee.getId())];
+        if (this.projectRegistry.findEmployee(configManager.getConfig('currentUser'))) {
+            validAssignees.push('me');
+        }
+        if (!validAssignees.includes(this.viewFilters.assignee)) {
+            this.viewFilters.assignee = '';
+        }
+        assigneeSelect.value = this.viewFilters.assignee;
+        
+        // Etiquetas: ID da etiqueta ou 'none' (sem etiqueta)
+        const tagSelect = document.getElementById('tag-filter-select');
+        const tags = this.tagRegistry.getTags();
+        tagSelect.innerHTML = `
+            <option value="">Todas as etiquetas</option>
+            <option value="none">Sem etiqueta</option>
+        ` + tags.map(tag => `<option value="${tag.getId()}">${tag.getName()}</option>`).join('');
+        if (!['', 'none', ...tags.map(tag => String(tag.getId()))].includes(this.viewFilters.tag)) {
+            this.viewFilters.tag = '';
+        }
+        tagSelect.value = this.viewFilters.tag;
+    }
+    
+    // Mostrar na lista as tarefas de uma etiqueta (ID ou '' para todas)
+    showTagTasks(tag) {
+        this.viewFilters.tag = tag;
+        document.getElementById('tag-filter-select').value = tag;
+        this.applyViewFilters();
+        configManager.setConfig('taskView', 'list');
+    }
+    
+    // Mostrar na lista as tarefas de uma pessoa (matrícula ou 'none')
+    showAssigneeTasks(assignee) {
+        this.viewFilters.assignee = assignee;
+        document.getElementById('assignee-filter-select').value = assignee;
+        this.applyViewFilters();
+        configManager.setConfig('taskView', 'list');
+    }
+    
+    // Configurar manipuladores de eventos para a interface do usuário
+    setupEventListeners() {
+        // Manipular envio do formulário de tarefa
+        document.getElementById('task-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createTask();
+        });
+        
+        // Manipular cliques nos botões de status de tarefa (usando delegação de eventos, na lista e no quadro)
+        const handleTaskClick = (e) => {
+            if (e.target.classList.contains('status-btn')) {
+                const taskId = parseInt(e.target.getAttribute('data-task-id'));
+                const status = e.target.getAttribute('data-status');
+                this.updateTaskStatus(taskId, status);
+            }
+            if (e.target.classList.contains('edit-btn')) {
+                const taskId = parseInt(e.target.getAttribute('data-task-id'));
+                this.openEditTaskModal(taskId);
+            }
+            if (e.target.classList.contains('delete-btn')) {
+                const taskId = parseInt(e.target.getAttribute('data-task-id'));
+                this.deleteTask(taskId);
+            }
+            
+            // Checklist da tarefa
+            const itemId = parseInt(e.target.getAttribute('data-item-id'));
+            if (e.target.classList.contains('checklist-add-btn')) {
+                this.addChecklistItem(parseInt(e.target.getAttribute('data-task-id')));
+            }
+            if (e.target.classList.contains('checklist-toggle')) {
+                this.toggleChecklistItem(parseInt(e.target.getAttribute('data-task-id')), itemId, e.target.checked);
+            }
+            if (e.target.classList.contains('checklist-move-btn')) {
+                this.moveChecklistItem(parseInt(e.target.getAttribute('data-task-id')), itemId, parseInt(e.target.getAttribute('data-direction')));
+            }
+            if (e.target.classList.contains('checklist-remove-btn')) {
+                this.removeChecklistItem(parseInt(e.target.getAttribute('data-task-id')), itemId);
+            }
+            
+            // Registro de tempo da tarefa
+            if (e.target.classList.contains('timer-btn')) {
+                this.toggleTimer(parseInt(e.target.getAttribute('data-task-id')));
+            }
+            if (e.target.classList.contains('time-entry-btn')) {
+                this.addManualTimeEntry(parseInt(e.target.getAttribute('data-task-id')));
+            }
+            
+            // Botões do cabeçalho dos grupos (Composite)
+            const groupId = e.target.getAttribute('data-group-id');
+            if (e.target.classList.contains('toggle-group-btn')) {
+                this.toggleGroup(groupId);
+            }
+            if (e.target.classList.contains('group-status-btn')) {
+                this.updateGroupStatus(groupId, e.target.getAttribute('data-status'));
+            }
+            if (e.target.classList.contains('add-task-to-group-btn')) {
+                this.openAddTasksToGroupModal(groupId);
+            }
+            if (e.target.classList.contains('add-subgroup-btn')) {
+                this.createSubgroup(groupId);
+            }
+            if (e.target.classList.contains('delete-group-btn')) {
+                this.openDeleteGroupModal(groupId);
+            }
+        };
+        document.getElementById('tasks-container').addEventListener('click', handleTaskClick);
+        document.getElementById('board-container').addEventListener('click', handleTaskClick);
+        
+        // Alternar entre a lista e o quadro (Kanban)
+        document.querySelectorAll('.view-btn').forEach(button => {
+            button.addEventListener('click', () => configManager.setConfig('taskView', button.getAttribute('data-view')));
+        });
+        document.getElementById('board-swimlane-select').addEventListener('change', (e) => {
+            configManager.setConfig('boardSwimlanes', e.target.value);
+        });
+        this.kanbanBoard.setupDragAndDrop(document.getElementById('board-container'));
+        this.calendarView.setupEventListeners(document.getElementById('calendar-container'));
+        this.workloadView.setupEventListeners(document.getElementById('workload-container'));
+        
+        // Manipular o formulário de edição de tarefa
+        document.getElementById('edit-task-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.saveTaskEdits()) {
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('edit-task-modal')).hide();
+            }
+        });
+        
+        // Manipular o modal de configurações (Singleton)
+        document.getElementById('settings-modal').addEventListener('show.bs.modal', () => {
+            this.renderSettingsForm();
+        });
+        
+        document.getElementById('save-settings').addEventListener('click', () => {
+            this.saveSettings();
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('settings-modal')).hide();
+        });
+        
+        document.getElementById('reset-settings').addEventListener('click', () => {
+            configManager.resetToDefaults();
+            this.renderSettingsForm();
+        });
+        
+        // Reagir a mudanças de configuração
+        document.addEventListener('configChanged', (e) => {
+            this.applyFormDefaults();
+            this.renderTasks();
+            this.renderNotifications();
+            
+            // Recriar os observadores com os eventos em que cada canal está inscrito
+            if (e.detail.key === 'notificationEvents' || e.detail.key === 'all') {
+                this.renderEventSubscriptions();
+                this.updateObservers();
+            }
+            
+            // Outro usuário atual muda o resultado de "Minhas tarefas"
+            if (e.detail.key === 'currentUser' || e.detail.key === 'all') {
+                this.renderRegistryFilterOptions();
+                this.applyViewFilters();
+            }
+            
+            // Datas dos projetos seguem o idioma escolhido
+            if (e.detail.key === 'language' || e.detail.key === 'all') {
+                this.registryPanel.render();
+            }
+
+            // Novas antecedências podem gerar lembretes imediatamente
+            if (e.detail.key === 'reminderLeadDays' || e.detail.key === 'all') {
+                this.dueDateScheduler.check();
+            }
+        });
+        
+        // Manipular a folha de horas
+        document.getElementById('timesheet-modal').addEventListener('show.bs.modal', () => {
+            this.renderTimesheet();
+        });
+        document.getElementById('timesheet-from').addEventListener('change', () => this.renderTimesheet());
+        document.getElementById('timesheet-to').addEventListener('change', () => this.renderTimesheet());
+        document.getElementById('export-timesheet').addEventListener('click', () => this.exportTimesheet());
+        
+        // Manipular o relatório de estimativas
+        document.getElementById('estimation-modal').addEventListener('show.bs.modal', () => {
+            this.renderEstimationReport();
+        });
+        document.getElementById('edit-estimate-method').addEventListener('change', () => this.renderEstimateFields());
+        
+        // Manipular criação de grupos
+        document.getElementById('group-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createGroup();
+        });
+        
+        // Manipular os botões dos modais de grupo
+        document.getElementById('confirm-add-to-group').addEventListener('click', () => {
+            const taskIds = [...document.querySelectorAll('#add-to-group-task-list input:checked')]
+                .map(input => parseInt(input.value));
+            this.addTasksToGroup(this.activeGroupId, taskIds);
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('add-to-group-modal')).hide();
+        });
+        
+        document.getElementById('delete-group-keep-tasks').addEventListener('click', () => {
+            this.deleteGroup(this.activeGroupId, false);
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('delete-group-modal')).hide();
+        });
+        
+        document.getElementById('delete-group-with-tasks').addEventListener('click', () => {
+            this.deleteGroup(this.activeGroupId, true);
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('delete-group-modal')).hide();
+        });
+        
+        // Manipular arrastar e soltar de tarefas e grupos
+        this.setupDragAndDrop();
+        
+        // Manipular desfazer/refazer (botões e atalhos Ctrl+Z / Ctrl+Shift+Z)
+        document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            
+            // Manter o desfazer nativo dentro de campos de texto
+            if (e.target instanceof Element && e.target.closest('input, textarea, select')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        
+        // Manipular a barra de ordenação e filtragem (Strategy)
+        document.getElementById('sort-select').addEventListener('change', (e) => {
+            this.selectSortStrategy(e.target.value);
+        });
+        
+        document.getElementById('sort-direction-btn').addEventListener('click', () => {
+            this.sorterFilterer.setSortDirection(this.sorterFilterer.getSortDirection() === 'asc' ? 'desc' : 'asc');
+            this.renderSortControls();
+            this.renderTasks();
+        });
+        
+        document.getElementById('grouping-select').addEventListener('change', (e) => {
+            this.sorterFilterer.setGrouping(e.target.value);
+            this.renderTasks();
+        });
+        
+        // Critérios de desempate: trocar a chave, inverter o sentido, remover ou adicionar
+        const thenByControls = document.getElementById('then-by-controls');
+        thenByControls.addEventListener('change', (e) => {
+            if (e.target.matches('.then-by-select')) {
+                const thenBy = this.sorterFilterer.getThenBy();
+                thenBy[parseInt(e.target.getAttribute('data-then-by-index'))].key = e.target.value;
+                this.updateThenBy(thenBy);
+            }
+        });
+        
+        thenByControls.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-then-by-action]');
+            if (!button) return;
+            
+            const thenBy = this.sorterFilterer.getThenBy();
+            const index = parseInt(button.getAttribute('data-then-by-index'));
+            switch(button.getAttribute('data-then-by-action')) {
+                case 'direction':
+                    thenBy[index].direction = thenBy[index].direction === 'asc' ? 'desc' : 'asc';
+                    break;
+                case 'remove':
+                    thenBy.splice(index, 1);
+                    break;
+                case 'add': {
+                    // Sugerir a primeira chave que ainda não é usada na ordenação
+                    const usedKeys = [this.sorterFilterer.getSortKey(), ...thenBy.map(item => item.key)];
+                    const key = this.getThenByOptions().find(option => !usedKeys.includes(option.key))?.key
+                        ?? this.getThenByOptions()[0].key;
+                    thenBy.push({ key, direction: 'asc' });
+                    break;
+                }
+            }
+            this.updateThenBy(thenBy);
+        });
+        
+        document.getElementById('status-filter-chips').addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) {
+                this.viewFilters.status = chip.getAttribute('data-status-filter');
+                this.applyViewFilters();
+            }
+        });
+        
+        document.getElementById('type-filter-chips').addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) {
+                this.viewFilters.type = chip.getAttribute('data-type');
+                this.applyViewFilters();
+            }
+        });
+        
+        document.getElementById('task-search').addEventListener('input', (e) => {
+            this.viewFilters.search = e.target.value.trim();
+            this.applyViewFilters();
+        });
+        this.queryAutocomplete.setupEventListeners();
+        
+        document.getElementById('project-filter-select').addEventListener('change', (e) => {
+            this.viewFilters.project = e.target.value;
+            this.applyViewFilters();
+        });
+        
+        document.getElementById('client-filter-select').addEventListener('change', (e) => {
+            this.viewFilters.client = e.target.value;
+            this.applyViewFilters();
+        });
+        
+        document.getElementById('assignee-filter-select').addEventListener('change', (e) => {
+            if (e.target.value === 'me' && !this.projectRegistry.findEmployee(configManager.getConfig('currentUser'))) {
+                alert('Escolha quem você é nas configurações para ver as suas tarefas.');
+                e.target.value = this.viewFilters.assignee;
+                return;
+            }
+            this.viewFilters.assignee = e.target.value;
+            this.applyViewFilters();
+        });
+        
+        document.getElementById('tag-filter-select').addEventListener('change', (e) => {
+            this.viewFilters.tag = e.target.value;
+            this.applyViewFilters();
+        });
+        
+        // Cadastros de projetos, clientes e funcionários
+        this.registryPanel.setupEventListeners();
+        this.savedViewsPanel.setupEventListeners();
+        this.tagPanel.setupEventListeners();
+        this.dashboardPanel.setupEventListeners();
+        
+        // Manipular aplicação de decoradores
+        document.getElementById('apply-decorators').addEventListener('click', () => {
+            this.applyDecorators();
+        });
+        
+        // Pré-preencher o painel de decoradores ao selecionar uma tarefa
+        document.getElementById('decorate-task-select').addEventListener('change', () => {
+            this.renderDecoratorPanel();
+        });
+        
+        document.getElementById('current-decorators').addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-decorator-btn')) {
+                const taskId = parseInt(e.target.getAttribute('data-task-id'));
+                this.removeDecorator(taskId, parseInt(e.target.getAttribute('data-index')));
+            }
+        });
+        
+        // Atualizar observadores quando as caixas de seleção forem alteradas
+        document.getElementById('screen-observer').addEventListener('change', this.updateObservers.bind(this));
+        document.getElementById('email-observer').addEventListener('change', this.updateObservers.bind(this));
+        document.getElementById('log-observer').addEventListener('change', this.updateObservers.bind(this));
+        document.getElementById('push-observer').addEventListener('change', this.updateObservers.bind(this));
+        
+        // Inscrever ou cancelar a inscrição de um canal em um tipo de evento
+        document.getElementById('observer-event-options').addEventListener('change', (e) => {
+            if (e.target.classList.contains('observer-event-checkbox')) {
+                this.updateEventSubscription(
+                    e.target.getAttribute('data-channel'),
+                    e.target.getAttribute('data-event-type'),
+                    e.target.checked
+                );
+            }
+        });
+    }
+    
+    // Configurar arrastar e soltar na lista de tarefas (usando delegação de eventos)
+    setupDragAndDrop() {
+        const container = document.getElementById('tasks-container');
+        
+        const clearDropIndicators = () => {
+            container.querySelectorAll('.drag-over, .drag-over-before, .drag-over-after').forEach(el => {
+                el.classList.remove('drag-over', 'drag-over-before', 'drag-over-after');
+            });
+        };
+        
+        container.addEventListener('dragstart', (e) => {
+            const taskElement = e.target.closest('.task-item');
+            const groupElement = e.target.closest('.task-group');
+            
+            if (taskElement) {
+                this.draggedItem = { kind: 'task', id: parseInt(taskElement.getAttribute('data-task-id')) };
+            } else if (groupElement) {
+                this.draggedItem = { kind: 'group', id: groupElement.getAttribute('data-group-id') };
+            } else {
+                return;
+            }
+            
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', `${this.draggedItem.kind}:${this.draggedItem.id}`);
+            (taskElement || groupElement).classList.add('dragging');
+        });
+        
+        container.addEventListener('dragover', (e) => {
+            if (!this.draggedItem) return;
+            e.preventDefault();
+            
+            clearDropIndicators();
+            const target = this.getDropTarget(e);
+            if (target.element) {
+                target.element.classList.add(target.kind === 'task' ? `drag-over-${target.position}` : 'drag-over');
+            }
+        });
+        
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                clearDropIndicators();
+            }
+        });
+        
+        container.addEventListener('drop', (e) => {
+            if (!this.draggedItem) return;
+            e.preventDefault();
+            
+            const target = this.getDropTarget(e);
+            const draggedItem = this.draggedItem;
+            this.draggedItem = null;
+            clearDropIndicators();
+            
+            if (draggedItem.kind === 'task') {
+                if (target.kind === 'task') {
+                    this.moveTask(draggedItem.id, target.groupId, target.taskId, target.position === 'after');
+                } else {
+                    this.moveTask(draggedItem.id, target.groupId);
+                }
+            } else {
+                this.moveGroup(draggedItem.id, target.groupId);
+            }
+        });
+        
+        container.addEventListener('dragend', () => {
+            this.draggedItem = null;
+            clearDropIndicators();
+            container.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        });
+    }
+    
+    // Descobrir onde o item está sendo solto: sobre uma tarefa, sobre um grupo ou na área sem grupo
+    getDropTarget(e) {
+        const taskElement = e.target.closest('.task-item');
+        if (taskElement) {
+            const taskId = parseInt(taskElement.getAttribute('data-task-id'));
+            const parent = this.findParentGroup(taskId);
+            const rect = taskElement.getBoundingClientRect();
+            
+            return {
+                kind: 'task',
+                element: taskElement,
+                taskId,
+                groupId: parent ? parent.getId() : null,
+                position: e.clientY > rect.top + rect.height / 2 ? 'after' : 'before'
+            };
+        }
+        
+        const groupElement = e.target.closest('.task-group');
+        if (groupElement) {
+            return { kind: 'group', element: groupElement, groupId: groupElement.getAttribute('data-group-id') };
+        }
+        
+        return { kind: 'ungrouped', element: null, groupId: null };
+    }
+    
+    // Mover uma tarefa para um grupo (ou para fora dos grupos), opcionalmente antes/depois de outra tarefa
+    moveTask(taskId, targetGroupId = null, referenceTaskId = null, placeAfter = false) {
+        const task = this.findTaskById(taskId);
+        if (!task || taskId === referenceTaskId) return;
+        
+        this.recordHistory(`Mover "${task.getTitle()}"`);
+        
+        // Retirar a folha do grupo atual, reaproveitando-a no novo grupo
+        const currentParent = this.findParentGroup(taskId);
+        const targetGroup = targetGroupId ? this.findGroupById(targetGroupId) : null;
+        const leaf = currentParent ? currentParent.getChild(taskId) : new TaskLeaf(task);
+        if (currentParent) {
+            currentParent.remove(taskId);
+        }
+        
+        if (targetGroup) {
+            const referenceIndex = targetGroup.children.findIndex(child => child.getId() === referenceTaskId);
+            const index = referenceIndex === -1 ? targetGroup.children.length : referenceIndex + (placeAfter ? 1 : 0);
+            targetGroup.add(leaf, index);
+        } else {
+            // Tarefas sem grupo seguem a ordem da lista principal
+            this.tasks.splice(this.tasks.indexOf(task), 1);
+            const referenceIndex = this.tasks.findIndex(t => t.getId() === referenceTaskId);
+            const index = referenceIndex === -1 ? this.tasks.length : referenceIndex + (placeAfter ? 1 : 0);
+            this.tasks.splice(index, 0, task);
+        }
+        
+        this.saveWorkspace();
+        
+        if (currentParent !== targetGroup) {
+            this.emitMovedToGroup(task, currentParent, targetGroup);
+        }
+        
+        // Reordenar só faz sentido na ordenação manual
+        if (referenceTaskId !== null) {
+            this.selectSortStrategy('manual');
+        } else {
+            this.renderTasks();
+        }
+    }
+    
+    // Mover um grupo para dentro de outro grupo (ou torná-lo um grupo principal)
+    moveGroup(groupId, targetGroupId = null) {
+        const group = this.findGroupById(groupId);
+        if (!group) return;
+        
+        // Um grupo não pode ser movido para dentro de si mesmo ou de um de seus descendentes
+        if (targetGroupId === groupId || group.getChild(targetGroupId)) {
+            alert('Um grupo não pode ser movido para dentro de si mesmo ou de seus subgrupos.');
+            return;
+        }
+        
+        const currentParent = this.findParentGroup(groupId);
+        const targetGroup = targetGroupId ? this.findGroupById(targetGroupId) : null;
+        if (currentParent === targetGroup) {
+            return;
+        }
+        
+        this.recordHistory(`Mover grupo "${group.getTitle()}"`);
+        
+        if (currentParent) {
+            currentParent.remove(groupId);
+        } else {
+            this.groups = this.groups.filter(root => root !== group);
+        }
+        
+        if (targetGroup) {
+            targetGroup.add(group);
+        } else {
+            this.groups.push(group);
+        }
+        
+        this.saveWorkspace();
+        this.renderTasks();
+    }
+    
+    // Criar uma nova tarefa usando o Factory Method
+    createTask() {
+        const title = document.getElementById('title').value;
+        const description = document.getElementById('description').value;
+        const taskType = document.getElementById('task-type').value;
+        const tagId = document.getElementById('task-tag').value;
+        
+        if (!title) {
+            alert('Por favor, insira um título para a tarefa.');
+            return;
+        }
+        
+        this.addTask(taskType, title, description, [], tagId ? [parseInt(tagId)] : []);
+        
+        // Limpar o formulário
+        document.getElementById('task-form').reset();
+        this.applyFormDefaults();
+    }
+    
+    // Criar, pelo calendário, uma tarefa com o tipo e a etiqueta padrão que vence no dia informado
+    createTaskDueOn(dueDate) {
+        const title = (prompt(`Título da tarefa para ${DueDateDecorator.parseDate(dueDate).toLocaleDateString(configManager.getConfig('language'))}:`) || '').trim();
+        if (!title) return;
+        
+        const chain = [{ type: DueDateDecorator.type, options: { dueDate } }];
+        this.addTask(configManager.getConfig('defaultTaskType'), title, '', chain, this.getDefaultTagIds());
+    }
+    
+    // Criar a tarefa com o Factory Method, aplicar os decoradores e as etiquetas e avisar os observadores
+    addTask(type, title, description, chain = [], tagIds = []) {
+        this.recordHistory(`Criar tarefa "${title}"`);
+        
+        // Usar o Factory Method para criar a tarefa
+        const task = TaskDecoratorFactory.decorateAll(this.taskFactory.createTask(type, title, description), chain);
+        task.setTagIds(tagIds);
+        this.tasks.push(task);
+        this.saveWorkspace();
+        
+        this.emit(TaskEvent.CREATED, task);
+        this.dueDateScheduler.check();
+        
+        // Atualizar a interface
+        this.renderTasks();
+        return task;
+    }
+    
+    // Alterar, adicionar (dueDate 'AAAA-MM-DD') ou remover (dueDate null) o vencimento de uma tarefa
+    setTaskDueDate(taskId, dueDate) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        const chain = TaskDecoratorFactory.getChain(task).filter(decorator => decorator.type !== DueDateDecorator.type);
+        if (dueDate) {
+            // Manter o vencimento na mesma posição da cadeia, se já existir
+            const index = TaskDecoratorFactory.getChain(task).findIndex(decorator => decorator.type === DueDateDecorator.type);
+            chain.splice(index === -1 ? chain.length : index, 0, { type: DueDateDecorator.type, options: { dueDate } });
+        }
+        
+        this.setTaskDecorators(task, chain, `Alterar vencimento de "${task.getTitle()}"`);
+    }
+    
+    // Preencher o formulário de criação com o tipo e a etiqueta padrão configurados
+    applyFormDefaults() {
+        document.getElementById('task-type').value = configManager.getConfig('defaultTaskType');
+        this.renderTagOptions();
+        document.getElementById('task-tag').value = this.getDefaultTagIds()[0] ?? '';
+    }
+    
+    // Etiqueta padrão configurada para novas tarefas (nenhuma se ela tiver sido excluída)
+    getDefaultTagIds() {
+        const tag = this.tagRegistry.findTag(parseInt(configManager.getConfig('defaultTagId')));
+        return tag ? [tag.getId()] : [];
+    }
+    
+    // Etiquetas disponíveis no formulário de criação e nas configurações, mantendo a seleção
+    renderTagOptions() {
+        const options = this.tagRegistry.getTags().map(tag => `<option value="${tag.getId()}">${tag.getName()}</option>`).join('');
+        ['task-tag', 'setting-default-tag'].forEach(id => {
+            const select = document.getElementById(id);
+            const selectedValue = select.value;
+            select.innerHTML = `<option value="">Sem etiqueta</option>${options}`;
+            select.value = this.tagRegistry.findTag(parseInt(selectedValue)) ? selectedValue : '';
+        });
+    }
+    
+    // Preencher o formulário de configurações com os valores atuais
+    renderSettingsForm() {
+        const config = configManager.getAllConfig();
+        
+        document.getElementById('setting-current-user').innerHTML = '<option value="">Não informado</option>' + this.projectRegistry.getEmployees()
+            .map(employee => `<option value="${employee.getId()}">${employee.getName()}</option>`)
+            .join('');
+        this.renderTagOptions();
+        
+        document.querySelectorAll('#settings-form [data-config-key]').forEach(input => {
+            const key = input.getAttribute('data-config-key');
+            if (input.type === 'checkbox') {
+                input.checked = config[key];
+            } else if (input.getAttribute('data-config-type') === 'list') {
+                input.value = config[key].join(', ');
+            } else {
+                input.value = config[key];
+            }
+        });
+    }
+    
+    // Salvar as configurações alteradas no formulário
+    saveSettings() {
+        document.querySelectorAll('#settings-form [data-config-key]').forEach(input => {
+            const key = input.getAttribute('data-config-key');
+            let value = input.value;
+            
+            if (input.type === 'checkbox') {
+                value = input.checked;
+            } else if (input.type === 'number') {
+                value = Math.max(parseInt(input.value) || 0, parseInt(input.min) || 0);
+            } else if (input.getAttribute('data-config-type') === 'list') {
+                // Lista de números inteiros não negativos, sem repetições
+                value = [...new Set(input.value.split(',').map(item => parseInt(item)).filter(item => item >= 0))]
+                    .sort((a, b) => b - a);
+            }
+            
+            if (JSON.stringify(value) !== JSON.stringify(configManager.getConfig(key))) {
+                configManager.setConfig(key, value);
+            }
+        });
+    }
+    
+    // Atualizar o status de uma tarefa (respeitando as transições do fluxo de trabalho) e notificar os observadores
+    updateTaskStatus(taskId, status) {
+        const task = this.findTaskById(taskId);
+        if (task && task.getStatus() !== status) {
+            const oldStatus = task.getStatus();
+            if (!StatusWorkflow.canTransition(oldStatus, status)) {
+                alert(`A tarefa "${task.getTitle()}" não pode passar de "${StatusWorkflow.getLabel(oldStatus)}" para "${StatusWorkflow.getLabel(status)}".`);
+                return;
+            }
+            
+            // Tarefas bloqueadas por pré-requisitos não podem ser iniciadas nem concluídas
+            if (StatusWorkflow.needsPrerequisites(status) && this.dependencyGraph.isBlocked(task)) {
+                alert(`A tarefa "${task.getTitle()}" está bloqueada. Aguardando: ${this.describeOpenPrerequisites(task)}.`);
+                return;
+            }
+            
+            this.recordHistory(`Alterar status de "${task.getTitle()}"`);
+            const blockedBefore = this.dependencyGraph.getBlockedTaskIds();
+            task.setStatus(status, this.dueDateScheduler.clock.now());
+            this.syncTimerWithStatus(task, oldStatus);
+            const nextOccurrence = status === StatusWorkflow.COMPLETED ? this.createNextOccurrence(task) : null;
+            this.saveWorkspace();
+            
+            // Notificar observadores sobre a mudança de status
+            this.emit(TaskEvent.STATUS_CHANGED, task, { oldValue: oldStatus, newValue: status });
+            if (nextOccurrence) {
+                this.emit(TaskEvent.CREATED, nextOccurrence);
+            }
+            this.emitUnblocked(blockedBefore);
+            this.dueDateScheduler.check();
+            
+            // Atualizar a interface
+            this.renderTasks();
+        }
+    }
+    
+    // Abrir o modal de edição com os dados atuais da tarefa (sem os decoradores)
+    openEditTaskModal(taskId) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        const baseTask = task.getBaseTask();
+        this.editingTaskId = taskId;
+        document.getElementById('edit-title').value = baseTask.getTitle();
+        document.getElementById('edit-description').value = baseTask.getDescription();
+        document.getElementById('edit-task-type').value = this.taskFactory.getTypeKey(task);
+        this.renderDependencyOptions(task);
+        this.renderAssignmentOptions(task);
+        this.renderEditTagOptions(task);
+        this.renderEstimateOptions(task);
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('edit-task-modal')).show();
+    }
+    
+    // Projetos e funcionários que podem ser ligados à tarefa no modal de edição
+    renderAssignmentOptions(task) {
+        const fillSelect = (id, placeholder, entities, selectedId) => {
+            const select = document.getElementById(id);
+            select.innerHTML = `<option value="">${placeholder}</option>` + entities
+                .map(entity => `<option value="${entity.getId()}">${entity.getName()}</option>`)
+                .join('');
+            select.value = selectedId === null ? '' : String(selectedId);
+        };
+        
+        fillSelect('edit-project', 'Sem projeto', this.projectRegistry.getProjects(), task.getProjectId());
+        
+        const employees = this.projectRegistry.getEmployees();
+        document.getElementById('edit-assignees').innerHTML = employees.length === 0
+            ? '<div class="text-muted small">Nenhum funcionário cadastrado.</div>'
+            : employees.map(employee => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" value="${employee.getId()}" id="edit-assignee-${employee.getId()}"
+                        ${task.isAssignedTo(employee.getId()) ? 'checked' : ''}>
+                    <label class="form-check-label" for="edit-assignee-${employee.getId()}">
+                        ${this.getAvatarHtml(employee)} ${employee.getName()}
+                    </label>
+                </div>
+            `).join('');
+    }
+    
+    // Etiquetas que podem ser marcadas na tarefa no modal de edição
+    renderEditTagOptions(task) {
+        const tags = this.tagRegistry.getTags();
+        document.getElementById('edit-tags').innerHTML = tags.length === 0
+            ? '<div class="text-muted small">Nenhuma etiqueta cadastrada. Crie etiquetas em "Gerenciar etiquetas".</div>'
+            : tags.map(tag => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" value="${tag.getId()}" id="edit-tag-${tag.getId()}"
+                        ${task.hasTag(tag.getId()) ? 'checked' : ''}>
+                    <label class="form-check-label" for="edit-tag-${tag.getId()}">${tag.getBadgeHtml()}</label>
+                </div>
+            `).join('');
+    }
+    
+    // Nomes das etiquetas cadastradas entre os IDs informados
+    getTagNames(tagIds) {
+        return tagIds.map(id => this.tagRegistry.findTag(id)).filter(Boolean).map(tag => tag.getName());
+    }
+    
+    // Preencher os campos de estimativa do modal de edição
+    renderEstimateOptions(task) {
+        const estimate = task.getEstimate();
+        const values = estimate ? estimate.getValues() : {};
+        document.getElementById('edit-estimate-method').value = estimate ? estimate.getMethod() : '';
+        document.getElementById('edit-estimate-points').value = values.points ?? '';
+        document.getElementById('edit-estimate-hours').value = values.hours ?? '';
+        document.getElementById('edit-estimate-optimistic').value = values.optimistic ?? '';
+        document.getElementById('edit-estimate-likely').value = values.likely ?? '';
+        document.getElementById('edit-estimate-pessimistic').value = values.pessimistic ?? '';
+        this.renderEstimateFields();
+    }
+    
+    // Mostrar apenas os campos do método de estimativa escolhido
+    renderEstimateFields() {
+        const method = document.getElementById('edit-estimate-method').value;
+        document.querySelectorAll('#edit-task-form .estimate-fields').forEach(fields => {
+            fields.style.display = fields.getAttribute('data-estimate-method') === method ? '' : 'none';
+        });
+    }
+    
+    // Estimativa informada no modal de edição (null sem estimativa; lança um erro se for inválida)
+    readEstimate() {
+        const method = document.getElementById('edit-estimate-method').value;
+        const read = id => parseFloat(document.getElementById(id).value);
+        
+        switch(method) {
+            case Estimate.POINTS:
+                return Estimate.create(method, { points: read('edit-estimate-points') });
+            case Estimate.HOURS:
+                return Estimate.create(method, { hours: read('edit-estimate-hours') });
+            case Estimate.PERT:
+                return Estimate.create(method, {
+                    optimistic: read('edit-estimate-optimistic'),
+                    likely: read('edit-estimate-likely'),
+                    pessimistic: read('edit-estimate-pessimistic')
+                });
+            default:
+                return null;
+        }
+    }
+    
+    // Avisar os observadores sobre a troca de responsáveis, endereçando o evento a quem entrou e a quem saiu
+    // (removedEmployee: funcionário que saiu da tarefa por ter sido excluído do cadastro)
+    emitReassigned(task, oldAssignees, removedEmployee = null) {
+        const findEmployee = id => removedEmployee && id === removedEmployee.getRegistration()
+            ? removedEmployee
+            : this.projectRegistry.findEmployee(id);
+        const newAssignees = task.getAssignees();
+        const recipients = [
+            ...oldAssignees.filter(id => !newAssignees.includes(id)).map(id => ({ id, assigned: false })),
+            ...newAssignees.filter(id => !oldAssignees.includes(id)).map(id => ({ id, assigned: true }))
+        ]
+            .map(({ id, assigned }) => ({ employee: findEmployee(id), assigned }))
+            .filter(recipient => recipient.employee);
+        
+        this.emit(TaskEvent.REASSIGNED, task, {
+            oldValue: this.getAssigneeNames(oldAssignees, findEmployee),
+            newValue: this.getAssigneeNames(newAssignees, findEmployee),
+            recipients
+        });
+    }
+    
+    // Nomes dos funcionários cadastrados entre as matrículas informadas
+    getAssigneeNames(assignees, findEmployee = id => this.projectRegistry.findEmployee(id)) {
+        return assignees.map(findEmployee).filter(Boolean).map(employee => employee.getName());
+    }
+    
+    // Salvar a edição de título, descrição e tipo da tarefa (retorna false se inválida)
+    saveTaskEdits() {
+        const task = this.findTaskById(this.editingTaskId);
+        if (!task) return false;
+        
+        const title = document.getElementById('edit-title').value.trim();
+        const description = document.getElementById('edit-description').value;
+        const type = document.getElementById('edit-task-type').value;
+        const projectValue = document.getElementById('edit-project').value;
+        const projectId = projectValue ? parseInt(projectValue) : null;
+        const assignees = [...document.querySelectorAll('#edit-assignees input:checked')].map(input => input.value);
+        const tagIds = [...document.querySelectorAll('#edit-tags input:checked')].map(input => parseInt(input.value));
+        
+        if (!title) {
+            alert('Por favor, insira um título para a tarefa.');
+            return false;
+        }
+        
+        const baseTask = task.getBaseTask();
+        const changes = [];
+        if (title !== baseTask.getTitle()) {
+            changes.push({ label: 'título', oldValue: baseTask.getTitle(), newValue: title });
+        }
+        if (description !== baseTask.getDescription()) {
+            changes.push({ label: 'descrição', oldValue: baseTask.getDescription(), newValue: description });
+        }
+        const typeChanged = type !== this.taskFactory.getTypeKey(task);
+        
+        let estimate;
+        try {
+            estimate = this.readEstimate();
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+        
+        // Novas dependências não podem criar ciclos
+        const dependencies = [...document.querySelectorAll('#edit-dependencies input:checked')]
+            .map(input => parseInt(input.value));
+        try {
+            dependencies
+                .filter(id => !task.getDependencies().includes(id))
+                .forEach(id => this.dependencyGraph.validateDependency(task.getId(), id));
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+        
+        const describeDependencies = ids => ids.map(id => this.findTaskById(id).getTitle()).join(', ') || 'nenhuma';
+        const oldDependencies = this.dependencyGraph.getPrerequisites(task).map(prerequisite => prerequisite.getId());
+        if (JSON.stringify([...oldDependencies].sort()) !== JSON.stringify([...dependencies].sort())) {
+            changes.push({ label: 'dependências', oldValue: describeDependencies(oldDependencies), newValue: describeDependencies(dependencies) });
+        }
+        
+        const describeProject = id => this.projectRegistry.findProject(id)?.getName() || 'nenhum';
+        if (projectId !== task.getProjectId()) {
+            changes.push({ label: 'projeto', oldValue: describeProject(task.getProjectId()), newValue: describeProject(projectId) });
+        }
+        const describeEstimate = value => value ? `${Estimate.METHODS[value.getMethod()]}: ${value.getLabel()}` : 'nenhuma';
+        const serializeEstimate = value => value ? JSON.stringify([value.getMethod(), value.getValues()]) : null;
+        if (serializeEstimate(estimate) !== serializeEstimate(task.getEstimate())) {
+            changes.push({ label: 'estimativa', oldValue: describeEstimate(task.getEstimate()), newValue: describeEstimate(estimate) });
+        }
+        
+        // Etiquetas excluídas que a tarefa ainda guarda não aparecem no modal e são descartadas
+        const oldTagIds = task.getTagIds();
+        if (JSON.stringify(this.getTagNames(oldTagIds).sort()) !== JSON.stringify(this.getTagNames(tagIds).sort())) {
+            changes.push({ label: 'etiquetas', oldValue: this.getTagNames(oldTagIds).join(', ') || 'nenhuma', newValue: this.getTagNames(tagIds).join(', ') || 'nenhuma' });
+        }
+        
+        const oldAssignees = task.getAssignees();
+        const assigneesChanged = JSON.stringify([...oldAssignees].sort()) !== JSON.stringify([...assignees].sort());
+        
+        if (changes.length === 0 && !typeChanged && !assigneesChanged) {
+            return true;
+        }
+        
+        this.recordHistory(`Editar "${task.getTitle()}"`);
+        
+        const oldValue = {
+            title: baseTask.getTitle(), description: baseTask.getDescription(), type: task.getType(), dependencies: oldDependencies,
+            projectId: task.getProjectId(), estimate: task.getEstimate(), tagIds: oldTagIds
+        };
+        task.setTitle(title);
+        task.setDescription(description);
+        task.setDependencies(dependencies);
+        task.setProjectId(projectId);
+        task.setAssignees(assignees);
+        task.setTagIds(tagIds);
+        task.setEstimate(estimate);
+        
+        let updatedTask = task;
+        if (typeChanged) {
+            // Trocar a subclasse mantendo ID, data de criação, status e decoradores
+            updatedTask = this.taskFactory.changeTaskType(task, type);
+            changes.push({ label: 'tipo', oldValue: task.getType(), newValue: updatedTask.getType() });
+            this.replaceTask(updatedTask);
+        }
+        
+        this.saveWorkspace();
+        
+        // Notificar observadores sobre a edição (a reatribuição tem um evento próprio)
+        if (changes.length > 0) {
+            this.emit(TaskEvent.UPDATED, updatedTask, {
+                oldValue,
+                newValue: { title, description, type: updatedTask.getType(), dependencies, projectId, estimate, tagIds },
+                changes
+            });
+        }
+        if (assigneesChanged) {
+            this.emitReassigned(updatedTask, oldAssignees);
+        }
+        
+        this.renderTasks();
+        return true;
+    }
+    
+    // Excluir uma tarefa
+    deleteTask(taskId) {
+        const index = this.tasks.findIndex(task => task.getId() === taskId);
+        if (index !== -1) {
+            const task = this.tasks[index];
+            this.recordHistory(`Excluir "${task.getTitle()}"`);
+            const blockedBefore = this.dependencyGraph.getBlockedTaskIds();
+            this.tasks.splice(index, 1);
+            this.removeTaskFromGroups(taskId);
+            this.removeDependencyLinks([taskId]);
+            this.saveWorkspace();
+            
+            this.emit(TaskEvent.DELETED, task);
+            this.emitUnblocked(blockedBefore);
+            this.renderTasks();
+        }
+    }
+    
+    // Adicionar um item à checklist de uma tarefa
+    addChecklistItem(taskId) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        const text = (prompt(`Novo item da checklist de "${task.getTitle()}":`) || '').trim();
+        if (!text) return;
+        
+        this.recordHistory(`Adicionar item à checklist de "${task.getTitle()}"`);
+        const oldProgress = task.getChecklistProgress();
+        task.addChecklistItem(text);
+        this.saveWorkspace();
+        
+        this.emitChecklistUpdated(task, oldProgress);
+        this.renderTasks();
+    }
+    
+    // Marcar ou desmarcar um item da checklist, atualizando o status da tarefa se configurado
+    toggleChecklistItem(taskId, itemId, done) {
+        const task = this.findTaskById(taskId);
+        const item = task && task.getChecklist().find(item => item.getId() === itemId);
+        if (!item || item.isDone() === done) return;
+        
+        this.recordHistory(`${done ? 'Marcar' : 'Desmarcar'} item da checklist de "${task.getTitle()}"`);
+        const oldProgress = task.getChecklistProgress();
+        task.setChecklistItemDone(itemId, done);
+        const progress = task.getChecklistProgress();
+        
+        // O primeiro item marcado inicia a tarefa
+        const oldStatus = task.getStatus();
+        const autoStatus = configManager.getConfig('checklistAutoStatus') && !this.dependencyGraph.isBlocked(task);
+        if (autoStatus && done && oldStatus === StatusWorkflow.PENDING) {
+            task.setStatus(StatusWorkflow.IN_PROGRESS, this.dueDateScheduler.clock.now());
+            this.syncTimerWithStatus(task, oldStatus);
+        }
+        this.saveWorkspace();
+        
+        this.emitChecklistUpdated(task, oldProgress);
+        if (task.getStatus() !== oldStatus) {
+            this.emit(TaskEvent.STATUS_CHANGED, task, { oldValue: oldStatus, newValue: task.getStatus() });
+        }
+        this.renderTasks();
+        
+        // Com o último item marcado, oferecer concluir a tarefa
+        if (autoStatus && done && progress.done === progress.total && StatusWorkflow.canTransition(task.getStatus(), StatusWorkflow.COMPLETED) &&
+            confirm(`Todos os itens da checklist de "${task.getTitle()}" foram marcados. Deseja concluir a tarefa?`)) {
+            this.updateTaskStatus(taskId, StatusWorkflow.COMPLETED);
+        }
+    }
+    
+    // Mover um item da checklist uma posição para cima (-1) ou para baixo (1)
+    moveChecklistItem(taskId, itemId, direction) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        const index = task.getChecklist().findIndex(item => item.getId() === itemId);
+        const targetIndex = index + direction;
+        if (index === -1 || targetIndex < 0 || targetIndex >= task.getChecklist().length) return;
+        
+        this.recordHistory(`Reordenar a checklist de "${task.getTitle()}"`);
+        task.moveChecklistItem(itemId, targetIndex);
+        this.saveWorkspace();
+        this.renderTasks();
+    }
+    
+    // Excluir um item da checklist
+    removeChecklistItem(taskId, itemId) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        this.recordHistory(`Excluir item da checklist de "${task.getTitle()}"`);
+        const oldProgress = task.getChecklistProgress();
+        task.removeChecklistItem(itemId);
+        this.saveWorkspace();
+        
+        this.emitChecklistUpdated(task, oldProgress);
+        this.renderTasks();
+    }
+    
+    // Avisar os observadores sobre a mudança no progresso da checklist
+    emitChecklistUpdated(task, oldProgress) {
+        const progress = task.getChecklistProgress();
+        this.emit(TaskEvent.UPDATED, task, {
+            oldValue: oldProgress,
+            newValue: progress,
+            changes: [{
+                label: 'checklist',
+                oldValue: `${oldProgress.done}/${oldProgress.total}`,
+                newValue: `${progress.done}/${progress.total}`
+            }]
+        });
+    }
+    
+    // Ligar ou pausar o cronômetro de uma tarefa
+    toggleTimer(taskId) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        const now = this.dueDateScheduler.clock.now();
+        const running = task.getRunningTimeEntry();
+        if (running) {
+            // O tempo registrado antes da pausa não inclui o período que estava em andamento
+            const oldTimeSpent = task.getTimeSpent(now) - running.getDuration(now);
+            this.recordHistory(`Pausar o cronômetro de "${task.getTitle()}"`);
+            task.stopTimer(now);
+            this.saveWorkspace();
+            this.emitTimeUpdated(task, oldTimeSpent);
+        } else {
+            this.recordHistory(`Ligar o cronômetro de "${task.getTitle()}"`);
+            task.startTimer(now);
+            this.saveWorkspace();
+        }
+        this.renderTasks();
+    }
+    
+    // Lançar manualmente um período de trabalho (dia e duração informados pelo usuário)
+    addManualTimeEntry(taskId) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        const now = this.dueDateScheduler.clock.now();
+        const dateText = prompt(`Dia do trabalho em "${task.getTitle()}" (AAAA-MM-DD):`, DueDateDecorator.formatDate(now));
+        if (dateText === null) return;
+        
+        const day = /^\d{4}-\d{2}-\d{2}$/.test(dateText.trim()) ? DueDateDecorator.parseDate(dateText.trim()) : null;
+        if (!day || isNaN(day)) {
+            alert('Por favor, informe uma data no formato AAAA-MM-DD.');
+            return;
+        }
+        
+        const durationText = prompt('Tempo trabalhado (ex: 1:30 ou 1,5 para uma hora e meia):');
+        if (durationText === null) return;
+        
+        const duration = this.parseDuration(durationText);
+        if (!duration || duration > 24 * 3600000) {
+            alert('Por favor, informe um tempo maior que zero e de no máximo 24 horas.');
+            return;
+        }
+        
+        this.recordHistory(`Lançar tempo em "${task.getTitle()}"`);
+        const oldTimeSpent = task.getTimeSpent(now);
+        task.addTimeEntry(day, new Date(day.getTime() + duration), true);
+        this.saveWorkspace();
+        
+        this.emitTimeUpdated(task, oldTimeSpent);
+        this.renderTasks();
+    }
+    
+    // Converter "h:mm" ou horas decimais ("1,5" / "1.5") em milissegundos (null se inválido)
+    parseDuration(text) {
+        const value = text.trim().replace(',', '.');
+        const match = value.match(/^(\d+):([0-5]\d)$/);
+        const hours = match ? parseInt(match[1]) + parseInt(match[2]) / 60 : Number(value);
+        return value !== '' && hours > 0 ? Math.round(hours * 3600000) : null;
+    }
+    
+    // Ligar o cronômetro quando a tarefa entra em andamento e pausá-lo quando ela sai (se configurado)
+    syncTimerWithStatus(task, oldStatus) {
+        if (!configManager.getConfig('autoTimer') || task.getStatus() === oldStatus) return;
+        
+        const now = this.dueDateScheduler.clock.now();
+        if (task.getStatus() === StatusWorkflow.IN_PROGRESS) {
+            task.startTimer(now);
+        } else if (oldStatus === StatusWorkflow.IN_PROGRESS) {
+            task.stopTimer(now);
+        }
+    }
+    
+    // Avisar os observadores sobre a mudança no tempo registrado
+    emitTimeUpdated(task, oldTimeSpent) {
+        const timeSpent = task.getTimeSpent(this.dueDateScheduler.clock.now());
+        this.emit(TaskEvent.UPDATED, task, {
+            oldValue: oldTimeSpent,
+            newValue: timeSpent,
+            changes: [{
+                label: 'tempo registrado',
+                oldValue: TimeEntry.formatDuration(oldTimeSpent),
+                newValue: TimeEntry.formatDuration(timeSpent)
+            }]
+        });
+    }
+    
+    // Período selecionado na folha de horas (por padrão, a semana atual até hoje)
+    getTimesheetRange() {
+        const fromInput = document.getElementById('timesheet-from');
+        const toInput = document.getElementById('timesheet-to');
+        const today = this.dueDateScheduler.clock.now();
+        
+        if (!toInput.value) {
+            toInput.value = DueDateDecorator.formatDate(today);
+        }
+        if (!fromInput.value) {
+            fromInput.value = DueDateDecorator.formatDate(DueDateDecorator.getWeekStart(today));
+        }
+        return { from: fromInput.value, to: toInput.value };
+    }
+    
+    // Mostrar as horas por dia e tarefa, com o total de cada dia
+    renderTimesheet() {
+        const { from, to } = this.getTimesheetRange();
+        const rows = this.timesheet.getRows(from, to, this.dueDateScheduler.clock.now());
+        const dailyTotals = this.timesheet.getDailyTotals(rows);
+        const container = document.getElementById('timesheet-table');
+        
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="text-muted">Nenhum tempo registrado no período.</div>';
+            return;
+        }
+        
+        const body = [...dailyTotals.entries()].map(([date, total]) => `
+            ${rows.filter(row => row.date === date).map(row => `
+                <tr>
+                    <td>${DueDateDecorator.parseDate(date).toLocaleDateString(configManager.getConfig('language'))}</td>
+                    <td>${row.task.getBaseTask().getTitle()}</td>
+                    <td>${row.task.getType()}</td>
+                    <td>${this.timesheet.getProjectName(row.task) || '-'}</td>
+                    <td>${this.timesheet.getClientName(row.task) || '-'}</td>
+                    <td>${this.timesheet.getGroupTitle(row.task) || '-'}</td>
+                    <td class="text-end">${TimeEntry.formatDuration(row.duration)}</td>
+                </tr>
+            `).join('')}
+            <tr class="timesheet-day-total">
+                <td colspan="6">Total do dia</td>
+                <td class="text-end">${TimeEntry.formatDuration(total)}</td>
+            </tr>
+        `).join('');
+        const total = rows.reduce((sum, row) => sum + row.duration, 0);
+        
+        container.innerHTML = `
+            <table class="table table-sm timesheet-table">
+                <thead>
+                    <tr><th>Data</th><th>Tarefa</th><th>Tipo</th><th>Projeto</th><th>Cliente</th><th>Grupo</th><th class="text-end">Tempo</th></tr>
+                </thead>
+                <tbody>${body}</tbody>
+                <tfoot>
+                    <tr><th colspan="6">Total do período</th><th class="text-end">${TimeEntry.formatDuration(total)}</th></tr>
+                </tfoot>
+            </table>
+        `;
+    }
+    
+    // Comparar o esforço estimado com o realizado, por tarefa, grupo e tipo
+    renderEstimationReport() {
+        const now = this.dueDateScheduler.clock.now();
+        const container = document.getElementById('estimation-report');
+        const taskRows = this.estimationReport.getTaskRows(now);
+        
+        if (taskRows.length === 0) {
+            container.innerHTML = '<div class="text-muted">Nenhuma tarefa estimada. Informe a estimativa ao editar uma tarefa.</div>';
+            return;
+        }
+        
+        const formatDifference = row => {
+            const difference = EstimationReport.getDifference(row);
+            if (difference === null) return '-';
+            
+            const estimated = row.estimate.getHours() * 3600000;
+            const percent = estimated > 0 ? ` (${difference >= 0 ? '+' : '-'}${Math.round(Math.abs(difference) / estimated * 100)}%)` : '';
+            return `<span class="${difference > 0 ? 'text-danger' : 'text-success'}">${difference >= 0 ? '+' : '-'}${TimeEntry.formatDuration(Math.abs(difference))}${percent}</span>`;
+        };
+        const formatHoursPerPoint = row => {
+            const hoursPerPoint = EstimationReport.getHoursPerPoint(row);
+            return hoursPerPoint === null ? '-' : `${Estimate.formatNumber(hoursPerPoint)}h`;
+        };
+        const section = (title, rows) => rows.length === 0 ? '' : `
+            <tr class="estimation-section"><th colspan="5">${title}</th></tr>
+            ${rows.map(row => `
+                <tr>
+                    <td>${row.name}</td>
+                    <td>${row.estimate.getLabel()}</td>
+                    <td class="text-end">${TimeEntry.formatDuration(row.hoursActual + row.pointsActual)}</td>
+                    <td class="text-end">${formatDifference(row)}</td>
+                    <td class="text-end">${formatHoursPerPoint(row)}</td>
+                </tr>
+            `).join('')}
+        `;
+        
+        container.innerHTML = `
+            <table class="table table-sm estimation-table">
+                <thead>
+                    <tr><th></th><th>Estimado</th><th class="text-end">Realizado</th><th class="text-end">Diferença</th><th class="text-end">Horas por ponto</th></tr>
+                </thead>
+                <tbody>
+                    ${section('Por tarefa', taskRows)}
+                    ${section('Por grupo', this.estimationReport.getGroupRows(now))}
+                    ${section('Por tipo', this.estimationReport.getTypeRows(now))}
+                </tbody>
+            </table>
+            <div class="form-text">A diferença compara as estimativas em horas e PERT com o tempo registrado; as estimativas em pontos mostram as horas gastas por ponto.</div>
+        `;
+    }
+    
+    // Baixar a folha de horas do período selecionado em CSV
+    exportTimesheet() {
+        const { from, to } = this.getTimesheetRange();
+        const rows = this.timesheet.getRows(from, to, this.dueDateScheduler.clock.now());
+        if (rows.length === 0) {
+            alert('Nenhum tempo registrado no período.');
+            return;
+        }
+        
+        // BOM para que planilhas reconheçam os acentos (UTF-8)
+        const blob = new Blob(['\ufeff' + this.timesheet.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `folha-de-horas-${from}-a-${to}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    // Aplicar os recursos marcados no painel à tarefa selecionada
+    // Recursos desmarcados são removidos e um recurso já existente é substituído, nunca duplicado
+    applyDecorators() {
+        const selectElement = document.getElementById('decorate-task-select');
+        const taskId = parseInt(selectElement.value);
+        
+        if (!taskId) {
+            alert('Por favor, selecione uma tarefa para aplicar os decoradores.');
+            return;
+        }
+        
+        // Encontrar a tarefa pelo ID
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        // Recursos desejados, na ordem em que aparecem no painel
+        const desired = [];
+        
+        if (document.getElementById('high-priority').checked) {
+            desired.push({ type: HighPriorityDecorator.type, options: {} });
+        }
+        
+        if (document.getElementById('difficulty-label').checked) {
+            const difficulty = document.getElementById('difficulty-select').value;
+            desired.push({ type: DifficultyDecorator.type, options: { difficulty } });
+        }
+        
+        if (document.getElementById('due-date').checked) {
+            const dueDate = document.getElementById('due-date-input').value;
+            if (!dueDate) {
+                alert('Por favor, informe a data de vencimento.');
+                return;
+            }
+            desired.push({ type: DueDateDecorator.type, options: { dueDate } });
+        }
+        
+        if (document.getElementById('recurrence').checked) {
+            // Editar a regra mantém a tarefa na mesma série e na mesma posição
+            const current = task.getDecorators().find(decorator => decorator.getDecoratorType() === RecurrenceDecorator.type);
+            desired.push({
+                type: RecurrenceDecorator.type,
+                options: {
+                    frequency: document.getElementById('recurrence-frequency').value,
+                    interval: Math.max(parseInt(document.getElementById('recurrence-interval').value) || 1, 1),
+                    seriesId: current ? current.getSeriesId() : task.getId(),
+                    occurrence: current ? current.getOccurrence() : 1
+                }
+            });
+        }
+        
+        // Manter a posição dos recursos que já existiam e acrescentar os novos no final
+        const desiredByType = new Map(desired.map(decorator => [decorator.type, decorator]));
+        const chain = [];
+        TaskDecoratorFactory.getChain(task).forEach(decorator => {
+            if (desiredByType.has(decorator.type)) {
+                chain.push(desiredByType.get(decorator.type));
+                desiredByType.delete(decorator.type);
+            }
+        });
+        chain.push(...desiredByType.values());
+        
+        this.setTaskDecorators(task, chain, `Decorar "${task.getTitle()}"`);
+    }
+    
+    // Remover um único decorador da cadeia de uma tarefa
+    removeDecorator(taskId, index) {
+        const task = this.findTaskById(taskId);
+        if (!task) return;
+        
+        const chain = TaskDecoratorFactory.getChain(task);
+        chain.splice(index, 1);
+        
+        this.setTaskDecorators(task, chain, `Remover recurso de "${task.getTitle()}"`);
+    }
+    
+    // Recriar a cadeia de decoradores da tarefa sobre a mesma tarefa base
+    setTaskDecorators(task, chain, historyLabel) {
+        const decoratedTask = TaskDecoratorFactory.decorateAll(task.getBaseTask(), chain);
+        
+        // Nada a fazer se a cadeia resultante for igual à atual
+        if (JSON.stringify(TaskDecoratorFactory.getChain(decoratedTask)) === JSON.stringify(TaskDecoratorFactory.getChain(task))) {
+            return;
+        }
+        
+        this.recordHistory(historyLabel);
+        
+        // Atualizar a tarefa na lista
+        this.replaceTask(decoratedTask);
+        this.saveWorkspace();
+        
+        this.emit(TaskEvent.DECORATED, decoratedTask, {
+            oldValue: task.getDecorators().map(decorator => decorator.getLabel()),
+            newValue: decoratedTask.getDecorators().map(decorator => decorator.getLabel())
+        });
+        this.dueDateScheduler.check();
+        this.renderTasks();
+        this.renderDecoratorPanel();
+    }
+    
+    // Mostrar os recursos da tarefa selecionada e, opcionalmente, pré-preencher o painel com eles
+    renderDecoratorPanel(prefill = true) {
+        const container = document.getElementById('current-decorators');
+        const task = this.findTaskById(parseInt(document.getElementById('decorate-task-select').value));
+        
+        if (!task) {
+            container.innerHTML = '<span class="text-muted small">Nenhuma tarefa selecionada</span>';
+            return;
+        }
+        
+        const decorators = task.getDecorators();
+        container.innerHTML = decorators.length === 0
+            ? '<span class="text-muted small">Nenhum recurso aplicado</span>'
+            : decorators.map((decorator, index) => `
+                <span class="badge bg-light text-dark border">
+                    ${decorator.getLabel()}
+                    <button type="button" class="btn-close remove-decorator-btn" data-task-id="${task.getId()}"
+                        data-index="${index}" aria-label="Remover ${decorator.getLabel()}"></button>
+                </span>
+            `).join('');
+        
+        if (!prefill) return;
+        
+        // Pré-preencher as opções do painel com os recursos atuais
+        const findDecorator = type => decorators.find(decorator => decorator.getDecoratorType() === type);
+        const difficulty = findDecorator(DifficultyDecorator.type);
+        const dueDate = findDecorator(DueDateDecorator.type);
+        const recurrence = findDecorator(RecurrenceDecorator.type);
+        
+        document.getElementById('high-priority').checked = Boolean(findDecorator(HighPriorityDecorator.type));
+        document.getElementById('difficulty-label').checked = Boolean(difficulty);
+        document.getElementById('due-date').checked = Boolean(dueDate);
+        document.getElementById('recurrence').checked = Boolean(recurrence);
+        
+        if (difficulty) {
+            document.getElementById('difficulty-select').value = difficulty.getOptions().difficulty;
+        }
+        document.getElementById('due-date-input').value = dueDate ? dueDate.getOptions().dueDate : '';
+        if (recurrence) {
+            document.getElementById('recurrence-frequency').value = recurrence.getOptions().frequency;
+            document.getElementById('recurrence-interval').value = recurrence.getOptions().interval;
+        }
+    }
+    
+    // Substituir a tarefa de mesmo ID na lista e no seu grupo (ex: ao ser decorada ou mudar de tipo)
+    replaceTask(task) {
+        const index = this.tasks.findIndex(t => t.getId() === task.getId());
+        if (index !== -1) {
+            this.tasks[index] = task;
+            this.syncGroupLeaf(task);
+        }
+    }
+    
+    // Criar um novo grupo (ou subgrupo) usando a TaskGroupFactory
+    createGroup() {
+        const title = document.getElementById('group-title').value.trim();
+        const color = document.getElementById('group-color').value;
+        const parentId = document.getElementById('group-parent-select').value;
+        
+        if (!title) {
+            alert('Por favor, insira um nome para o grupo.');
+            return;
+        }
+        
+        this.recordHistory(`Criar grupo "${title}"`);
+        
+        const group = TaskGroupFactory.createGroup(title, color);
+        const parent = parentId ? this.findGroupById(parentId) : null;
+        if (parent) {
+            parent.add(group);
+        } else {
+            this.groups.push(group);
+        }
+        
+        this.saveWorkspace();
+        this.renderTasks();
+        
+        document.getElementById('group-form').reset();
+    }
+    
+    // Criar um subgrupo a partir do cabeçalho de um grupo
+    createSubgroup(parentId) {
+        const parent = this.findGroupById(parentId);
+        if (!parent) return;
+        
+        const title = prompt(`Nome do subgrupo de "${parent.getTitle()}":`);
+        if (!title || !title.trim()) return;
+        
+        this.recordHistory(`Criar grupo "${title.trim()}"`);
+        parent.add(TaskGroupFactory.createGroup(title.trim(), parent.color));
+        this.saveWorkspace();
+        this.renderTasks();
+    }
+    
+    // Expandir ou recolher um grupo
+    toggleGroup(groupId) {
+        const group = this.findGroupById(groupId);
+        if (group) {
+            group.toggleExpanded();
+            this.saveWorkspace();
+            this.renderTasks();
+        }
+    }
+    
+    // Abrir o modal para escolher tarefas existentes para o grupo
+    openAddTasksToGroupModal(groupId) {
+        const group = this.findGroupById(groupId);
+        if (!group) return;
+        
+        this.activeGroupId = groupId;
+        document.getElementById('add-to-group-title').textContent = `Adicionar tarefas ao grupo "${group.getTitle()}"`;
+        
+        const candidates = this.tasks.filter(task => this.findParentGroup(task.getId()) !== group);
+        document.getElementById('add-to-group-task-list').innerHTML = candidates.length === 0
+            ? '<div class="text-muted">Não há outras tarefas para adicionar.</div>'
+            : candidates.map(task => {
+                const currentGroup = this.findParentGroup(task.getId());
+                return `
+                    <div class="form-check">
+                        <input class="form-check-input" type="checkbox" value="${task.getId()}" id="add-to-group-task-${task.getId()}">
+                        <label class="form-check-label" for="add-to-group-task-${task.getId()}">
+                            ${task.getTitle()}
+                            ${currentGroup ? `<small class="text-muted">(em "${currentGroup.getTitle()}")</small>` : ''}
+                        </label>
+                    </div>
+                `;
+            }).join('');
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('add-to-group-modal')).show();
+    }
+    
+    // Adicionar tarefas a um grupo (uma tarefa pertence a no máximo um grupo)
+    addTasksToGroup(groupId, taskIds) {
+        const group = this.findGroupById(groupId);
+        if (!group || taskIds.length === 0) return;
+        
+        this.recordHistory(`Adicionar tarefas ao grupo "${group.getTitle()}"`);
+        
+        const movedTasks = [];
+        taskIds.forEach(taskId => {
+            const task = this.findTaskById(taskId);
+            if (task) {
+                const previousGroup = this.findParentGroup(taskId);
+                this.removeTaskFromGroups(taskId);
+                group.add(new TaskLeaf(task));
+                movedTasks.push({ task, previousGroup });
+            }
+        });
+        
+        this.saveWorkspace();
+        
+        movedTasks.forEach(({ task, previousGroup }) => this.emitMovedToGroup(task, previousGroup, group));
+        this.renderTasks();
+    }
+    
+    // Abrir o modal de exclusão de grupo
+    openDeleteGroupModal(groupId) {
+        const group = this.findGroupById(groupId);
+        if (!group) return;
+        
+        this.activeGroupId = groupId;
+        document.getElementById('delete-group-message').textContent =
+            `O grupo "${group.getTitle()}" contém ${group.getTaskCount()} tarefa(s). Deseja manter as tarefas ou excluí-las junto com o grupo?`;
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('delete-group-modal')).show();
+    }
+    
+    // Excluir um grupo e seus subgrupos, mantendo (no grupo pai) ou excluindo suas tarefas
+    deleteGroup(groupId, deleteTasks) {
+        const group = this.findGroupById(groupId);
+        if (!group) return;
+        
+        this.recordHistory(`Excluir grupo "${group.getTitle()}"`);
+        
+        const parent = this.findParentGroup(groupId);
+        const leaves = group.getAllLeaves();
+        
+        if (parent) {
+            parent.remove(groupId);
+        } else {
+            this.groups = this.groups.filter(root => root !== group);
+        }
+        
+        if (deleteTasks) {
+            const taskIds = new Set(leaves.map(leaf => leaf.getId()));
+            this.tasks = this.tasks.filter(task => !taskIds.has(task.getId()));
+            this.removeDependencyLinks([...taskIds]);
+        } else if (parent) {
+            leaves.forEach(leaf => parent.add(leaf));
+        }
+        
+        this.saveWorkspace();
+        
+        // Tarefas excluídas junto com o grupo ou movidas para o grupo pai (ou para fora dos grupos)
+        leaves.forEach(leaf => {
+            if (deleteTasks) {
+                this.emit(TaskEvent.DELETED, leaf.getTask());
+            } else {
+                this.emitMovedToGroup(leaf.getTask(), group, parent);
+            }
+        });
+        this.renderTasks();
+    }
+    
+    // Alterar o status de todas as tarefas de um grupo, notificando os observadores de cada tarefa
+    updateGroupStatus(groupId, status) {
+        const group = this.findGroupById(groupId);
+        if (!group) return;
         
-        // Configurar manipuladores de eventos
-        this.setupEventListeners();
+        // Só mudam as tarefas para as quais o fluxo de trabalho permite a transição
+        const leaves = group.getAllLeaves();
+        const candidates = leaves.filter(leaf => StatusWorkflow.canTransition(leaf.getStatus(), status));
+        const changingIds = new Set(candidates.map(leaf => leaf.getId()));
+        
+        // Tarefas bloqueadas por pré-requisitos abertos ficam de fora
+        // (ao concluir o grupo, pré-requisitos do próprio grupo também serão concluídos)
+        const isAllowed = leaf => !StatusWorkflow.needsPrerequisites(status) || this.dependencyGraph.getOpenPrerequisites(leaf.getTask())
+            .every(prerequisite => status === StatusWorkflow.COMPLETED && changingIds.has(prerequisite.getId()));
+        
+        // Retirar as bloqueadas até estabilizar: quem depende de uma tarefa retirada também fica bloqueada
+        let blockedLeaves = candidates.filter(leaf => !isAllowed(leaf));
+        while (blockedLeaves.some(leaf => changingIds.has(leaf.getId()))) {
+            blockedLeaves.forEach(leaf => changingIds.delete(leaf.getId()));
+            blockedLeaves = candidates.filter(leaf => !isAllowed(leaf));
+        }
+        if (changingIds.size === 0) {
+            alert(`Nenhuma tarefa do grupo "${group.getTitle()}" pode passar para "${StatusWorkflow.getLabel(status)}".`);
+            return;
+        }
+        const canChange = leaf => changingIds.has(leaf.getId());
+        if (blockedLeaves.length > 0 && !confirm(
+            `As tarefas ${blockedLeaves.map(leaf => `"${leaf.getTitle()}"`).join(', ')} estão bloqueadas e não serão alteradas. Deseja continuar?`)) {
+            return;
+        }
+        
+        this.recordHistory(`Alterar status do grupo "${group.getTitle()}"`);
+        const blockedBefore = this.dependencyGraph.getBlockedTaskIds();
+        const oldStatuses = leaves.map(leaf => leaf.getTask().getStatus());
+        group.setGroupStatus(status, canChange, this.dueDateScheduler.clock.now());
+        leaves.forEach((leaf, index) => this.syncTimerWithStatus(leaf.getTask(), oldStatuses[index]));
+        
+        // Tarefas recorrentes concluídas geram a próxima ocorrência
+        const nextOccurrences = status !== StatusWorkflow.COMPLETED ? [] : leaves
+            .filter((leaf, index) => oldStatuses[index] !== leaf.getStatus())
+            .map(leaf => this.createNextOccurrence(leaf.getTask()))
+            .filter(Boolean);
+        this.saveWorkspace();
+        
+        leaves.forEach((leaf, index) => {
+            if (oldStatuses[index] !== leaf.getStatus()) {
+                this.emit(TaskEvent.STATUS_CHANGED, leaf.getTask(), { oldValue: oldStatuses[index], newValue: status });
+            }
+        });
+        nextOccurrences.forEach(task => this.emit(TaskEvent.CREATED, task));
+        this.emitUnblocked(blockedBefore);
+        this.dueDateScheduler.check();
+        
+        this.renderTasks();
     }
     
-    // Inicializar os observadores com base nas configurações do usuário
-    initObservers() {
-        // Adicionar observadores iniciais com base nas caixas de seleção
-        if (document.getElementById('screen-observer').checked) {
-            this.taskSubject.addObserver(new ScreenObserver(this.addNotification.bind(this)));
+    // Criar a próxima ocorrência de uma tarefa recorrente logo após ela (na lista e no mesmo grupo)
+    // A ocorrência só é criada uma vez: concluir de novo a mesma ocorrência não duplica a série
+    createNextOccurrence(task) {
+        const recurrence = task.getDecorators().find(decorator => decorator.getDecoratorType() === RecurrenceDecorator.type);
+        if (!recurrence || this.hasLaterOccurrence(recurrence)) {
+            return null;
         }
         
-        if (document.getElementById('email-observer').checked) {
-            this.taskSubject.addObserver(new EmailObserver(this.addNotification.bind(this)));
+        const nextTask = this.taskFactory.createNextOccurrence(task, this.dueDateScheduler.clock.now());
+        this.tasks.splice(this.tasks.indexOf(task) + 1, 0, nextTask);
+        
+        const parent = this.findParentGroup(task.getId());
+        if (parent) {
+            parent.add(new TaskLeaf(nextTask), parent.children.indexOf(parent.getChild(task.getId())) + 1);
         }
         
-        if (document.getElementById('log-observer').checked) {
-            this.taskSubject.addObserver(new LogObserver(this.addNotification.bind(this)));
+        return nextTask;
+    }
+    
+    // Verificar se a série já possui uma ocorrência posterior
+    hasLaterOccurrence(recurrence) {
+        return this.tasks.some(task => task.getDecorators().some(decorator =>
+            decorator.getDecoratorType() === RecurrenceDecorator.type &&
+            decorator.getSeriesId() === recurrence.getSeriesId() &&
+            decorator.getOccurrence() > recurrence.getOccurrence()
+        ));
+    }
+    
+    // Listar no modal de edição as tarefas que podem ser pré-requisitos
+    renderDependencyOptions(task) {
+        const candidates = this.tasks.filter(candidate => candidate.getId() !== task.getId());
+        const dependencies = task.getDependencies();
+        
+        document.getElementById('edit-dependencies').innerHTML = candidates.length === 0
+            ? '<div class="text-muted small">Não há outras tarefas.</div>'
+            : candidates.map(candidate => {
+                const id = candidate.getId();
+                const checked = dependencies.includes(id);
+                // Ligações que criariam um ciclo ficam desabilitadas
+                const createsCycle = !checked && this.dependencyGraph.wouldCreateCycle(task.getId(), id);
+                return `
+                    <div class="form-check">
+                        <input class="form-check-input" type="checkbox" value="${id}" id="edit-dependency-${id}"
+                            ${checked ? 'checked' : ''} ${createsCycle ? 'disabled' : ''}>
+                        <label class="form-check-label" for="edit-dependency-${id}">
+                            ${candidate.getTitle()} <small class="text-muted">(${StatusWorkflow.getLabel(candidate.getStatus())})</small>
+                            ${createsCycle ? '<small class="text-danger">(criaria um ciclo)</small>' : ''}
+                        </label>
+                    </div>
+                `;
+            }).join('');
+    }
+    
+    // Títulos dos pré-requisitos ainda abertos de uma tarefa
+    describeOpenPrerequisites(task) {
+        return this.dependencyGraph.getOpenPrerequisites(task).map(prerequisite => `"${prerequisite.getTitle()}"`).join(', ');
+    }
+    
+    // Remover as tarefas excluídas das dependências das demais
+    removeDependencyLinks(taskIds) {
+        this.tasks.forEach(task => taskIds.forEach(id => task.removeDependency(id)));
+    }
+    
+    // Avisar os observadores das tarefas que estavam bloqueadas e deixaram de estar
+    // (origin: 'undo' ou 'redo' quando a mudança vem do histórico)
+    emitUnblocked(blockedBefore, origin = null) {
+        this.tasks
+            .filter(task => blockedBefore.has(task.getId()) && !this.dependencyGraph.isBlocked(task))
+            .forEach(task => this.emit(TaskEvent.UNBLOCKED, task, {
+                oldValue: this.dependencyGraph.getPrerequisites(task).map(prerequisite => prerequisite.getTitle()),
+                origin
+            }));
+    }
+    
+    // Guardar o estado atual no histórico antes de uma operação (Memento)
+    // (memento: estado capturado antes, quando a operação só é registrada depois de validada)
+    recordHistory(label, memento = this.createMemento()) {
+        this.history.record(label, memento);
+        this.renderHistoryButtons();
+    }
+    
+    // Criar um memento com o estado atual das tarefas, grupos, cadastros e etiquetas
+    createMemento() {
+        return new WorkspaceMemento(this.storage.serializeState({
+            tasks: this.tasks,
+            groups: this.groups,
+            clients: this.projectRegistry.getClients(),
+            employees: this.projectRegistry.getEmployees(),
+            projects: this.projectRegistry.getProjects(),
+            tags: this.tagRegistry.getTags()
+        }));
+    }
+    
+    // Desfazer a última operação
+    undo() {
+        const entry = this.history.undo(this.createMemento());
+        if (entry) {
+            this.restoreMemento(entry.memento, 'undo');
         }
-
-        if (document.getElementById('push-observer').checked) {            
-            this.taskSubject.addObserver(new PushObserver(this.addNotification.bind(this)));
+    }
+    
+    // Refazer a última operação desfeita
+    redo() {
+        const entry = this.history.redo(this.createMemento());
+        if (entry) {
+            this.restoreMemento(entry.memento, 'redo');
         }
     }
     
-    // Configurar manipuladores de eventos para a interface do usuário
-    setupEventListeners() {
-        // Manipular envio do formulário de tarefa
-        document.getElementById('task-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.createTask();
-        });
+    // Restaurar um memento, avisando os observadores sobre os status que mudaram e as tarefas desbloqueadas
+    restoreMemento(memento, origin) {
+        const previousStatuses = new Map(this.tasks.map(task => [task.getId(), task.getStatus()]));
+        const blockedBefore = this.dependencyGraph.getBlockedTaskIds();
         
-        // Manipular cliques nos botões de status de tarefa (usando delegação de eventos)
-        document.getElementById('tasks-container').addEventListener('click', (e) => {
-            if (e.target.classList.contains('status-btn')) {
-                const taskId = parseInt(e.target.getAttribute('data-task-id'));
-                const status = e.target.getAttribute('data-status');
-                this.updateTaskStatus(taskId, status);
-            }
-            if (e.target.classList.contains('delete-btn')) {
-                const taskId = parseInt(e.target.getAttribute('data-task-id'));
-                this.deleteTask(taskId);
-            }
-        });
+        const state = this.storage.deserializeState(memento.getState());
+        this.tasks = state.tasks;
+        this.groups = state.groups;
+        this.projectRegistry.setData(state);
+        this.tagRegistry.setData(state);
+        this.saveWorkspace();
         
-        // Manipular aplicação de decoradores
-        document.getElementById('apply-decorators').addEventListener('click', () => {
-            this.applyDecorators();
+        this.tasks.forEach(task => {
+            const previousStatus = previousStatuses.get(task.getId());
+            if (previousStatus !== undefined && previousStatus !== task.getStatus()) {
+                this.emit(TaskEvent.STATUS_CHANGED, task, { oldValue: previousStatus, newValue: task.getStatus(), origin });
+            }
         });
+        this.emitUnblocked(blockedBefore, origin);
+        this.dueDateScheduler.check();
         
-        // Atualizar observadores quando as caixas de seleção forem alteradas
-        document.getElementById('screen-observer').addEventListener('change', this.updateObservers.bind(this));
-        document.getElementById('email-observer').addEventListener('change', this.updateObservers.bind(this));
-        document.getElementById('log-observer').addEventListener('change', this.updateObservers.bind(this));
-        document.getElementById('push-observer').addEventListener('change', this.updateObservers.bind(this));
+        this.registryPanel.render();
+        this.renderTagOptions();
+        this.renderRegistryFilterOptions();
+        this.applyViewFilters();
+        this.renderHistoryButtons();
     }
     
-    // Criar uma nova tarefa usando o Factory Method
-    createTask() {
-        const title = document.getElementById('title').value;
-        const description = document.getElementById('description').value;
-        const taskType = document.getElementById('task-type').value;
-        
-        if (!title) {
-            alert('Por favor, insira um título para a tarefa.');
-            return;
-        }
+    // Atualizar o estado e a descrição dos botões de desfazer/refazer
+    renderHistoryButtons() {
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
         
-        // Usar o Factory Method para criar a tarefa
-        const task = this.taskFactory.createTask(taskType, title, description);
-        this.tasks.push(task);
+        undoButton.disabled = !this.history.canUndo();
+        undoButton.title = this.history.canUndo()
+            ? `Desfazer: ${this.history.getUndoLabel()} (Ctrl+Z)`
+            : 'Nada para desfazer';
         
-        // Atualizar a interface
-        this.renderTasks();
+        redoButton.disabled = !this.history.canRedo();
+        redoButton.title = this.history.canRedo()
+            ? `Refazer: ${this.history.getRedoLabel()} (Ctrl+Shift+Z)`
+            : 'Nada para refazer';
+    }
+    
+    // Remover a tarefa do grupo em que ela estiver
+    removeTaskFromGroups(taskId) {
+        const parent = this.findParentGroup(taskId);
+        if (parent) {
+            parent.remove(taskId);
+        }
+    }
+    
+    // Atualizar a folha do grupo quando a tarefa for substituída (ex: ao ser decorada)
+    syncGroupLeaf(task) {
+        const parent = this.findParentGroup(task.getId());
+        if (parent) {
+            parent.getChild(task.getId()).setTask(task);
+        }
+    }
+    
+    // Atualizar os observadores com base nas caixas de seleção
+    updateObservers() {
+        // Limpar todos os observadores
+        this.taskSubject = new TaskSubject();
         
-        // Limpar o formulário
-        document.getElementById('task-form').reset();
+        // Reconstruir a lista de observadores com base nas caixas de seleção
+        this.initObservers();
     }
     
-    // Atualizar o status de uma tarefa e notificar os observadores
-    updateTaskStatus(taskId, status) {
-        const task = this.findTaskById(taskId);
-        if (task) {
-            task.setStatus(status);
-            
-            // Notificar observadores sobre a mudança de status
-            this.taskSubject.notifyObservers(task, status);
-            
-            // Atualizar a interface
+    // Selecionar uma estratégia de ordenação, mantendo o dropdown sincronizado
+    selectSortStrategy(strategyKey) {
+        if (this.sorterFilterer.setSortStrategy(strategyKey)) {
+            this.renderSortControls();
             this.renderTasks();
         }
     }
     
-    // Excluir uma tarefa
-    deleteTask(taskId) {
-        const index = this.tasks.findIndex(task => task.getId() === taskId);
-        if (index !== -1) {
-            this.tasks.splice(index, 1);
+    // Trocar os critérios de desempate da ordenação
+    updateThenBy(thenBy) {
+        if (this.sorterFilterer.setThenBy(thenBy)) {
+            this.renderSortControls();
             this.renderTasks();
         }
     }
     
-    // Aplicar decoradores à tarefa selecionada
-    applyDecorators() {
-        const selectElement = document.getElementById('decorate-task-select');
-        const taskId = parseInt(selectElement.value);
+    // Estratégias que podem desempatar a ordenação (a manual não compara tarefas)
+    getThenByOptions() {
+        return this.sorterFilterer.getAvailableSortStrategies().filter(strategy => strategy.key !== 'manual');
+    }
+    
+    // Sincronizar a ordenação, o sentido e o agrupamento da barra de ferramentas com o TaskSorterFilterer
+    renderSortControls() {
+        const descending = this.sorterFilterer.getSortDirection() === 'desc';
+        const directionButton = document.getElementById('sort-direction-btn');
+        directionButton.textContent = descending ? '↑' : '↓';
+        directionButton.classList.toggle('active', descending);
         
-        if (!taskId) {
-            alert('Por favor, selecione uma tarefa para aplicar os decoradores.');
-            return;
-        }
+        document.getElementById('sort-select').value = this.sorterFilterer.getSortKey();
+        document.getElementById('grouping-select').value = this.sorterFilterer.getGrouping();
+        this.renderThenByControls();
+    }
+    
+    // Critérios de desempate ("depois por"), cada um com a sua chave e o seu sentido
+    renderThenByControls() {
+        const container = document.getElementById('then-by-controls');
+        // A ordenação manual não tem empates para desfazer
+        container.classList.toggle('d-none', this.sorterFilterer.getSortKey() === 'manual');
         
-        // Encontrar a tarefa pelo ID
-        let task = this.findTaskById(taskId);
-        if (!task) return;
+        const options = this.getThenByOptions();
+        container.innerHTML = `
+            ${this.sorterFilterer.getThenBy().map(({ key, direction }, index) => `
+                <div class="input-group input-group-sm then-by-item">
+                    <span class="input-group-text">depois por</span>
+                    <select class="form-select form-select-sm then-by-select" data-then-by-index="${index}" aria-label="Critério de desempate">
+                        ${options.map(option => `<option value="${option.key}" ${option.key === key ? 'selected' : ''}>${option.name}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn btn-outline-secondary ${direction === 'desc' ? 'active' : ''}"
+                        data-then-by-action="direction" data-then-by-index="${index}" title="Inverter este critério">${direction === 'desc' ? '↑' : '↓'}</button>
+                    <button type="button" class="btn btn-outline-danger" data-then-by-action="remove" data-then-by-index="${index}" title="Remover critério">&times;</button>
+                </div>
+            `).join('')}
+            <button type="button" class="btn btn-link btn-sm p-0" data-then-by-action="add">+ Critério de desempate</button>
+        `;
+    }
+    
+    // Chaves das estratégias de filtragem correspondentes aos filtros da barra de ferramentas
+    getViewFilterKeys(filters) {
+        const filterKeys = [];
         
-        // Aplicar decorador de alta prioridade, se selecionado
-        if (document.getElementById('high-priority').checked) {
-            task = new HighPriorityDecorator(task);
+        if (filters.status !== 'all') {
+            filterKeys.push(filters.status);
         }
-        
-        // Aplicar decorador de etiqueta colorida, se selecionado
-        if (document.getElementById('color-label').checked) {
-            const color = document.getElementById('color-select').value;
-            task = new ColorLabelDecorator(task, color);
+        if (filters.type) {
+            filterKeys.push(`type:${filters.type}`);
         }
-        
-        if (document.getElementById('difficulty-label').checked) {
-            const difficulty = document.getElementById('difficulty-select').value;
-            task = new DifficultyDecorator(task, difficulty);
+        if (filters.project) {
+            filterKeys.push(`project:${filters.project}`);
         }
-
-        // Aplicar decorador de data de vencimento, se selecionado
-        if (document.getElementById('due-date').checked) {
-            const dueDate = document.getElementById('due-date-input').value;
-            if (dueDate) {
-                task = new DueDateDecorator(task, dueDate);
-            }
+        if (filters.client) {
+            filterKeys.push(`client:${filters.client}`);
+        }
+        if (filters.assignee) {
+            const assignee = { me: configManager.getConfig('currentUser'), none: '' }[filters.assignee] ?? filters.assignee;
+            filterKeys.push(`assignee:${assignee}`);
+        }
+        if (filters.tag) {
+            filterKeys.push(`tag:${filters.tag === 'none' ? '' : filters.tag}`);
+        }
+        if (filters.search) {
+            filterKeys.push(`query:${filters.search}`);
+        }
+        return filterKeys;
+    }
+    
+    // Estado atual da barra de ordenação e filtragem (salvo pelas visualizações)
+    getViewState() {
+        return SavedView.normalizeState({
+            filters: this.viewFilters,
+            sort: this.sorterFilterer.getSortKey(),
+            direction: this.sorterFilterer.getSortDirection(),
+            thenBy: this.sorterFilterer.getThenBy(),
+            grouping: this.sorterFilterer.getGrouping()
+        });
+    }
+    
+    isValidViewState({ filters, sort, direction, thenBy, grouping }) {
+        return Object.hasOwn(this.sorterFilterer.sortStrategies, sort)
+            && (direction === 'asc' || direction === 'desc')
+            && this.sorterFilterer.isValidThenBy(thenBy)
+            && Object.hasOwn(TaskSorterFilterer.GROUPINGS, grouping)
+            && Object.hasOwn(this.sorterFilterer.filterStrategies, filters.status);
+    }
+    
+    // Aplicar o estado de uma visualização salva (false se ele não for válido nesta versão)
+    applyViewState(state) {
+        if (!this.isValidViewState(state)) {
+            return false;
         }
         
-        // Atualizar a tarefa na lista
-        const index = this.tasks.findIndex(t => t.getId() === taskId);
-        if (index !== -1) {
-            this.tasks[index] = task;
-            this.renderTasks();
+        this.viewFilters = { ...state.filters };
+        this.sorterFilterer.setSortStrategy(state.sort);
+        this.sorterFilterer.setSortDirection(state.direction);
+        this.sorterFilterer.setThenBy(state.thenBy);
+        this.sorterFilterer.setGrouping(state.grouping);
+        
+        document.getElementById('task-search').value = this.viewFilters.search;
+        this.renderSortControls();
+        // Filtros de projeto, cliente ou responsável excluídos são desfeitos
+        this.renderRegistryFilterOptions();
+        this.applyViewFilters();
+        return true;
+    }
+    
+    // Quantidade de tarefas que uma visualização mostra (null se a consulta salva for inválida)
+    countViewTasks(state) {
+        try {
+            const strategy = this.sorterFilterer.createCombinedFilterStrategy(this.getViewFilterKeys(state.filters));
+            return strategy ? this.filterShownTasks(this.tasks, strategy).length : null;
+        } catch (error) {
+            return null;
         }
     }
     
-    // Atualizar os observadores com base nas caixas de seleção
-    updateObservers() {
-        // Limpar todos os observadores
-        this.taskSubject = new TaskSubject();
+    // Salvar uma alteração nas visualizações salvas e atualizar a barra lateral
+    saveSavedViews() {
+        this.saveWorkspace();
+        this.savedViewsPanel.render();
+    }
+    
+    // Combinar os filtros da barra de ferramentas em uma única estratégia
+    applyViewFilters() {
+        const filterKeys = this.getViewFilterKeys(this.viewFilters);
         
-        // Reconstruir a lista de observadores com base nas caixas de seleção
-        this.initObservers();
+        // Uma consulta inválida é ignorada (os demais filtros continuam valendo) e o erro aparece abaixo da pesquisa
+        let queryError = null;
+        try {
+            this.sorterFilterer.setFilterStrategies(filterKeys);
+        } catch (error) {
+            queryError = error.message;
+            this.sorterFilterer.setFilterStrategies(filterKeys.filter(key => !key.startsWith('query:')));
+        }
+        document.getElementById('task-search').classList.toggle('is-invalid', queryError !== null);
+        document.getElementById('task-search-error').textContent = queryError || '';
+        
+        // Destacar os chips selecionados
+        document.querySelectorAll('#status-filter-chips .filter-chip').forEach(chip => {
+            chip.classList.toggle('active', chip.getAttribute('data-status-filter') === this.viewFilters.status);
+        });
+        document.querySelectorAll('#type-filter-chips .filter-chip').forEach(chip => {
+            chip.classList.toggle('active', chip.getAttribute('data-type') === this.viewFilters.type);
+        });
+        
+        this.renderTasks();
     }
     
     // Adicionar uma notificação à lista
     addNotification(notification) {
         this.notifications.push(notification);
+        this.saveWorkspace();
         this.renderNotifications();
     }
     
+    // Restaurar tarefas, grupos e notificações salvos
+    loadWorkspace() {
+        const workspace = this.storage.load();
+        if (workspace) {
+            this.tasks = workspace.tasks;
+            this.groups = workspace.groups;
+            this.notifications = workspace.notifications;
+            this.savedViews = workspace.savedViews;
+            this.projectRegistry.setData(workspace);
+            this.tagRegistry.setData(workspace);
+        }
+    }
+    
+    // Salvar o workspace, se o salvamento automático estiver ativado
+    saveWorkspace() {
+        if (!configManager.getConfig('autoSave')) {
+            return;
+        }
+        
+        this.storage.save({
+            tasks: this.tasks,
+            groups: this.groups,
+            notifications: this.notifications,
+            clients: this.projectRegistry.getClients(),
+            employees: this.projectRegistry.getEmployees(),
+            projects: this.projectRegistry.getProjects(),
+            tags: this.tagRegistry.getTags(),
+            savedViews: this.savedViews
+        });
+    }
+    
+    // Salvar uma alteração nos cadastros e atualizar os filtros e as tarefas exibidas
+    saveRegistry() {
+        this.saveWorkspace();
+        this.renderRegistryFilterOptions();
+        this.applyViewFilters();
+    }
+    
+    // Salvar uma alteração nas etiquetas e atualizar os campos que as listam
+    saveTags() {
+        this.renderTagOptions();
+        this.saveRegistry();
+    }
+    
+    // Desligar tarefas de um projeto ou etiqueta excluída, avisando os observadores
+    // (detach altera a tarefa e devolve { oldValue, newValue } para a descrição da mudança;
+    // quem chama registra o estado anterior no histórico)
+    detachTasks(tasks, label, detach) {
+        tasks.forEach(task => {
+            const { oldValue, newValue } = detach(task);
+            this.emit(TaskEvent.UPDATED, task, {
+                changes: [{ label, oldValue, newValue }]
+            });
+        });
+    }
+    
     // Renderizar a lista de tarefas na interface do usuário
     renderTasks() {
-        const container = document.getElementById('tasks-container');
+        this.renderGroupOptions();
+        this.renderViewToggle();
+        
+        const view = configManager.getConfig('taskView');
+        if (view === 'board') {
+            const board = document.getElementById('board-container');
+            this.kanbanBoard.render(board);
+            this.renderDueDateHighlights(board);
+            this.renderBlockedTasks(board);
+            this.renderTaskAssignments(board);
+            this.renderTaskTags(board);
+        } else if (view === 'calendar') {
+            this.calendarView.render(document.getElementById('calendar-container'));
+        } else if (view === 'workload') {
+            this.workloadView.render(document.getElementById('workload-container'));
+        } else {
+            this.renderTaskList(document.getElementById('tasks-container'));
+        }
+        
+        this.renderDecorateTaskSelect();
+        this.renderViewSummary(this.processTasks(this.tasks).length);
+        this.dashboardPanel.refresh();
+        this.savedViewsPanel.render();
+        this.tagPanel.render();
+    }
+    
+    // Mostrar a visualização escolhida (lista, quadro, calendário ou equipe) e destacar o botão correspondente
+    renderViewToggle() {
+        const view = configManager.getConfig('taskView');
         
-        if (this.tasks.length === 0) {
+        document.querySelectorAll('.view-btn').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-view') === view);
+        });
+        document.getElementById('tasks-container').style.display = view === 'list' ? '' : 'none';
+        document.getElementById('board-container').style.display = view === 'board' ? '' : 'none';
+        document.getElementById('calendar-container').style.display = view === 'calendar' ? '' : 'none';
+        document.getElementById('workload-container').style.display = view === 'workload' ? '' : 'none';
+        document.getElementById('board-options').style.display = view === 'board' ? '' : 'none';
+        document.getElementById('list-options').style.display = view === 'list' ? '' : 'none';
+        document.getElementById('board-swimlane-select').value = configManager.getConfig('boardSwimlanes');
+    }
+    
+    // Renderizar a lista de tarefas, com os grupos antes das tarefas sem grupo (ou no agrupamento escolhido)
+    renderTaskList(container) {
+        if (this.tasks.length === 0 && this.groups.length === 0) {
             container.innerHTML = `
                 <div class="list-group-item text-center text-muted">
                     Nenhuma tarefa criada ainda
                 </div>
             `;
-            document.getElementById('decorate-task-select').innerHTML = `
-                <option value="">Selecione uma tarefa...</option>
-            `;
             return;
         }
         
-        container.innerHTML = '';
+        let html;
+        if (this.sorterFilterer.getGrouping() === 'group') {
+            // Aplicar as estratégias de filtragem e ordenação atuais (também dentro dos grupos)
+            const processLeaves = leaves => {
+                const leavesByTask = new Map(leaves.map(leaf => [leaf.getTask(), leaf]));
+                return this.processTasks([...leavesByTask.keys()]).map(task => leavesByTask.get(task));
+            };
+            const ungroupedTasks = this.tasks.filter(task => !this.findParentGroup(task.getId()));
+            const visibleTasks = this.processTasks(ungroupedTasks);
+            
+            html = this.groups.map(group => group.getHtmlRepresentation(processLeaves)).join('');
+            
+            if (visibleTasks.length > 0 && this.groups.length > 0) {
+                html += `<div class="list-group-item ungrouped-header text-muted">Tarefas sem grupo</div>`;
+            }
+            html += visibleTasks.map(task => task.getHtmlRepresentation()).join('');
+        } else {
+            // Todas as tarefas, fora dos grupos, em seções por tipo ou por status (ou sem seções)
+            html = this.sorterFilterer.groupTasks(this.processTasks(this.tasks)).map(section => `
+                ${section.label ? `<div class="list-group-item ungrouped-header text-muted">${section.label} (${section.tasks.length})</div>` : ''}
+                ${section.tasks.map(task => task.getHtmlRepresentation()).join('')}
+            `).join('');
+        }
+        
+        if (!html.trim()) {
+            html = `
+                <div class="list-group-item text-center text-muted">
+                    Nenhuma tarefa corresponde aos filtros
+                </div>
+            `;
+        }
+        container.innerHTML = html;
+        this.renderDueDateHighlights(container);
+        this.renderBlockedTasks(container);
+        this.renderTaskAssignments(container);
+        this.renderTaskTags(container);
+    }
+    
+    // Indicar as tarefas bloqueadas e desabilitar os botões dos status que exigem os pré-requisitos concluídos
+    renderBlockedTasks(container) {
+        this.tasks.filter(task => this.dependencyGraph.isBlocked(task)).forEach(task => {
+            const element = container.querySelector(`.task-item[data-task-id="${task.getId()}"]`);
+            if (!element) return;
+            
+            const waitingFor = this.describeOpenPrerequisites(task);
+            element.classList.add('blocked-task');
+            element.querySelector('.task-content').insertAdjacentHTML('beforeend',
+                `<div class="blocked-info"><span class="badge bg-dark me-1">🔒 Bloqueada</span>Aguardando: ${waitingFor}</div>`);
+            element.querySelectorAll('.status-btn').forEach(button => {
+                if (!StatusWorkflow.needsPrerequisites(button.getAttribute('data-status'))) return;
+                button.disabled = true;
+                button.title = `Aguardando: ${waitingFor}`;
+            });
+        });
+    }
+    
+    // Mostrar o projeto e os avatares dos responsáveis das tarefas ligadas aos cadastros
+    renderTaskAssignments(container) {
+        this.tasks.forEach(task => {
+            const project = this.projectRegistry.findProject(task.getProjectId());
+            const assignees = task.getAssignees().map(id => this.projectRegistry.findEmployee(id)).filter(Boolean);
+            const element = container.querySelector(`.task-item[data-task-id="${task.getId()}"]`);
+            if (!element || (!project && assignees.length === 0)) return;
+            
+            element.querySelector('.task-content').insertAdjacentHTML('beforeend', `
+                <div class="task-assignment small text-muted">
+                    ${project ? `<span class="me-2">📁 ${project.getName()}</span>` : ''}
+                    ${assignees.map(employee => this.getAvatarHtml(employee)).join('')}
+                </div>
+            `);
+        });
+    }
+    
+    // Mostrar as etiquetas das tarefas ao lado do tipo e do status
+    renderTaskTags(container) {
+        this.tasks.forEach(task => {
+            const tags = this.tagRegistry.getTaskTags(task);
+            const element = container.querySelector(`.task-item[data-task-id="${task.getId()}"]`);
+            if (!element || tags.length === 0) return;
+            
+            element.querySelector('.task-content > br')?.insertAdjacentHTML('beforebegin',
+                `<span class="task-tags">${tags.map(tag => tag.getBadgeHtml()).join('')}</span>`);
+        });
+    }
+    
+    // Avatar com as iniciais do funcionário, com uma cor fixa derivada da matrícula
+    getAvatarHtml(employee) {
+        const hue = [...employee.getRegistration()].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 360, 0);
+        return `<span class="assignee-avatar" style="background-color: hsl(${hue}, 55%, 45%)" title="${employee.getName()}">${employee.getInitials()}</span>`;
+    }
+    
+    // Destacar as tarefas atrasadas ou que vencem hoje
+    renderDueDateHighlights(container) {
+        this.tasks.forEach(task => {
+            const state = this.dueDateScheduler.getDueState(task);
+            const element = container.querySelector(`.task-item[data-task-id="${task.getId()}"]`);
+            if (!state || !element || state.daysLeft > 0) return;
+            
+            element.classList.add(state.overdue ? 'overdue-task' : 'due-today-task');
+            element.querySelector('.due-date')?.insertAdjacentHTML('beforeend',
+                `<span class="badge ${state.overdue ? 'bg-danger' : 'bg-warning text-dark'} ms-1">${state.overdue ? 'Atrasada' : 'Vence hoje'}</span>`);
+        });
+    }
+    
+    // Atualizar o select de decoração, mantendo a tarefa selecionada
+    renderDecorateTaskSelect() {
+        const select = document.getElementById('decorate-task-select');
+        const selectedValue = select.value;
+        
         let selectOptions = '<option value="">Selecione uma tarefa...</option>';
         
         this.tasks.forEach(task => {
-            container.innerHTML += task.getHtmlRepresentation();
             selectOptions += `<option value="${task.getId()}">${task.getTitle()}</option>`;
         });
         
-        // Atualizar o select de decoração
-        document.getElementById('decorate-task-select').innerHTML = selectOptions;
+        select.innerHTML = selectOptions;
+        select.value = this.findTaskById(parseInt(selectedValue)) ? selectedValue : '';
+        
+        this.renderDecoratorPanel(false);
+    }
+    
+    // Filtrar e ordenar tarefas para exibição, respeitando a configuração de tarefas concluídas
+    processTasks(tasks) {
+        return this.sorterFilterer.process(this.filterShownTasks(tasks));
+    }
+    
+    // Ocultar as tarefas concluídas, se configurado, e aplicar uma estratégia de filtragem (opcional)
+    filterShownTasks(tasks, filterStrategy = null) {
+        const showCompleted = configManager.getConfig('showCompletedTasks');
+        const shownTasks = showCompleted ? tasks : tasks.filter(task => task.getStatus() !== StatusWorkflow.COMPLETED);
+        return filterStrategy ? filterStrategy.filter(shownTasks) : shownTasks;
+    }
+    
+    // Atualizar o select de grupo pai do formulário de grupos
+    renderGroupOptions() {
+        const select = document.getElementById('group-parent-select');
+        const selectedValue = select.value;
+        
+        const renderOptions = (groups, depth) => groups.map(group => `
+            <option value="${group.getId()}">${'— '.repeat(depth)}${group.getTitle()}</option>
+            ${renderOptions(group.children.filter(child => child.isComposite()), depth + 1)}
+        `).join('');
+        
+        select.innerHTML = `<option value="">Nenhum (grupo principal)</option>${renderOptions(this.groups, 0)}`;
+        select.value = this.findGroupById(selectedValue) ? selectedValue : '';
+    }
+    
+    // Mostrar um resumo da visualização ativa (ordenação, filtro e quantidade de tarefas)
+    renderViewSummary(visibleCount) {
+        const info = this.sorterFilterer.getCurrentStrategiesInfo();
+        const hiddenCompleted = configManager.getConfig('showCompletedTasks') ? '' : ' (concluídas ocultas)';
+        document.getElementById('active-view-summary').textContent =
+            `Ordenação: ${info.sort.name} | Filtro: ${info.filter.name}${hiddenCompleted} | ${visibleCount} de ${this.tasks.length} tarefas`;
     }
     
     // Renderizar notificações na interface do usuário
@@ -218,10 +2487,10 @@ class UIController {
         
         container.innerHTML = '';
         
-        // Mostrar as notificações mais recentes primeiro (limite de 10)
+        // Mostrar as notificações mais recentes primeiro (limite configurável)
         const recentNotifications = [...this.notifications]
             .reverse()
-            .slice(0, 10);
+            .slice(0, configManager.getConfig('maxNotificationsHistory'));
             
         recentNotifications.forEach(notification => {
             container.innerHTML += notification.getHtmlRepresentation();
@@ -232,4 +2501,32 @@ class UIController {
     findTaskById(id) {
         return this.tasks.find(task => task.getId() === id);
     }
+    
+    // Encontrar um grupo (principal ou subgrupo) pelo ID
+    findGroupById(id) {
+        for (const root of this.groups) {
+            if (root.getId() === id) {
+                return root;
+            }
+            
+            const child = root.getChild(id);
+            if (child && child.isComposite()) {
+                return child;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Encontrar o grupo que contém diretamente o componente (tarefa ou subgrupo) com o ID informado
+    findParentGroup(id) {
+        for (const root of this.groups) {
+            const parent = root.getParentOf(id);
+            if (parent) {
+                return parent;
+            }
+        }
+        
+        return null;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Visualização da carga de trabalho da equipe
+ *
+ * Mostra, para cada funcionário, as tarefas abertas visíveis (com a ordenação e
+ * os filtros atuais) e o esforço estimado em horas e em pontos, separados por
+ * status. As barras de cada pessoa (uma para horas e outra para pontos) são
+ * proporcionais ao maior esforço da equipe, para destacar quem está
+ * sobrecarregado. Clicar em uma pessoa filtra a lista pelas tarefas dela.
+ */
+class WorkloadView {
+    constructor(controller) {
+        this.controller = controller;
+        this.workload = new Workload(controller.projectRegistry);
+    }
+
+    // Contagem e esforço de um conjunto de tarefas (ex: "2 · 8h · 3 pts")
+    getCellHtml({ tasks, effort }) {
+        return tasks.length === 0
+            ? '<span class="text-muted">-</span>'
+            : `${tasks.length} <small class="text-muted">· ${effort.getLabel()}</small>`;
+    }
+
+    // Barras de horas e de pontos proporcionais ao maior valor da equipe
+    getBarsHtml(effort, maxHours, maxPoints) {
+        return [
+            { value: effort.getHours(), max: maxHours, title: 'Horas estimadas', className: 'bg-info' },
+            { value: effort.getPoints(), max: maxPoints, title: 'Pontos', className: '' }
+        ]
+            .filter(bar => bar.value > 0)
+            .map(bar => `
+                <div class="progress" title="${bar.title}">
+                    <div class="progress-bar ${bar.className}" style="width: ${Math.round(bar.value / bar.max * 100)}%"></div>
+                </div>
+            `).join('');
+    }
+
+    render(container) {
+        const statuses = this.workload.getStatuses();
+        const rows = this.workload.getRows(this.controller.processTasks(this.controller.tasks))
+            .filter(row => row.employee || row.tasks.length > 0);
+
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="text-center text-muted">Nenhum funcionário cadastrado. Cadastre a equipe em 🗂 Cadastros.</div>';
+            return;
+        }
+
+        const maxHours = Math.max(...rows.map(row => row.effort.getHours()));
+        const maxPoints = Math.max(...rows.map(row => row.effort.getPoints()));
+        container.innerHTML = `
+            <table class="table table-sm align-middle workload-table">
+                <thead>
+                    <tr>
+                        <th>Pessoa</th>
+                        ${statuses.map(status => `<th class="text-center">${StatusWorkflow.getLabel(status)}</th>`).join('')}
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>
+                                <button type="button" class="btn btn-link btn-sm p-0 workload-person" data-assignee="${row.employee ? row.employee.getRegistration() : 'none'}"
+                                    title="Mostrar as tarefas desta pessoa na lista">
+                                    ${row.employee ? `${this.controller.getAvatarHtml(row.employee)} ${row.employee.getName()}` : 'Sem responsável'}
+                                </button>
+                                ${row.employee?.getRole() ? `<div class="small text-muted">${row.employee.getRole()}</div>` : ''}
+                                ${row.tasks.length > 0 ? `
+                                    <details class="workload-tasks">
+                                        <summary>${row.tasks.length} tarefa(s) aberta(s)</summary>
+                                        <ul class="list-unstyled mb-0">
+                                            ${row.tasks.map(task => `
+                                                <li>
+                                                    <span class="badge bg-${StatusWorkflow.getColor(task.getStatus())}">${StatusWorkflow.getLabel(task.getStatus())}</span>
+                                                    ${task.getBaseTask().getTitle()}
+                                                </li>
+                                            `).join('')}
+                                        </ul>
+                                    </details>
+                                ` : ''}
+                            </td>
+                            ${statuses.map(status => `<td class="text-center">${this.getCellHtml(row.byStatus[status])}</td>`).join('')}
+                            <td class="workload-total">
+                                ${this.getCellHtml(row)}
+                                ${this.getBarsHtml(row.effort, maxHours, maxPoints)}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="form-text">Esforço pela estimativa de cada tarefa, com horas e pontos somados separadamente (barra azul: horas). Tarefas sem estimativa contam pontos pela dificuldade: Fácil 1, Médio 2, Difícil 3 (sem dificuldade: 1). Tarefas com vários responsáveis dividem o esforço.</div>
+        `;
+    }
+
+    setupEventListeners(container) {
+        container.addEventListener('click', (e) => {
+            const person = e.target.closest('.workload-person');
+            if (person) {
+                this.controller.showAssigneeTasks(person.getAttribute('data-assignee'));
+            }
+        });
+    }
+}
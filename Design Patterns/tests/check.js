@@ -0,0 +1,52 @@
+/**
+ * Utilitários das páginas de verificação
+ *
+ * Cada página carrega os scripts do aplicativo que ela usa, este arquivo e a sua
+ * verificação; o resultado de cada check aparece na lista #results e no console.
+ */
+
+/**
+ * Relógio que devolve sempre a data informada
+ */
+class FixedClock {
+    constructor(date) {
+        this.date = date;
+    }
+
+    now() {
+        return new Date(this.date);
+    }
+
+    set(date) {
+        this.date = date;
+    }
+}
+
+/**
+ * Armazenamento em memória com a mesma interface do localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = {};
+    }
+
+    getItem(key) {
+        return key in this.items ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+}
+
+// Comparar o valor obtido com o esperado (pelo JSON) e mostrar o resultado
+function check(description, actual, expected) {
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+    const item = document.createElement('li');
+    item.className = `list-group-item ${passed ? 'list-group-item-success' : 'list-group-item-danger'}`;
+    item.textContent = passed
+        ? `OK: ${description}`
+        : `FALHOU: ${description} (esperado ${JSON.stringify(expected)}, obtido ${JSON.stringify(actual)})`;
+    document.getElementById('results').appendChild(item);
+    console[passed ? 'log' : 'error'](item.textContent);
+}
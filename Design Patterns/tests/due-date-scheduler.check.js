@@ -0,0 +1,45 @@
+/**
+ * Verificação do DueDateScheduler com um relógio fixo
+ *
+ * O relógio só avança quando a verificação manda, então os lembretes gerados são
+ * sempre os mesmos, independente do dia em que a página é aberta. Os lembretes
+ * enviados ficam em um armazenamento em memória (o localStorage não é tocado).
+ */
+
+// Resumo dos lembretes: "tipo:título"
+const describeReminders = reminders => reminders.map(reminder => `${reminder.type}:${reminder.task.getTitle()}`);
+
+// Antecedência fixa só nesta página (sem gravar as configurações do usuário)
+configManager.config.reminderLeadDays = [1, 0];
+
+const factory = new TaskFactory();
+const report = TaskDecoratorFactory.decorate(factory.createTask('work', 'Relatório', ''), 'due-date', { dueDate: '2024-05-11' });
+const meeting = TaskDecoratorFactory.decorate(factory.createTask('work', 'Reunião', ''), 'due-date', { dueDate: '2024-05-10' });
+const invoice = TaskDecoratorFactory.decorate(factory.createTask('personal', 'Boleto', ''), 'due-date', { dueDate: '2024-05-08' });
+const reading = factory.createTask('study', 'Leitura', '');
+const tasks = [report, meeting, invoice, reading];
+
+const clock = new FixedClock(new Date(2024, 4, 10, 9, 0));
+const received = [];
+const scheduler = new DueDateScheduler(() => tasks, reminders => received.push(...reminders), clock, new MemoryStorage());
+
+check('situação do vencimento de amanhã', scheduler.getDueState(report).daysLeft, 1);
+check('tarefa sem vencimento não tem situação', scheduler.getDueState(reading), null);
+check('vencida há dois dias', scheduler.getDueState(invoice).overdue, true);
+
+check('primeira verificação avisa amanhã, hoje e atrasada',
+    describeReminders(scheduler.check()),
+    [`${TaskEvent.DUE_SOON}:Relatório`, `${TaskEvent.DUE_SOON}:Reunião`, `${TaskEvent.OVERDUE}:Boleto`]);
+check('os lembretes chegam ao callback', received.length, 3);
+check('o horário do lembrete vem do relógio', received[0].timestamp.getTime(), new Date(2024, 4, 10, 9, 0).getTime());
+check('nova verificação no mesmo dia não repete lembretes', scheduler.check(), []);
+
+clock.set(new Date(2024, 4, 11, 8, 0));
+check('no dia seguinte avisa o vencimento de hoje e o atraso da reunião',
+    describeReminders(scheduler.check()),
+    [`${TaskEvent.DUE_SOON}:Relatório`, `${TaskEvent.OVERDUE}:Reunião`]);
+
+report.setStatus(StatusWorkflow.COMPLETED);
+clock.set(new Date(2024, 4, 12, 8, 0));
+check('tarefa concluída não fica atrasada', scheduler.getDueState(report), null);
+check('nada novo a avisar depois de concluir', scheduler.check(), []);
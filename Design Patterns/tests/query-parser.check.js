@@ -0,0 +1,63 @@
+/**
+ * Verificação do QueryParser
+ *
+ * Usa a consulta de exemplo da linguagem de pesquisa com etiquetas cadastradas
+ * e confere as mensagens de erro e as sugestões de vencimento, que vêm do relógio.
+ */
+
+// Títulos das tarefas que passam pela consulta
+const filterTitles = (parser, query, tasks) => parser.parse(query).filter(tasks).map(task => task.getBaseTask().getTitle());
+
+// Mensagem do erro lançado pela consulta (null se ela for válida)
+const parseError = (parser, query) => {
+    try {
+        parser.parse(query);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+const factory = new TaskFactory();
+const createTask = (title, { dueDate, tagIds = [], highPriority = true, status = StatusWorkflow.IN_PROGRESS }) => {
+    let task = factory.createTask('work', title, 'inclui a exact phrase na descrição');
+    task.setStatus(status);
+    task.setTagIds(tagIds);
+    task = TaskDecoratorFactory.decorate(task, 'due-date', { dueDate });
+    return highPriority ? TaskDecoratorFactory.decorate(task, 'high-priority') : task;
+};
+
+const tagRegistry = new TagRegistry(() => tasks);
+const urgent = tagRegistry.createTag('Urgente', '#dc3545');
+const done = tagRegistry.createTag('done', '#28a745');
+
+const tasks = [
+    createTask('Deploy', { dueDate: '2026-10-20', tagIds: [urgent.getId()] }),
+    createTask('Já entregue', { dueDate: '2026-10-20', tagIds: [urgent.getId(), done.getId()] }),
+    createTask('Sem prioridade', { dueDate: '2026-10-20', tagIds: [urgent.getId()], highPriority: false }),
+    createTask('Vence depois', { dueDate: '2026-11-05', tagIds: [urgent.getId()] }),
+    createTask('Pendente', { dueDate: '2026-10-20', tagIds: [urgent.getId()], status: StatusWorkflow.PENDING })
+];
+
+const clock = new FixedClock(new Date(2026, 9, 19, 9, 0));
+const parser = new QueryParser(null, tagRegistry, () => clock.now());
+
+check('consulta de exemplo',
+    filterTitles(parser, 'type:Trabalho status:"Em Andamento" due:<2026-11-01 label:Urgente priority:high -tag:done "exact phrase"', tasks),
+    ['Deploy']);
+check('OR e parênteses', filterTitles(parser, '(tag:done OR priority:normal) due:2026-10-20', tasks), ['Já entregue', 'Sem prioridade']);
+check('sem etiqueta', filterTitles(parser, 'tag:none', tasks), []);
+check('campo desconhecido', parseError(parser, 'prioridade:alta'),
+    'Campo desconhecido "prioridade". Campos: type, status, due, tag, priority, difficulty, project, client, assignee. Para pesquisar um texto com ":", use aspas (posição 1).');
+check('etiqueta desconhecida', parseError(parser, 'tag:xyz'), 'Valor desconhecido para "tag": "xyz". Valores: Urgente, done, none (posição 1).');
+check('sugestões de vencimento usam o relógio',
+    parser.getSuggestions('due:', 4).items.map(item => item.label),
+    ['<2026-10-19', '>=2026-10-19', 'none']);
+
+clock.set(new Date(2026, 9, 20, 9, 0));
+check('as sugestões acompanham o relógio', parser.getSuggestions('due:', 4).items[0].label, '<2026-10-20');
+
+// Sem cadastro de etiquetas (ex: new TaskSorterFilterer() sem argumentos), só "none" é aceito
+const sorterFilterer = new TaskSorterFilterer();
+check('tag:none sem cadastro de etiquetas', sorterFilterer.createFilterStrategy('query:tag:none').filter(tasks).length, 0);
+check('etiqueta sem cadastro', parseError(sorterFilterer.queryParser, 'tag:Urgente'), 'Valor desconhecido para "tag": "Urgente". Valores: none (posição 1).');
@@ -0,0 +1,49 @@
+/**
+ * Verificação das visualizações salvas
+ *
+ * Um código de compartilhamento pode vir de qualquer pessoa: o nome e a pesquisa
+ * da visualização importada devem aparecer como texto na barra lateral e no
+ * modal, sem virar marcação. O controlador usa os métodos do UIController que o
+ * painel chama, com uma lista de tarefas vazia.
+ */
+
+const hostile = '<img src=x onerror=alert(1)>';
+const sorterFilterer = new TaskSorterFilterer();
+const controller = {
+    savedViews: [],
+    tasks: [],
+    viewFilters: { ...SavedView.DEFAULT_FILTERS },
+    sorterFilterer,
+    getViewState: UIController.prototype.getViewState,
+    getViewFilterKeys: UIController.prototype.getViewFilterKeys,
+    isValidViewState: UIController.prototype.isValidViewState,
+    countViewTasks: () => 0,
+    saveSavedViews() {
+        panel.render();
+    }
+};
+const panel = new SavedViewsPanel(controller);
+
+// Código gerado por outra pessoa, com HTML no nome e na pesquisa
+const code = new SavedView(1, hostile, SavedView.normalizeState({
+    filters: { search: `"${hostile}"` },
+    sort: sorterFilterer.getSortKey()
+})).getShareCode();
+
+// Respostas dos prompts: o código e, em seguida, o nome sugerido
+const answers = [code];
+window.prompt = (message, defaultValue) => answers.length > 0 ? answers.shift() : defaultValue;
+panel.importView();
+
+const pinned = document.getElementById('pinned-views');
+const list = document.getElementById('saved-views-list');
+
+check('a visualização foi importada com o nome do código', controller.savedViews.map(view => view.getName()), [hostile]);
+check('nenhum elemento criado pelo código na barra lateral', pinned.querySelectorAll('img').length, 0);
+check('nenhum elemento criado pelo código no modal', list.querySelectorAll('img').length, 0);
+check('o nome aparece como texto na barra lateral', pinned.querySelector('.saved-view-item').textContent.includes(hostile), true);
+check('o resumo com a pesquisa fica no título, como texto',
+    pinned.querySelector('.saved-view-item').getAttribute('title').startsWith(`Pesquisa: "${hostile}"`), true);
+check('o nome e o resumo aparecem como texto no modal',
+    [list.querySelector('strong').textContent, list.querySelector('.small.text-muted').textContent.startsWith(`Pesquisa: "${hostile}"`)],
+    [hostile, true]);
@@ -0,0 +1,102 @@
+/**
+ * Verificação das migrações do WorkspaceStorage
+ *
+ * Confere a migração das etiquetas coloridas para etiquetas (versão 10 → 11),
+ * inclusive a troca de label: por tag: nas pesquisas das visualizações salvas, e
+ * carrega um workspace salvo na versão 1 passando por todas as migrações. Os
+ * dados ficam em um armazenamento em memória (o localStorage não é tocado).
+ */
+
+// Dados da versão 10 com uma visualização salva para cada pesquisa
+const createVersion10 = (searches, tasks = []) => ({
+    version: 10,
+    counters: { lastTaskId: tasks.length, lastGroupId: 0, lastProjectId: 0, lastViewId: searches.length },
+    tasks,
+    groups: [],
+    clients: [],
+    employees: [],
+    projects: [],
+    notifications: [],
+    savedViews: searches.map((search, index) => ({
+        id: index + 1,
+        name: `Visualização ${index + 1}`,
+        pinned: false,
+        filters: { status: 'all', search },
+        sort: 'manual',
+        direction: 'asc',
+        thenBy: [],
+        grouping: 'group'
+    }))
+});
+
+// Pesquisa de cada visualização depois de migrar
+const migrateSearch = search => WorkspaceStorage.migrations[10](createVersion10([search])).savedViews[0].filters.search;
+
+check('label:<cor> vira tag:<nome>', migrateSearch('label:red'), 'tag:Urgente');
+check('negação com o nome da cor', migrateSearch('-label:urgente'), '-tag:Urgente');
+check('texto entre aspas não muda', migrateSearch('"label:red"'), '"label:red"');
+check('outro campo terminado em label não muda', migrateSearch('xlabel:red'), 'xlabel:red');
+check('nome com espaço e parênteses',
+    migrateSearch('(label:"Em progresso" OR label:blue)'), '(tag:"Em progresso" OR tag:"Em progresso")');
+check('campo e valor em maiúsculas e minúsculas misturadas', migrateSearch('LaBeL:YeLLoW type:Trabalho'), 'tag:Atenção type:Trabalho');
+check('valor que não é uma cor não muda', migrateSearch('label:xyz'), 'label:xyz');
+
+// As cores usadas pelas tarefas e as citadas nas pesquisas viram etiquetas, sem repetição
+const migrated = WorkspaceStorage.migrations[10](createVersion10(['label:blue', 'label:red OR label:Urgente'], [
+    {
+        type: 'work', id: 1, title: 'Deploy', description: '', status: 'in-progress', createdAt: '2024-05-10T12:00:00.000Z',
+        decorators: [{ type: 'color-label', options: { color: 'red' } }, { type: 'high-priority', options: {} }]
+    }
+]));
+check('etiquetas criadas pelas tarefas e pelas pesquisas',
+    migrated.tags.map(tag => [tag.id, tag.name, tag.color]),
+    [[1, 'Urgente', '#dc3545'], [2, 'Em progresso', '#007bff']]);
+check('a tarefa guarda o ID da etiqueta e perde o decorador de cor',
+    [migrated.tasks[0].tagIds, migrated.tasks[0].decorators.map(decorator => decorator.type)],
+    [[1], ['high-priority']]);
+check('o contador de etiquetas acompanha as criadas', migrated.counters.lastTagId, 2);
+
+// Workspace salvo pela primeira versão do formato, carregado pela versão atual
+const storage = new MemoryStorage();
+storage.setItem(WorkspaceStorage.STORAGE_KEY, JSON.stringify({
+    version: 1,
+    savedAt: '2024-05-10T12:00:00.000Z',
+    counters: { lastTaskId: 2, lastGroupId: 1 },
+    tasks: [
+        {
+            type: 'work', id: 1, title: 'Deploy', description: 'Publicar a versão', status: 'Em Andamento',
+            createdAt: '2024-05-01T12:00:00.000Z',
+            decorators: [{ type: 'color-label', options: { color: 'red' } }, { type: 'high-priority', options: {} }]
+        },
+        {
+            type: 'personal', id: 2, title: 'Leitura', description: '', status: 'Concluída',
+            createdAt: '2024-05-02T12:00:00.000Z',
+            decorators: [{ type: 'due-date', options: { dueDate: '2024-05-10' } }, { type: 'color-label', options: { color: 'blue' } }]
+        }
+    ],
+    groups: [{
+        id: 1, title: 'Sprint', color: '#0d6efd', expanded: true, createdAt: '2024-05-01T12:00:00.000Z',
+        children: [{ kind: 'task', taskId: 1 }]
+    }],
+    notifications: []
+}));
+
+const workspace = new WorkspaceStorage(new TaskFactory(), storage).load();
+const [deploy, reading] = workspace.tasks;
+
+check('o workspace da versão 1 é carregado', workspace.tasks.map(task => task.getBaseTask().getTitle()), ['Deploy', 'Leitura']);
+check('status pelos IDs do fluxo de trabalho', workspace.tasks.map(task => task.getStatus()),
+    [StatusWorkflow.IN_PROGRESS, StatusWorkflow.COMPLETED]);
+check('etiquetas criadas a partir das cores', workspace.tags.map(tag => tag.getName()), ['Urgente', 'Em progresso']);
+check('tarefas com as etiquetas das cores', workspace.tasks.map(task => task.getTagIds()), [[1], [2]]);
+check('os outros decoradores continuam na mesma ordem',
+    [TaskDecoratorFactory.getChain(deploy).map(decorator => decorator.type), TaskDecoratorFactory.getChain(reading).map(decorator => decorator.type)],
+    [['high-priority'], ['due-date']]);
+check('campos novos com valores vazios',
+    [reading.getChecklist(), reading.getDependencies(), reading.getTimeEntries(), reading.getAssignees(), reading.getEstimate(), reading.getCompletedAt()],
+    [[], [], [], [], null, null]);
+check('grupo com a tarefa', workspace.groups.map(group => [group.getTitle(), group.children.map(child => child.getId())]), [['Sprint', [1]]]);
+check('cadastros e visualizações vazios',
+    [workspace.clients, workspace.employees, workspace.projects, workspace.savedViews], [[], [], [], []]);
+check('contador de etiquetas restaurado', TagRegistry.lastTagId, 2);
+check('nenhuma cópia de dados ilegíveis foi criada', storage.getItem(`${WorkspaceStorage.STORAGE_KEY}-backup`), null);